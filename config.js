@@ -18,5 +18,35 @@ module.exports = {
       idle: 10000
     }
   },
-  rsnaApiBaseUrl: process.env.RSNA_API_BASE_URL || 'https://api3.rsna.org/radreport/v1'
+  rsnaApiBaseUrl: process.env.RSNA_API_BASE_URL || 'https://api3.rsna.org/radreport/v1',
+  // Public base URL of the FHIR endpoints, used for canonical URLs and Bundle links
+  fhirBaseUrl: process.env.FHIR_BASE_URL || `http://localhost:${process.env.PORT || 6011}/api/fhir`,
+  // MSH sender/receiver for outgoing HL7 v2 messages
+  hl7: {
+    sendingApplication: process.env.HL7_SENDING_APPLICATION || 'RIS',
+    sendingFacility: process.env.HL7_SENDING_FACILITY || 'RIS',
+    receivingApplication: process.env.HL7_RECEIVING_APPLICATION || '',
+    receivingFacility: process.env.HL7_RECEIVING_FACILITY || ''
+  },
+  auth: {
+    // Tokens signed with a random per-process secret stop working on restart; set JWT_SECRET
+    jwtSecret: process.env.JWT_SECRET || null,
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '8h',
+    // Created with the template-admin role on startup when there are no users yet
+    bootstrapAdmin: {
+      username: process.env.ADMIN_USERNAME || null,
+      password: process.env.ADMIN_PASSWORD || null
+    }
+  },
+  review: {
+    // When true, RSNA templates without TLAP approval wait for a local review instead of being listed right away
+    requireTlapApproval: process.env.REVIEW_REQUIRE_TLAP === 'true'
+  },
+  // Optional MLLP listener for incoming ORM/OMI orders (disabled unless MLLP_PORT is set)
+  mllp: {
+    port: process.env.MLLP_PORT ? parseInt(process.env.MLLP_PORT) : null,
+    host: process.env.MLLP_HOST || '0.0.0.0',
+    // Longest message (in characters) a connection may send before it is closed
+    maxMessageSize: parseInt(process.env.MLLP_MAX_MESSAGE_SIZE) || 1024 * 1024
+  }
 };
@@ -0,0 +1,97 @@
+const apiKeyService = require('../services/apiKeyService');
+
+class ApiKeyController {
+  /**
+   * List API keys (revoked keys only with ?includeRevoked=true)
+   */
+  async getAllKeys(req, res) {
+    try {
+      const keys = await apiKeyService.listKeys({
+        includeRevoked: req.query.includeRevoked === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: keys,
+        count: keys.length
+      });
+    } catch (error) {
+      console.error('Error getting API keys:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch API keys',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an API key by ID
+   */
+  async getKeyById(req, res) {
+    try {
+      const apiKey = await apiKeyService.getKey(req.params.id);
+
+      res.json({
+        success: true,
+        data: apiKey
+      });
+    } catch (error) {
+      console.error(`Error getting API key ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch API key',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Issue an API key; the key itself is only included in this response
+   */
+  async issueKey(req, res) {
+    try {
+      const { key, apiKey } = await apiKeyService.issueKey(req.body || {}, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key issued successfully. Store the key now; it cannot be retrieved again.',
+        data: {
+          ...apiKey,
+          key
+        }
+      });
+    } catch (error) {
+      console.error('Error issuing API key:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to issue API key',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   */
+  async revokeKey(req, res) {
+    try {
+      const apiKey = await apiKeyService.revokeKey(req.params.id);
+
+      res.json({
+        success: true,
+        message: `API key ${req.params.id} revoked successfully`,
+        data: apiKey
+      });
+    } catch (error) {
+      console.error(`Error revoking API key ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to revoke API key',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -0,0 +1,42 @@
+const auditService = require('../services/auditService');
+
+class AuditController {
+  /**
+   * List audit events, filtered by entity, actor, action and date range
+   */
+  async getAuditEvents(req, res) {
+    try {
+      const { entity, entityId, actor, action, from, to, skip = 0, limit = 100 } = req.query;
+      const { rows, count } = await auditService.listEvents({
+        entity,
+        entityId,
+        actor,
+        action,
+        from,
+        to,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          total: count,
+          skip: parseInt(skip),
+          limit: parseInt(limit),
+          hasMore: (parseInt(skip) + parseInt(limit)) < count
+        }
+      });
+    } catch (error) {
+      console.error('Error getting audit events:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch audit events',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AuditController();
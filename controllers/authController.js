@@ -0,0 +1,154 @@
+const authService = require('../services/authService');
+
+class AuthController {
+  /**
+   * Exchange a username and password for a bearer token
+   */
+  async login(req, res) {
+    try {
+      const { username, password } = req.body || {};
+      const session = await authService.login(username, password);
+
+      res.json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      console.error('Error logging in:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to log in',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the signed-in user
+   */
+  async getCurrentUser(req, res) {
+    res.json({
+      success: true,
+      data: authService.toPublicUser(req.user)
+    });
+  }
+
+  /**
+   * Change the signed-in user's password
+   */
+  async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      await authService.changePassword(req.user.id, currentPassword, newPassword);
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully'
+      });
+    } catch (error) {
+      console.error(`Error changing password for user ${req.user.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to change password',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List users
+   */
+  async getAllUsers(req, res) {
+    try {
+      const users = await authService.listUsers();
+
+      res.json({
+        success: true,
+        data: users.map(user => authService.toPublicUser(user)),
+        count: users.length
+      });
+    } catch (error) {
+      console.error('Error getting users:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch users',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a user
+   */
+  async createUser(req, res) {
+    try {
+      const user = await authService.createUser(req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: user
+      });
+    } catch (error) {
+      console.error('Error creating user:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to create user',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a user's roles, display name, active flag or password
+   */
+  async updateUser(req, res) {
+    try {
+      const user = await authService.updateUser(req.params.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'User updated successfully',
+        data: user
+      });
+    } catch (error) {
+      console.error(`Error updating user ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to update user',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a user
+   */
+  async deleteUser(req, res) {
+    try {
+      if (String(req.user.id) === String(req.params.id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot delete yourself',
+          message: 'Ask another administrator to delete your account'
+        });
+      }
+
+      await authService.deleteUser(req.params.id);
+
+      res.json({
+        success: true,
+        message: `User ${req.params.id} deleted successfully`
+      });
+    } catch (error) {
+      console.error(`Error deleting user ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to delete user',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AuthController();
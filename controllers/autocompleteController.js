@@ -0,0 +1,44 @@
+const autocompleteService = require('../services/autocompleteService');
+const templateReviewService = require('../services/templateReviewService');
+
+class AutocompleteController {
+  /**
+   * Typeahead suggestions (template titles, subspecialties, authors) for a partial query
+   */
+  async getSuggestions(req, res) {
+    try {
+      const { q, limit, types } = req.query;
+
+      if (!q || !String(q).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing query',
+          message: 'q is required'
+        });
+      }
+
+      const suggestions = await autocompleteService.suggest(String(q), {
+        limit,
+        types: types
+          ? [].concat(types).flatMap(type => String(type).split(',')).map(type => type.trim()).filter(Boolean)
+          : undefined,
+        includeUnapproved: templateReviewService.canSeeUnapproved(req)
+      });
+
+      res.json({
+        success: true,
+        data: suggestions,
+        count: suggestions.length
+      });
+    } catch (error) {
+      console.error('Error getting autocomplete suggestions:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch suggestions',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AutocompleteController();
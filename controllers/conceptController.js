@@ -0,0 +1,86 @@
+const conceptService = require('../services/conceptService');
+const templateReviewService = require('../services/templateReviewService');
+
+class ConceptController {
+  /**
+   * List dictionary concepts with optional filters
+   */
+  async getAllConcepts(req, res) {
+    try {
+      const { q, system, limit = 50, skip = 0 } = req.query;
+      const { rows, count } = await conceptService.listConcepts({
+        q,
+        system,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          total: count,
+          skip: parseInt(skip),
+          limit: parseInt(limit),
+          hasMore: (parseInt(skip) + parseInt(limit)) < count
+        }
+      });
+    } catch (error) {
+      console.error('Error getting concepts:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch concepts',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Load concepts and synonyms from a RadLex/LOINC extract or local synonym CSV
+   */
+  async importConcepts(req, res) {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : (req.body && req.body.csv) || '';
+      const results = await conceptService.importCsv(csv);
+
+      res.json({
+        success: true,
+        message: `Imported concepts: ${results.created} created, ${results.updated} updated, ${results.errors.length} rejected`,
+        data: results
+      });
+    } catch (error) {
+      console.error('Error importing concepts:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to import concepts',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get templates for a RadLex concept (via subspecialty radlexID and template coded_content)
+   */
+  async getTemplatesForConcept(req, res) {
+    try {
+      const result = await conceptService.getTemplatesForRadlexId(req.params.radlexId, {
+        includeUnapproved: templateReviewService.canSeeUnapproved(req)
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        count: result.templates.length
+      });
+    } catch (error) {
+      console.error(`Error getting templates for concept ${req.params.radlexId}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch templates for concept',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ConceptController();
@@ -0,0 +1,299 @@
+const { Op } = require('sequelize');
+const { Template, Subspecialty, SubspecialtyTemplate, Report } = require('../models');
+const fhirService = require('../services/fhirService');
+const templateVersionService = require('../services/templateVersionService');
+const reportService = require('../services/reportService');
+const templateReviewService = require('../services/templateReviewService');
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+/**
+ * Parse FHIR date search parameters (e.g. issued=ge2024-01-01&issued=lt2024-02-01)
+ * into a { from, to, fromExclusive, toExclusive } range
+ * @param {string|Array<string>} param - Parameter value(s) from the query string
+ * @param {string} name - Parameter name, for error messages
+ * @throws Error naming the parameter for empty or malformed values
+ */
+function parseDateRange(param, name) {
+  const range = {};
+  const values = param === undefined ? [] : [].concat(param);
+
+  values.forEach(value => {
+    const match = typeof value === 'string' ? /^(eq|ge|gt|le|lt)?(.+)$/.exec(value) : null;
+    if (!match) {
+      throw new Error(`Invalid ${name} parameter: expected a date with an optional eq, ge, gt, le or lt prefix`);
+    }
+    const prefix = match[1] || 'eq';
+    const date = new Date(match[2]);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} parameter: ${value} is not a date`);
+    }
+
+    // A bare date stands for the whole day, so eq, gt and le reach past its end
+    const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(match[2]);
+    const nextDay = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+
+    if (prefix === 'ge' || prefix === 'eq') {
+      range.from = date;
+      range.fromExclusive = false;
+    }
+    if (prefix === 'gt') {
+      range.from = dayOnly ? nextDay : date;
+      range.fromExclusive = !dayOnly;
+    }
+    if (prefix === 'lt') {
+      range.to = date;
+      range.toExclusive = true;
+    }
+    if (prefix === 'le') {
+      range.to = dayOnly ? nextDay : date;
+      range.toExclusive = dayOnly;
+    }
+    if (prefix === 'eq') {
+      range.to = nextDay;
+      range.toExclusive = true;
+    }
+  });
+
+  return range;
+}
+
+/**
+ * Read _count / _offset paging parameters
+ */
+function parsePaging(query, defaultCount, maxCount) {
+  return {
+    count: Math.min(parseInt(query._count) || defaultCount, maxCount),
+    offset: Math.max(parseInt(query._offset) || 0, 0)
+  };
+}
+
+/**
+ * Bundle links for a page of search results: self, and next / previous pages with the
+ * same search parameters
+ */
+function pageLinks(req, resourceType, { count, offset, total }) {
+  const urlFor = pageOffset => {
+    const params = new URLSearchParams();
+    Object.entries(req.query).forEach(([name, value]) => {
+      if (name !== '_count' && name !== '_offset') {
+        [].concat(value).forEach(item => params.append(name, item));
+      }
+    });
+    params.set('_count', count);
+    params.set('_offset', pageOffset);
+    return `${fhirService.baseUrl}/${resourceType}?${params}`;
+  };
+
+  const links = [{ relation: 'self', url: urlFor(offset) }];
+  if (offset + count < total) {
+    links.push({ relation: 'next', url: urlFor(offset + count) });
+  }
+  if (offset > 0) {
+    links.push({ relation: 'previous', url: urlFor(Math.max(offset - count, 0)) });
+  }
+  return links;
+}
+
+class FHIRController {
+  /**
+   * Get a template as a FHIR Questionnaire
+   */
+  async getQuestionnaire(req, res) {
+    try {
+      const { id } = req.params;
+
+      const template = await Template.findOne({
+        where: { template_id: id },
+        include: [{
+          model: Subspecialty,
+          as: 'subspecialties',
+          attributes: ['code', 'name', 'radlexID'],
+          through: { attributes: [] }
+        }]
+      });
+
+      if (!template || !(await templateReviewService.canView(req, template))) {
+        return res.status(404).type(FHIR_CONTENT_TYPE).json(
+          fhirService.toOperationOutcome('not-found', `Questionnaire/${id} not found`)
+        );
+      }
+
+      res.type(FHIR_CONTENT_TYPE).json(fhirService.toQuestionnaire(template));
+    } catch (error) {
+      console.error(`Error building Questionnaire ${req.params.id}:`, error.message);
+      res.status(500).type(FHIR_CONTENT_TYPE).json(
+        fhirService.toOperationOutcome('exception', error.message)
+      );
+    }
+  }
+
+  /**
+   * Get a specific template version as a FHIR Questionnaire
+   */
+  async getQuestionnaireVersion(req, res) {
+    try {
+      const { id, vid } = req.params;
+
+      const [templateVersion, template] = await Promise.all([
+        templateVersionService.getVersion(id, vid),
+        Template.findOne({
+          where: { template_id: id },
+          include: [{
+            model: Subspecialty,
+            as: 'subspecialties',
+            attributes: ['code', 'name', 'radlexID'],
+            through: { attributes: [] }
+          }]
+        })
+      ]);
+
+      if (!templateVersion || (template && !(await templateReviewService.canView(req, template)))) {
+        return res.status(404).type(FHIR_CONTENT_TYPE).json(
+          fhirService.toOperationOutcome('not-found', `Questionnaire/${id}/_history/${vid} not found`)
+        );
+      }
+
+      // Versions share the template's review status
+      res.type(FHIR_CONTENT_TYPE).json(
+        fhirService.toQuestionnaire(
+          Object.assign(templateVersion.get({ plain: true }), { status: template ? template.status : undefined }),
+          template ? template.subspecialties : []
+        )
+      );
+    } catch (error) {
+      console.error(`Error building Questionnaire ${req.params.id} version ${req.params.vid}:`, error.message);
+      res.status(500).type(FHIR_CONTENT_TYPE).json(
+        fhirService.toOperationOutcome('exception', error.message)
+      );
+    }
+  }
+
+  /**
+   * Search Questionnaires by subspecialty and title
+   */
+  async searchQuestionnaires(req, res) {
+    try {
+      const { subspecialty, title } = req.query;
+      const { count, offset } = parsePaging(req.query, 20, 100);
+
+      const whereClause = {};
+      if (!templateReviewService.canSeeUnapproved(req)) {
+        whereClause.status = 'approved';
+      }
+      if (title) {
+        whereClause.title = { [Op.like]: `%${title}%` };
+      }
+
+      // Restrict to templates mapped to one of the requested subspecialty codes
+      if (subspecialty) {
+        const codes = subspecialty.split(',').map(code => code.trim()).filter(Boolean);
+        const links = await SubspecialtyTemplate.findAll({
+          attributes: ['templateId'],
+          include: [{
+            model: Subspecialty,
+            as: 'subspecialty',
+            attributes: [],
+            where: { code: { [Op.in]: codes } }
+          }],
+          raw: true
+        });
+        whereClause.id = { [Op.in]: [...new Set(links.map(link => link.templateId))] };
+      }
+
+      const { rows: templates, count: total } = await Template.findAndCountAll({
+        where: whereClause,
+        include: [{
+          model: Subspecialty,
+          as: 'subspecialties',
+          attributes: ['code', 'name', 'radlexID'],
+          through: { attributes: [] }
+        }],
+        order: [['template_id', 'ASC']],
+        limit: count,
+        offset,
+        distinct: true
+      });
+
+      res.type(FHIR_CONTENT_TYPE).json(
+        fhirService.toSearchBundle(templates.map(template => fhirService.toQuestionnaire(template)), {
+          total,
+          links: pageLinks(req, 'Questionnaire', { count, offset, total })
+        })
+      );
+    } catch (error) {
+      console.error('Error searching Questionnaires:', error.message);
+      res.status(500).type(FHIR_CONTENT_TYPE).json(
+        fhirService.toOperationOutcome('exception', error.message)
+      );
+    }
+  }
+
+  /**
+   * Get a final report as a FHIR DiagnosticReport
+   */
+  async getDiagnosticReport(req, res) {
+    try {
+      const { id } = req.params;
+      const report = await Report.findByPk(id);
+
+      // Only finalized reports are released through FHIR
+      if (!report || report.status !== 'final') {
+        return res.status(404).type(FHIR_CONTENT_TYPE).json(
+          fhirService.toOperationOutcome('not-found', `DiagnosticReport/${id} not found`)
+        );
+      }
+
+      const templateVersion = await templateVersionService.getVersion(report.template_id, report.template_version);
+
+      res.type(FHIR_CONTENT_TYPE).json(fhirService.toDiagnosticReport(report, templateVersion));
+    } catch (error) {
+      console.error(`Error building DiagnosticReport ${req.params.id}:`, error.message);
+      res.status(500).type(FHIR_CONTENT_TYPE).json(
+        fhirService.toOperationOutcome('exception', error.message)
+      );
+    }
+  }
+
+  /**
+   * Export all reports finalized in a date range as a Bundle of DiagnosticReports (?issued=ge...&issued=le...)
+   */
+  async searchDiagnosticReports(req, res) {
+    try {
+      let range;
+      try {
+        range = parseDateRange(req.query.issued, 'issued');
+      } catch (error) {
+        return res.status(400).type(FHIR_CONTENT_TYPE).json(
+          fhirService.toOperationOutcome('invalid', error.message)
+        );
+      }
+
+      const { count, offset } = parsePaging(req.query, 100, 1000);
+      const { rows: reports, count: total } = await reportService.listFinalizedReports(range, { limit: count, offset });
+
+      // Reports usually share a handful of template versions; load each once
+      const templateVersions = new Map();
+      for (const report of reports) {
+        const key = `${report.template_id}@${report.template_version}`;
+        if (!templateVersions.has(key)) {
+          templateVersions.set(key, await templateVersionService.getVersion(report.template_id, report.template_version));
+        }
+      }
+
+      res.type(FHIR_CONTENT_TYPE).json(
+        fhirService.toSearchBundle(reports.map(report => fhirService.toDiagnosticReport(
+          report,
+          templateVersions.get(`${report.template_id}@${report.template_version}`)
+        )), { total, links: pageLinks(req, 'DiagnosticReport', { count, offset, total }) })
+      );
+    } catch (error) {
+      console.error('Error exporting DiagnosticReports:', error.message);
+      res.status(500).type(FHIR_CONTENT_TYPE).json(
+        fhirService.toOperationOutcome('exception', error.message)
+      );
+    }
+  }
+}
+
+module.exports = new FHIRController();
@@ -0,0 +1,137 @@
+const templateGeneratorService = require('../services/templateGeneratorService');
+
+class GeneratorRuleController {
+  /**
+   * List template generator rules in the order they are applied
+   */
+  async getAllRules(req, res) {
+    try {
+      const { active } = req.query;
+      const rules = await templateGeneratorService.listRules({
+        active: active === undefined ? undefined : active === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: rules,
+        count: rules.length
+      });
+    } catch (error) {
+      console.error('Error getting generator rules:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch generator rules',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a template generator rule by ID
+   */
+  async getRuleById(req, res) {
+    try {
+      const rule = await templateGeneratorService.getRuleOrFail(req.params.id);
+
+      res.json({
+        success: true,
+        data: rule
+      });
+    } catch (error) {
+      console.error(`Error getting generator rule ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch generator rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a template generator rule
+   */
+  async createRule(req, res) {
+    try {
+      const rule = await templateGeneratorService.createRule(req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Generator rule created successfully',
+        data: rule
+      });
+    } catch (error) {
+      console.error('Error creating generator rule:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to create generator rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a template generator rule
+   */
+  async updateRule(req, res) {
+    try {
+      const rule = await templateGeneratorService.updateRule(req.params.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Generator rule updated successfully',
+        data: rule
+      });
+    } catch (error) {
+      console.error(`Error updating generator rule ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to update generator rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a template generator rule
+   */
+  async deleteRule(req, res) {
+    try {
+      await templateGeneratorService.deleteRule(req.params.id);
+
+      res.json({
+        success: true,
+        message: `Generator rule ${req.params.id} deleted successfully`
+      });
+    } catch (error) {
+      console.error(`Error deleting generator rule ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to delete generator rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Show the content the current rules would generate for a template
+   */
+  async previewTemplate(req, res) {
+    try {
+      const preview = await templateGeneratorService.previewTemplate(req.params.templateId);
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      console.error(`Error previewing generated template ${req.params.templateId}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to preview generated template',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new GeneratorRuleController();
@@ -0,0 +1,109 @@
+const orderService = require('../services/orderService');
+const hl7Service = require('../services/hl7Service');
+
+const HL7_CONTENT_TYPE = 'x-application/hl7-v2+er7';
+
+class OrderController {
+  /**
+   * Receive an ORM^O01 / OMI^O23 message. Replies with an HL7 ACK when the
+   * client asks for HL7, otherwise with the stored orders as JSON.
+   */
+  async receiveHL7Message(req, res) {
+    const rawMessage = typeof req.body === 'string' ? req.body : (req.body && req.body.message) || '';
+    const wantsHL7 = req.accepts(['json', HL7_CONTENT_TYPE]) === HL7_CONTENT_TYPE;
+
+    try {
+      const { message, orders } = await orderService.receiveMessage(rawMessage);
+      const ack = hl7Service.buildACK(message, 'AA', `Received ${orders.length} order(s)`);
+
+      if (wantsHL7) {
+        return res.type(HL7_CONTENT_TYPE).send(ack);
+      }
+
+      res.json({
+        success: true,
+        message: `Received ${orders.length} order(s)`,
+        data: orders,
+        ack
+      });
+    } catch (error) {
+      console.error('Error receiving HL7 order message:', error.message);
+
+      if (wantsHL7) {
+        let message = null;
+        try {
+          message = hl7Service.parseMessage(rawMessage);
+        } catch (parseError) {
+          // Unreadable MSH; the ACK cannot reference the original control ID
+        }
+        return res.status(error.statusCode || 500).type(HL7_CONTENT_TYPE).send(
+          hl7Service.buildACK(message, error.statusCode === 400 ? 'AR' : 'AE', error.message)
+        );
+      }
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to receive order message',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List received orders
+   */
+  async getAllOrders(req, res) {
+    try {
+      const { status, patientId, procedureCode, limit = 20, skip = 0 } = req.query;
+
+      const { rows, count } = await orderService.listOrders({
+        status,
+        patientId,
+        procedureCode,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          total: count,
+          skip: parseInt(skip),
+          limit: parseInt(limit),
+          hasMore: (parseInt(skip) + parseInt(limit)) < count
+        }
+      });
+    } catch (error) {
+      console.error('Error getting orders:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch orders',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an order and its template suggestions by accession number
+   */
+  async getOrderByAccession(req, res) {
+    try {
+      const order = await orderService.getOrderOrFail(req.params.accessionNumber);
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      console.error(`Error getting order ${req.params.accessionNumber}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch order',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new OrderController();
@@ -0,0 +1,149 @@
+const procedureMappingService = require('../services/procedureMappingService');
+
+class ProcedureMappingController {
+  /**
+   * List procedure mappings with optional filtering and pagination
+   */
+  async getAllMappings(req, res) {
+    try {
+      const { codingSystem, template_id, q, limit = 20, skip = 0 } = req.query;
+
+      const { rows, count } = await procedureMappingService.listMappings({
+        codingSystem,
+        template_id,
+        q,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          total: count,
+          skip: parseInt(skip),
+          limit: parseInt(limit),
+          hasMore: (parseInt(skip) + parseInt(limit)) < count
+        }
+      });
+    } catch (error) {
+      console.error('Error getting procedure mappings:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch procedure mappings',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a procedure mapping by ID
+   */
+  async getMappingById(req, res) {
+    try {
+      const mapping = await procedureMappingService.getMappingOrFail(req.params.id);
+
+      res.json({
+        success: true,
+        data: mapping
+      });
+    } catch (error) {
+      console.error(`Error getting procedure mapping ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch procedure mapping',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a procedure mapping
+   */
+  async createMapping(req, res) {
+    try {
+      const mapping = await procedureMappingService.createMapping(req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Procedure mapping created successfully',
+        data: mapping
+      });
+    } catch (error) {
+      console.error('Error creating procedure mapping:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to create procedure mapping',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a procedure mapping
+   */
+  async updateMapping(req, res) {
+    try {
+      const mapping = await procedureMappingService.updateMapping(req.params.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Procedure mapping updated successfully',
+        data: mapping
+      });
+    } catch (error) {
+      console.error(`Error updating procedure mapping ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to update procedure mapping',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a procedure mapping
+   */
+  async deleteMapping(req, res) {
+    try {
+      await procedureMappingService.deleteMapping(req.params.id);
+
+      res.json({
+        success: true,
+        message: `Procedure mapping ${req.params.id} deleted successfully`
+      });
+    } catch (error) {
+      console.error(`Error deleting procedure mapping ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to delete procedure mapping',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Bulk create/update procedure mappings from CSV
+   */
+  async importMappings(req, res) {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : (req.body && req.body.csv) || '';
+      const results = await procedureMappingService.importCsv(csv);
+
+      res.json({
+        success: true,
+        message: `Imported procedure mappings: ${results.created} created, ${results.updated} updated, ${results.errors.length} rejected`,
+        data: results
+      });
+    } catch (error) {
+      console.error('Error importing procedure mappings:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to import procedure mappings',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ProcedureMappingController();
@@ -0,0 +1,180 @@
+const reportService = require('../services/reportService');
+const hl7Service = require('../services/hl7Service');
+
+class ReportController {
+  /**
+   * List reports with optional filtering and pagination
+   */
+  async getAllReports(req, res) {
+    try {
+      const {
+        status,
+        template_id,
+        accessionNumber,
+        patientId,
+        from,
+        to,
+        limit = 20,
+        skip = 0
+      } = req.query;
+
+      const { rows, count } = await reportService.listReports({
+        status,
+        template_id,
+        accessionNumber,
+        patientId,
+        from,
+        to,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          total: count,
+          skip: parseInt(skip),
+          limit: parseInt(limit),
+          hasMore: (parseInt(skip) + parseInt(limit)) < count
+        }
+      });
+    } catch (error) {
+      console.error('Error getting reports:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch reports',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a report by ID
+   */
+  async getReportById(req, res) {
+    try {
+      const report = await reportService.getReportOrFail(req.params.id);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error(`Error getting report ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch report',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a draft report from a template
+   */
+  async createReport(req, res) {
+    try {
+      const report = await reportService.createReport(req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Report created successfully',
+        data: report
+      });
+    } catch (error) {
+      console.error('Error creating report:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to create report',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a report's field values and metadata
+   */
+  async updateReport(req, res) {
+    try {
+      const report = await reportService.updateReport(req.params.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Report updated successfully',
+        data: report
+      });
+    } catch (error) {
+      console.error(`Error updating report ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to update report',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Change a report's status (draft -> preliminary -> final)
+   */
+  async updateReportStatus(req, res) {
+    try {
+      const { status } = req.body || {};
+      const report = await reportService.transitionStatus(req.params.id, status);
+
+      res.json({
+        success: true,
+        message: `Report moved to ${report.status}`,
+        data: report
+      });
+    } catch (error) {
+      console.error(`Error changing status of report ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to change report status',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a draft report
+   */
+  async deleteReport(req, res) {
+    try {
+      await reportService.deleteReport(req.params.id);
+
+      res.json({
+        success: true,
+        message: `Report ${req.params.id} deleted successfully`
+      });
+    } catch (error) {
+      console.error(`Error deleting report ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to delete report',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a report as an HL7 v2 ORU^R01 message
+   */
+  async getReportHL7(req, res) {
+    try {
+      const message = await hl7Service.generateReportMessage(req.params.id);
+
+      res.type('x-application/hl7-v2+er7').send(message);
+    } catch (error) {
+      console.error(`Error generating HL7 message for report ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to generate HL7 message',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReportController();
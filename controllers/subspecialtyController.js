@@ -1,5 +1,6 @@
 const { Subspecialty, Template } = require('../models');
 const relationshipService = require('../services/relationshipService');
+const templateReviewService = require('../services/templateReviewService');
 
 class SubspecialtyController {
   /**
@@ -127,7 +128,9 @@ class SubspecialtyController {
         skip = 0
       } = req.query;
 
-      const templates = await relationshipService.getTemplatesBySubspecialty(code);
+      const templates = await relationshipService.getTemplatesBySubspecialty(code, {
+        includeUnapproved: templateReviewService.canSeeUnapproved(req)
+      });
 
       // Apply sorting
       const sortOptions = {};
@@ -178,6 +181,7 @@ class SubspecialtyController {
 
       const subspecialties = await relationshipService.getHierarchicalData({
         includeEmpty: includeEmpty === 'true',
+        includeUnapproved: templateReviewService.canSeeUnapproved(req),
         sortBy,
         sortOrder,
         limit: limit ? parseInt(limit) : null,
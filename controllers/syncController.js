@@ -1,7 +1,32 @@
-const rsnaApiService = require('../services/rsnaApiService');
-const relationshipService = require('../services/relationshipService');
+const syncJobService = require('../services/syncJobService');
 const templateDataService = require('../services/templateDataService');
-const templateGeneratorService = require('../services/templateGeneratorService');
+
+/**
+ * Queue a sync job and respond with where to poll for it
+ */
+const queueSyncJob = async (res, type, description, params = {}) => {
+  const run = await syncJobService.submitJob(type, params);
+
+  res.status(202).json({
+    success: true,
+    message: `${description} queued`,
+    data: {
+      jobId: run.id,
+      type: run.type,
+      mode: run.params ? run.params.mode : undefined,
+      status: run.status,
+      statusUrl: `/api/sync/jobs/${run.id}`
+    }
+  });
+};
+
+/**
+ * Read sync options (currently just `mode`) from the body or query string
+ */
+const getSyncParams = (req) => {
+  const mode = (req.body && req.body.mode) || req.query.mode;
+  return mode ? { mode } : {};
+};
 
 class SyncController {
   /**
@@ -9,42 +34,12 @@ class SyncController {
    */
   async syncAllData(req, res) {
     try {
-      console.log('Starting full data sync from RSNA API...');
-      
-      // Fetch data from RSNA API
-      const [subspecialties, templates] = await Promise.all([
-        rsnaApiService.fetchSubspecialties(),
-        rsnaApiService.fetchTemplates()
-      ]);
-
-      console.log(`Fetched ${subspecialties.length} subspecialties and ${templates.length} templates`);
-
-      // Create relationships
-      const result = await relationshipService.createRelationships(subspecialties, templates);
-
-      if (result.success) {
-        res.json({
-          success: true,
-          message: 'Data sync completed successfully',
-          data: {
-            subspecialtiesProcessed: result.stats.subspecialtiesProcessed,
-            templatesProcessed: result.stats.templatesProcessed,
-            relationshipsCreated: result.stats.relationshipsCreated,
-            errors: result.stats.errors
-          }
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Data sync failed',
-          message: result.error
-        });
-      }
+      await queueSyncJob(res, 'all', 'Data sync', getSyncParams(req));
     } catch (error) {
-      console.error('Error syncing data:', error.message);
-      res.status(500).json({
+      console.error('Error queuing data sync:', error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to sync data',
+        error: error.error || 'Failed to sync data',
         message: error.message
       });
     }
@@ -55,42 +50,12 @@ class SyncController {
    */
   async syncWithDetails(req, res) {
     try {
-      console.log('Starting detailed data sync from RSNA API...');
-      
-      // Fetch subspecialties
-      const subspecialties = await rsnaApiService.fetchSubspecialties();
-      console.log(`Fetched ${subspecialties.length} subspecialties`);
-
-      // Fetch templates with detailed information
-      const templates = await rsnaApiService.fetchTemplatesWithDetails();
-      console.log(`Fetched ${templates.length} templates with details`);
-
-      // Create relationships
-      const result = await relationshipService.createRelationships(subspecialties, templates);
-
-      if (result.success) {
-        res.json({
-          success: true,
-          message: 'Detailed data sync completed successfully',
-          data: {
-            subspecialtiesProcessed: result.stats.subspecialtiesProcessed,
-            templatesProcessed: result.stats.templatesProcessed,
-            relationshipsCreated: result.stats.relationshipsCreated,
-            errors: result.stats.errors
-          }
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Detailed data sync failed',
-          message: result.error
-        });
-      }
+      await queueSyncJob(res, 'detailed', 'Detailed data sync', getSyncParams(req));
     } catch (error) {
-      console.error('Error syncing detailed data:', error.message);
-      res.status(500).json({
+      console.error('Error queuing detailed data sync:', error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to sync detailed data',
+        error: error.error || 'Failed to sync detailed data',
         message: error.message
       });
     }
@@ -101,35 +66,12 @@ class SyncController {
    */
   async syncSubspecialties(req, res) {
     try {
-      console.log('Syncing subspecialties...');
-      
-      const subspecialties = await rsnaApiService.fetchSubspecialties();
-      console.log(`Fetched ${subspecialties.length} subspecialties`);
-
-      // Create relationships with empty templates array
-      const result = await relationshipService.createRelationships(subspecialties, []);
-
-      if (result.success) {
-        res.json({
-          success: true,
-          message: 'Subspecialties sync completed successfully',
-          data: {
-            subspecialtiesProcessed: result.stats.subspecialtiesProcessed,
-            errors: result.stats.errors
-          }
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Subspecialties sync failed',
-          message: result.error
-        });
-      }
+      await queueSyncJob(res, 'subspecialties', 'Subspecialties sync', getSyncParams(req));
     } catch (error) {
-      console.error('Error syncing subspecialties:', error.message);
-      res.status(500).json({
+      console.error('Error queuing subspecialties sync:', error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to sync subspecialties',
+        error: error.error || 'Failed to sync subspecialties',
         message: error.message
       });
     }
@@ -140,58 +82,82 @@ class SyncController {
    */
   async syncTemplates(req, res) {
     try {
-      console.log('Syncing templates...');
-      
-      const templates = await rsnaApiService.fetchTemplates();
-      console.log(`Fetched ${templates.length} templates`);
+      await queueSyncJob(res, 'templates', 'Templates sync', getSyncParams(req));
+    } catch (error) {
+      console.error('Error queuing templates sync:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to sync templates',
+        message: error.message
+      });
+    }
+  }
 
-      // Get existing subspecialties
-      const { Subspecialty } = require('../models');
-      const existingSubspecialties = await Subspecialty.findAll();
-      const subspecialtyMap = new Map();
-      existingSubspecialties.forEach(sub => {
-        subspecialtyMap.set(sub.code, sub);
+  /**
+   * List sync jobs, newest first
+   */
+  async getSyncJobs(req, res) {
+    try {
+      const { status, type, limit = 20, skip = 0 } = req.query;
+
+      const { rows, count } = await syncJobService.listJobs({
+        status,
+        type,
+        limit: parseInt(limit),
+        skip: parseInt(skip)
       });
 
-      // Create relationships with existing subspecialties
-      const result = await relationshipService.createRelationships(
-        existingSubspecialties.map(sub => ({
-          code: sub.code,
-          shortName: sub.shortName,
-          name: sub.name,
-          radlexID: sub.radlexID,
-          count: sub.count
-        })), 
-        templates
-      );
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          total: count,
+          skip: parseInt(skip),
+          limit: parseInt(limit),
+          hasMore: (parseInt(skip) + parseInt(limit)) < count
+        }
+      });
+    } catch (error) {
+      console.error('Error getting sync jobs:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sync jobs',
+        message: error.message
+      });
+    }
+  }
 
-      if (result.success) {
-        res.json({
-          success: true,
-          message: 'Templates sync completed successfully',
-          data: {
-            templatesProcessed: result.stats.templatesProcessed,
-            relationshipsCreated: result.stats.relationshipsCreated,
-            errors: result.stats.errors
-          }
-        });
-      } else {
-        res.status(500).json({
+  /**
+   * Get a single sync job with its progress and errors
+   */
+  async getSyncJob(req, res) {
+    try {
+      const { id } = req.params;
+      const run = await syncJobService.getJob(id);
+
+      if (!run) {
+        return res.status(404).json({
           success: false,
-          error: 'Templates sync failed',
-          message: result.error
+          error: 'Sync job not found',
+          message: `No sync job found with ID: ${id}`
         });
       }
+
+      res.json({
+        success: true,
+        data: run
+      });
     } catch (error) {
-      console.error('Error syncing templates:', error.message);
+      console.error(`Error getting sync job ${req.params.id}:`, error.message);
       res.status(500).json({
         success: false,
-        error: 'Failed to sync templates',
+        error: 'Failed to fetch sync job',
         message: error.message
       });
     }
   }
 
+
   /**
    * Get sync status
    */
@@ -204,8 +170,7 @@ class SyncController {
       const totalTemplates = await Template.count();
       const subspecialtiesWithTemplates = await Subspecialty.count({ where: { count: { [Op.gt]: 0 } } });
 
-      // Get last sync time (you might want to store this in a separate collection)
-      const lastSyncTime = new Date(); // This should be stored and retrieved from database
+      const { lastSyncTime, syncStatus, lastRun, activeRun } = await syncJobService.getSyncState();
 
       res.json({
         success: true,
@@ -215,7 +180,9 @@ class SyncController {
           subspecialtiesWithTemplates,
           emptySubspecialties: totalSubspecialties - subspecialtiesWithTemplates,
           lastSyncTime,
-          syncStatus: 'up_to_date' // You can implement logic to determine this
+          syncStatus,
+          lastRun,
+          activeRun
         }
       });
     } catch (error) {
@@ -233,32 +200,12 @@ class SyncController {
    */
   async updateTemplateData(req, res) {
     try {
-      console.log('Starting dynamic template data update...');
-      
-      const result = await templateDataService.updateAllTemplateData();
-
-      if (result.success) {
-        res.json({
-          success: true,
-          message: 'Template data update completed',
-          data: {
-            updated: result.updated,
-            failed: result.failed,
-            total: result.updated + result.failed
-          }
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Template data update failed',
-          message: result.error
-        });
-      }
+      await queueSyncJob(res, 'template-data', 'Template data update');
     } catch (error) {
-      console.error('Error updating template data:', error.message);
-      res.status(500).json({
+      console.error('Error queuing template data update:', error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to update template data',
+        error: error.error || 'Failed to update template data',
         message: error.message
       });
     }
@@ -327,30 +274,12 @@ class SyncController {
    */
   async generateAllTemplateData(req, res) {
     try {
-      console.log('Starting template data generation for all templates...');
-      
-      const result = await templateGeneratorService.generateAllTemplateData();
-
-      if (result.success) {
-        res.json({
-          success: true,
-          message: 'Template data generation completed',
-          data: {
-            updated: result.updated
-          }
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Template data generation failed',
-          message: result.error
-        });
-      }
+      await queueSyncJob(res, 'generate-template-data', 'Template data generation');
     } catch (error) {
-      console.error('Error generating template data:', error.message);
-      res.status(500).json({
+      console.error('Error queuing template data generation:', error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to generate template data',
+        error: error.error || 'Failed to generate template data',
         message: error.message
       });
     }
@@ -1,5 +1,19 @@
-const { Template, Subspecialty } = require('../models');
+const { Template, Subspecialty, ImagingOrder } = require('../models');
 const relationshipService = require('../services/relationshipService');
+const templateVersionService = require('../services/templateVersionService');
+const templateDiffService = require('../services/templateDiffService');
+const mrrtParserService = require('../services/mrrtParserService');
+const reportService = require('../services/reportService');
+const reportRenderService = require('../services/reportRenderService');
+const procedureMappingService = require('../services/procedureMappingService');
+const templateSuggestionService = require('../services/templateSuggestionService');
+const searchIndexService = require('../services/searchIndexService');
+const conceptService = require('../services/conceptService');
+const templateFacetService = require('../services/templateFacetService');
+const usageService = require('../services/usageService');
+const localTemplateService = require('../services/localTemplateService');
+const templateForkService = require('../services/templateForkService');
+const templateReviewService = require('../services/templateReviewService');
 
 class TemplateController {
   /**
@@ -12,32 +26,29 @@ class TemplateController {
         sortOrder = 'desc',
         limit,
         skip = 0,
-        search,
-        specialty,
-        specCode
+        search
       } = req.query;
 
       const { Op } = require('sequelize');
-      let whereClause = {};
+      let baseWhere = {};
+
+      // Ordinary users only see approved templates; reviewers work from the review queue
+      if (!templateReviewService.canSeeUnapproved(req)) {
+        baseWhere.status = 'approved';
+      }
 
       // Add search functionality
       if (search) {
-        whereClause[Op.or] = [
+        baseWhere[Op.or] = [
           { title: { [Op.like]: `%${search}%` } },
           { description: { [Op.like]: `%${search}%` } },
           { specialty: { [Op.like]: `%${search}%` } }
         ];
       }
 
-      // Filter by specialty
-      if (specialty) {
-        whereClause.specialty = { [Op.like]: `%${specialty}%` };
-      }
-
-      // Filter by specCode
-      if (specCode) {
-        whereClause.specCode = { [Op.like]: `%${specCode}%` };
-      }
+      // Multi-select facet filters (specCode=CH,NR, specialty, lang, ...) match exactly
+      const filters = templateFacetService.parseFilters(req.query);
+      const whereClause = { ...baseWhere, [Op.and]: await templateFacetService.buildConditions(filters) };
 
       const orderClause = [[sortBy, sortOrder.toUpperCase()]];
 
@@ -59,6 +70,7 @@ class TemplateController {
 
       const templates = await Template.findAll(queryOptions);
       const total = await Template.count({ where: whereClause });
+      const facets = await templateFacetService.getFacets(baseWhere, filters);
 
       res.json({
         success: true,
@@ -68,13 +80,14 @@ class TemplateController {
           skip: parseInt(skip),
           limit: limit ? parseInt(limit) : null,
           hasMore: limit ? (parseInt(skip) + parseInt(limit)) < total : false
-        }
+        },
+        facets
       });
     } catch (error) {
       console.error('Error getting templates:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to fetch templates',
+        error: error.error || 'Failed to fetch templates',
         message: error.message
       });
     }
@@ -103,7 +116,7 @@ class TemplateController {
 
       const template = await Template.findOne(queryOptions);
 
-      if (!template) {
+      if (!template || !(await templateReviewService.canView(req, template))) {
         return res.status(404).json({
           success: false,
           error: 'Template not found',
@@ -111,6 +124,11 @@ class TemplateController {
         });
       }
 
+      // A failure to count the view shouldn't cost the user the template
+      await usageService.recordEvent(template.template_id, 'view').catch(error => {
+        console.error(`Failed to record view of template ${template.template_id}:`, error.message);
+      });
+
       res.json({
         success: true,
         data: template
@@ -125,6 +143,324 @@ class TemplateController {
     }
   }
 
+  /**
+   * Create a local template
+   */
+  async createTemplate(req, res) {
+    try {
+      const template = await localTemplateService.createTemplate(req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('Error creating template:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to create template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a local template
+   */
+  async updateTemplate(req, res) {
+    try {
+      const template = await localTemplateService.updateTemplate(req.params.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error(`Error updating template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to update template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a local template
+   */
+  async deleteTemplate(req, res) {
+    try {
+      await localTemplateService.deleteTemplate(req.params.id);
+
+      res.json({
+        success: true,
+        message: `Template ${req.params.id} deleted successfully`
+      });
+    } catch (error) {
+      console.error(`Error deleting template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to delete template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Fork an RSNA template into a local template that tracks it
+   */
+  async forkTemplate(req, res) {
+    try {
+      const fork = await templateForkService.forkTemplate(req.params.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: `Template ${req.params.id} forked as ${fork.template_id}`,
+        data: fork
+      });
+    } catch (error) {
+      console.error(`Error forking template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fork template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List local forks of RSNA templates (optional upstreamChanged=true|false)
+   */
+  async getForks(req, res) {
+    try {
+      const { upstreamChanged } = req.query;
+      const listed = await templateForkService.listForks({
+        upstreamChanged: upstreamChanged === undefined ? undefined : upstreamChanged === 'true'
+      });
+      const visible = await Promise.all(listed.map(fork => templateReviewService.canView(req, fork)));
+      const forks = listed.filter((fork, index) => visible[index]);
+
+      res.json({
+        success: true,
+        data: forks,
+        count: forks.length
+      });
+    } catch (error) {
+      console.error('Error getting forks:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch forks',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Preview the three-way section merge of a fork with its current upstream version
+   */
+  async getTemplateMerge(req, res) {
+    try {
+      await templateReviewService.assertCanView(req, req.params.id);
+      const merge = await templateForkService.getMerge(req.params.id);
+
+      res.json({
+        success: true,
+        data: merge
+      });
+    } catch (error) {
+      console.error(`Error merging template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to merge template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Merge the current upstream version into a fork, with resolutions for conflicting sections
+   */
+  async mergeTemplate(req, res) {
+    try {
+      const { resolutions = {} } = req.body || {};
+      const fork = await templateForkService.applyMerge(req.params.id, resolutions);
+
+      res.json({
+        success: true,
+        message: `Merged upstream version ${fork.forkedFromVersion} into ${fork.template_id}`,
+        data: fork
+      });
+    } catch (error) {
+      console.error(`Error merging template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to merge template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a template's review status, reviewers, comments and approvals
+   */
+  async getTemplateReview(req, res) {
+    try {
+      const review = await templateReviewService.getReview(req.params.id);
+
+      res.json({
+        success: true,
+        data: review
+      });
+    } catch (error) {
+      console.error(`Error getting review of template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch template review',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace the reviewers assigned to a template
+   */
+  async assignReviewers(req, res) {
+    try {
+      const { userIds } = req.body || {};
+      const review = await templateReviewService.assignReviewers(req.params.id, userIds, req.user);
+
+      res.json({
+        success: true,
+        message: 'Reviewers assigned successfully',
+        data: review
+      });
+    } catch (error) {
+      console.error(`Error assigning reviewers to template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to assign reviewers',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Comment on a template under review
+   */
+  async addTemplateComment(req, res) {
+    try {
+      const { body } = req.body || {};
+      const comment = await templateReviewService.addComment(req.params.id, body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added successfully',
+        data: comment
+      });
+    } catch (error) {
+      console.error(`Error commenting on template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to add comment',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Move a template through draft -> in-review -> approved -> retired
+   */
+  async changeTemplateStatus(req, res) {
+    try {
+      const { status, comment } = req.body || {};
+      const review = await templateReviewService.changeStatus(req.params.id, status, comment, req.user);
+
+      res.json({
+        success: true,
+        message: `Template ${req.params.id} is now ${review.status}`,
+        data: review
+      });
+    } catch (error) {
+      console.error(`Error changing status of template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to change template status',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the templates in review that are assigned to the signed-in user
+   */
+  async getReviewQueue(req, res) {
+    try {
+      const templates = await templateReviewService.getReviewQueue(req.user);
+
+      res.json({
+        success: true,
+        data: templates,
+        count: templates.length
+      });
+    } catch (error) {
+      console.error('Error getting review queue:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch review queue',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Download a template's MRRT content as a file
+   */
+  async downloadTemplate(req, res) {
+    try {
+      const { id } = req.params;
+      const template = await Template.findOne({
+        where: { template_id: id },
+        attributes: ['template_id', 'template_version', 'title', 'status', 'dataType', 'templateData']
+      });
+
+      if (!template || !(await templateReviewService.canView(req, template))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+          message: `No template found with ID: ${id}`
+        });
+      }
+      if (!template.templateData) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template content not available',
+          message: `Template ${id} has no content yet; run a template-data sync first`
+        });
+      }
+
+      // A failure to count the download shouldn't cost the user the file
+      await usageService.recordEvent(template.template_id, 'download').catch(error => {
+        console.error(`Failed to record download of template ${template.template_id}:`, error.message);
+      });
+
+      const extension = template.dataType === 'html' ? 'html' : 'txt';
+      const filename = `${template.template_id}-${template.template_version}.${extension}`.replace(/[^\w.-]/g, '_');
+      res
+        .type(extension)
+        .attachment(filename)
+        .send(template.templateData);
+    } catch (error) {
+      console.error(`Error downloading template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to download template',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get subspecialties for a specific template
    */
@@ -147,118 +483,474 @@ class TemplateController {
     }
   }
 
+  /**
+   * Get the version history of a template
+   */
+  async getTemplateVersions(req, res) {
+    try {
+      const { id } = req.params;
+      await templateReviewService.assertCanView(req, id);
+      const versions = await templateVersionService.getVersions(id);
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template versions not found',
+          message: `No versions found for template ID: ${id}`
+        });
+      }
+
+      const template = await Template.findOne({
+        where: { template_id: id },
+        attributes: ['template_version']
+      });
+
+      res.json({
+        success: true,
+        data: {
+          template_id: id,
+          currentVersion: template ? template.template_version : null,
+          versions
+        }
+      });
+    } catch (error) {
+      console.error(`Error getting versions for template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch template versions',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a specific version of a template including its template data
+   */
+  async getTemplateVersion(req, res) {
+    try {
+      const { id, version } = req.params;
+      await templateReviewService.assertCanView(req, id);
+      const templateVersion = await templateVersionService.getVersion(id, version);
+
+      if (!templateVersion) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template version not found',
+          message: `No version ${version} found for template ID: ${id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: templateVersion
+      });
+    } catch (error) {
+      console.error(`Error getting version ${req.params.version} of template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to fetch template version',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a per-section structural diff between two versions of a template
+   */
+  async getTemplateDiff(req, res) {
+    try {
+      const { id } = req.params;
+      const { from } = req.query;
+      let { to } = req.query;
+      await templateReviewService.assertCanView(req, id);
+
+      if (!from) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing version',
+          message: 'The "from" query parameter is required'
+        });
+      }
+
+      // Default to the currently synced version
+      if (!to) {
+        const template = await Template.findOne({
+          where: { template_id: id },
+          attributes: ['template_version']
+        });
+        to = template ? template.template_version : null;
+      }
+
+      const [fromVersion, toVersion] = await Promise.all([
+        templateVersionService.getVersion(id, from),
+        to ? templateVersionService.getVersion(id, to) : null
+      ]);
+
+      for (const [requested, found] of [[from, fromVersion], [to, toVersion]]) {
+        if (!found) {
+          return res.status(404).json({
+            success: false,
+            error: 'Template version not found',
+            message: `No version ${requested || '(current)'} found for template ID: ${id}`
+          });
+        }
+        if (!found.templateData) {
+          return res.status(422).json({
+            success: false,
+            error: 'Template data not available',
+            message: `Version ${requested} of template ${id} has no template data to compare`
+          });
+        }
+      }
+
+      const diff = templateDiffService.diffTemplates(fromVersion, toVersion);
+
+      res.json({
+        success: true,
+        data: {
+          template_id: id,
+          from: fromVersion.template_version,
+          to: toVersion.template_version,
+          ...diff
+        }
+      });
+    } catch (error) {
+      console.error(`Error diffing template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to diff template versions',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the template mapped to a procedure code, or ranked suggestions when the code is not mapped
+   */
+  async getTemplateByProcedure(req, res) {
+    try {
+      const { code } = req.params;
+      const { system, description, limit = 5 } = req.query;
+
+      const mapping = await procedureMappingService.findMapping(code, system);
+      if (mapping) {
+        const template = await Template.findOne({
+          where: { template_id: mapping.template_id },
+          include: [{
+            model: Subspecialty,
+            as: 'subspecialties',
+            attributes: ['code', 'name', 'shortName'],
+            through: { attributes: [] }
+          }]
+        });
+
+        // A mapping to a template the reader can't see falls through to the suggestions
+        if (template && await templateReviewService.canView(req, template)) {
+          return res.json({
+            success: true,
+            data: {
+              source: 'mapping',
+              mapping,
+              template,
+              // Version reports for this procedure should be authored against
+              template_version: mapping.preferredVersion || template.template_version
+            }
+          });
+        }
+      }
+
+      // Unmapped: rank by the given description, else the last ordered description for this code
+      let procedureDescription = description;
+      if (!procedureDescription) {
+        const order = await ImagingOrder.findOne({
+          where: { procedureCode: code },
+          attributes: ['procedureDescription'],
+          order: [['receivedAt', 'DESC']]
+        });
+        procedureDescription = order && order.procedureDescription;
+      }
+
+      const suggestions = procedureDescription
+        ? await templateSuggestionService.rankTemplates(procedureDescription, {
+          limit: Math.min(parseInt(limit) || 5, 50)
+        })
+        : [];
+
+      if (suggestions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No template found',
+          message: procedureDescription
+            ? `Procedure ${code} is not mapped and no template matches "${procedureDescription}"`
+            : `Procedure ${code} is not mapped; pass a description to rank templates`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          source: 'ranked',
+          description: procedureDescription,
+          suggestions
+        }
+      });
+    } catch (error) {
+      console.error(`Error finding template for procedure ${req.params.code}:`, error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to find template for procedure',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the parsed MRRT structure of a template (sections, fields, code bindings)
+   */
+  async getTemplateStructure(req, res) {
+    try {
+      const { id } = req.params;
+      const { version } = req.query;
+      await templateReviewService.assertCanView(req, id);
+
+      // A specific version comes from the history table, otherwise use the current template
+      const source = version
+        ? await templateVersionService.getVersion(id, version)
+        : await Template.findOne({
+          where: { template_id: id },
+          attributes: ['template_id', 'template_version', 'title', 'templateData']
+        });
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: version ? 'Template version not found' : 'Template not found',
+          message: version
+            ? `No version ${version} found for template ID: ${id}`
+            : `No template found with ID: ${id}`
+        });
+      }
+
+      if (!source.templateData) {
+        return res.status(422).json({
+          success: false,
+          error: 'Template data not available',
+          message: `Template ${id} has no template data to parse`
+        });
+      }
+
+      const structure = mrrtParserService.parseTemplate(source);
+
+      res.json({
+        success: true,
+        data: {
+          template_id: source.template_id,
+          template_version: source.template_version,
+          title: source.title,
+          ...structure
+        }
+      });
+    } catch (error) {
+      console.error(`Error parsing template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to parse template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Render a template filled with values as HTML or plain text
+   */
+  async renderTemplate(req, res) {
+    try {
+      const { id } = req.params;
+      const { values = {}, template_version } = req.body || {};
+      const version = template_version || req.query.version;
+
+      // An explicit format wins over the Accept header
+      const format = (req.body && req.body.format) || req.query.format
+        || { 'application/json': 'json', 'text/html': 'html', 'text/plain': 'text' }[
+          req.accepts(['application/json', 'text/html', 'text/plain'])
+        ];
+
+      if (!['html', 'text', 'json'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid format',
+          message: 'Format must be one of: html, text, json'
+        });
+      }
+
+      await templateReviewService.assertCanView(req, id);
+      const templateVersion = await templateVersionService.resolveVersion(id, version);
+      if (!templateVersion) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template version not found',
+          message: `No version ${version || '(current)'} found for template ID: ${id}`
+        });
+      }
+
+      reportService.validateValues(values, reportService.getTemplateFields(templateVersion));
+
+      if (format === 'html') {
+        return res.type('html').send(reportRenderService.renderHtml(templateVersion, values));
+      }
+
+      if (format === 'text') {
+        return res.type('text/plain').send(reportRenderService.renderText(templateVersion, values));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          template_id: templateVersion.template_id,
+          template_version: templateVersion.template_version,
+          html: reportRenderService.renderHtml(templateVersion, values),
+          text: reportRenderService.renderText(templateVersion, values)
+        }
+      });
+    } catch (error) {
+      console.error(`Error rendering template ${req.params.id}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.error || 'Failed to render template',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Search templates by multiple criteria
    */
   async searchTemplates(req, res) {
     try {
       const {
-        q, // general search query
+        q, // general search query (full-text, ranked)
         title,
-        specialty,
-        specCode,
-        author,
-        sortBy = 'created',
         sortOrder = 'desc',
+        expand = 'true', // expand q with dictionary synonyms
         limit = 20,
         skip = 0
       } = req.query;
+      // Relevance only means something for a full-text query
+      const sortBy = req.query.sortBy || (q ? 'relevance' : 'created');
 
       const { Op } = require('sequelize');
-      let whereClause = {};
+      let baseWhere = {};
+
+      // Ordinary users only see approved templates; reviewers work from the review queue
+      if (!templateReviewService.canSeeUnapproved(req)) {
+        baseWhere.status = 'approved';
+      }
+      let matches = null;
+      let expansion = null;
 
-      // General search across multiple fields
+      // Full-text search over title, description, author, specialty and section text,
+      // also matching other names of concepts in the query (CXR -> chest radiograph)
       if (q) {
-        whereClause[Op.or] = [
-          { title: { [Op.like]: `%${q}%` } },
-          { description: { [Op.like]: `%${q}%` } },
-          { specialty: { [Op.like]: `%${q}%` } },
-          { author: { [Op.like]: `%${q}%` } },
-          { firstname: { [Op.like]: `%${q}%` } },
-          { lastname: { [Op.like]: `%${q}%` } }
-        ];
+        expansion = expand !== 'false' ? await conceptService.expandQuery(q) : { concepts: [], expansions: [] };
+        const results = await searchIndexService.search(q, { expansions: expansion.expansions });
+        matches = new Map(results.map(match => [match.id, match]));
+        baseWhere.id = { [Op.in]: [...matches.keys()] };
       }
 
-      // Specific field searches
       if (title) {
-        whereClause.title = { [Op.like]: `%${title}%` };
+        baseWhere.title = { [Op.like]: `%${title}%` };
       }
 
-      if (specialty) {
-        whereClause.specialty = { [Op.like]: `%${specialty}%` };
-      }
+      // Multi-select facet filters (specCode=CH,NR, specialty, lang, TLAP_Approved, dataType, author, year) match exactly
+      const filters = templateFacetService.parseFilters(req.query);
+      const whereClause = { ...baseWhere, [Op.and]: await templateFacetService.buildConditions(filters) };
+
+      const include = [{
+        model: Subspecialty,
+        as: 'subspecialties',
+        attributes: ['code', 'name', 'shortName'],
+        through: { attributes: [] }
+      }];
+
+      let templates;
+      let total;
+
+      if (sortBy === 'relevance' && matches) {
+        // Rank the filtered IDs by score, then load just the requested page
+        const ids = (await Template.findAll({ where: whereClause, attributes: ['id'] }))
+          .map(template => template.id)
+          .sort((a, b) => matches.get(b).score - matches.get(a).score || a - b);
+        if (sortOrder === 'asc') {
+          ids.reverse();
+        }
 
-      if (specCode) {
-        whereClause.specCode = { [Op.like]: `%${specCode}%` };
-      }
+        total = ids.length;
+        const pageIds = ids.slice(parseInt(skip), parseInt(skip) + parseInt(limit));
+        const rows = await Template.findAll({ where: { id: { [Op.in]: pageIds } }, include });
+        templates = pageIds.map(id => rows.find(row => row.id === id));
+      } else {
+        const orderClause = [[sortBy === 'relevance' ? 'created' : sortBy, sortOrder.toUpperCase()]];
+
+        templates = await Template.findAll({
+          where: whereClause,
+          include,
+          order: orderClause,
+          offset: parseInt(skip),
+          limit: parseInt(limit)
+        });
 
-      if (author) {
-        whereClause[Op.or] = [
-          { author: { [Op.like]: `%${author}%` } },
-          { firstname: { [Op.like]: `%${author}%` } },
-          { lastname: { [Op.like]: `%${author}%` } }
-        ];
+        total = await Template.count({ where: whereClause });
       }
 
-      const orderClause = [[sortBy, sortOrder.toUpperCase()]];
-
-      const templates = await Template.findAll({
-        where: whereClause,
-        include: [{
-          model: Subspecialty,
-          as: 'subspecialties',
-          attributes: ['code', 'name', 'shortName'],
-          through: { attributes: [] }
-        }],
-        order: orderClause,
-        offset: parseInt(skip),
-        limit: parseInt(limit)
-      });
+      const facets = await templateFacetService.getFacets(baseWhere, filters);
 
-      const total = await Template.count({ where: whereClause });
+      const data = matches
+        ? templates.map(template => {
+          const match = matches.get(template.id);
+          return {
+            ...template.toJSON(),
+            score: match.score,
+            highlights: searchIndexService.getHighlights(template.id, match.terms)
+          };
+        })
+        : templates;
 
       res.json({
         success: true,
-        data: templates,
+        data,
         pagination: {
           total,
           skip: parseInt(skip),
           limit: parseInt(limit),
           hasMore: (parseInt(skip) + parseInt(limit)) < total
         },
+        facets,
         searchCriteria: {
-          q, title, specialty, specCode, author
+          q, title, filters, sortBy,
+          concepts: expansion ? expansion.concepts : undefined,
+          expandedTerms: expansion ? expansion.expansions : undefined
         }
       });
     } catch (error) {
       console.error('Error searching templates:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to search templates',
+        error: error.error || 'Failed to search templates',
         message: error.message
       });
     }
   }
 
   /**
-   * Get template statistics
+   * Get template statistics: counts by specialty, RSNA (upstream) vs. local popularity
+   * and local usage trends (optional from, to, interval=day|week|month)
    */
   async getTemplateStatistics(req, res) {
     try {
       const { sequelize } = require('../database/connection');
+      const { from, to, interval } = req.query;
       const totalTemplates = await Template.count();
-      
-      const totalViewsResult = await Template.findAll({
-        attributes: [[sequelize.fn('SUM', sequelize.col('views')), 'total']],
-        raw: true
-      });
-      const totalViews = totalViewsResult[0]?.total || 0;
-
-      const totalDownloadsResult = await Template.findAll({
-        attributes: [[sequelize.fn('SUM', sequelize.col('downloads')), 'total']],
-        raw: true
-      });
-      const totalDownloads = totalDownloadsResult[0]?.total || 0;
+      const usage = await usageService.getStatistics({ from, to, interval });
 
       // Get templates by specialty
       const templatesBySpecialty = await Template.findAll({
@@ -276,32 +968,33 @@ class TemplateController {
       const mostViewedTemplates = await Template.findAll({
         order: [['views', 'DESC']],
         limit: 10,
-        attributes: ['template_id', 'title', 'views', 'specialty']
+        attributes: ['template_id', 'title', 'views', 'localViews', 'specialty']
       });
 
       // Get most downloaded templates
       const mostDownloadedTemplates = await Template.findAll({
         order: [['downloads', 'DESC']],
         limit: 10,
-        attributes: ['template_id', 'title', 'downloads', 'specialty']
+        attributes: ['template_id', 'title', 'downloads', 'localDownloads', 'specialty']
       });
 
       res.json({
         success: true,
         data: {
           totalTemplates,
-          totalViews: totalViews[0]?.total || 0,
-          totalDownloads: totalDownloads[0]?.total || 0,
+          totalViews: usage.upstream.views,
+          totalDownloads: usage.upstream.downloads,
           templatesBySpecialty,
           mostViewedTemplates,
-          mostDownloadedTemplates
+          mostDownloadedTemplates,
+          ...usage
         }
       });
     } catch (error) {
       console.error('Error getting template statistics:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to fetch template statistics',
+        error: error.error || 'Failed to fetch template statistics',
         message: error.message
       });
     }
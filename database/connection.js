@@ -1,5 +1,6 @@
 const { Sequelize } = require('sequelize');
 const config = require('../config');
+const { migrateSchema } = require('./migrations');
 
 // Create Sequelize instance
 const sequelize = new Sequelize(
@@ -32,9 +33,12 @@ const testConnection = async () => {
   }
 };
 
-// Sync database (create tables if they don't exist)
+// Sync database (add columns new models define to existing tables, then create tables that don't exist)
 const syncDatabase = async (force = false) => {
   try {
+    if (!force) {
+      await migrateSchema(sequelize);
+    }
     await sequelize.sync({ force });
     console.log('✅ Database synchronized successfully.');
     return true;
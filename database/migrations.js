@@ -0,0 +1,101 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+
+/**
+ * Bring tables created by an older release up to date before sequelize.sync(), which only
+ * creates missing tables (and the indexes of the columns they already have). Columns
+ * the models gained since are added with their defaults, then backfilled where the
+ * default would be wrong for existing rows. Only additive changes are made.
+ */
+
+// Values for rows that existed before a column was added, keyed by model and attribute
+const backfills = {
+  Template: {
+    // Everything stored before local templates existed came from RSNA, and was listed
+    // to everyone, so keep it visible the way a sync would set it
+    status: async (Template) => {
+      if (!config.review.requireTlapApproval) {
+        await Template.update({ status: 'approved' }, { where: {}, hooks: false });
+        return;
+      }
+
+      // Loaded here: services depend on the models this module runs before
+      const templateReviewService = require('../services/templateReviewService');
+      const templates = await Template.findAll({ attributes: ['id', 'TLAP_Approved'] });
+      for (const status of ['approved', 'in-review']) {
+        const ids = templates
+          .filter(template => templateReviewService.getTlapStatus(template.TLAP_Approved) === status)
+          .map(template => template.id);
+        if (ids.length > 0) {
+          await Template.update({ status }, { where: { id: { [Op.in]: ids } }, hooks: false });
+        }
+      }
+    }
+  },
+  TemplateVersion: {
+    // Snapshots of generated content were recorded before they were marked; the template
+    // still carries the flag for its current version
+    synthetic: async (TemplateVersion) => {
+      const { Template } = TemplateVersion.sequelize.models;
+      const templates = await Template.findAll({
+        where: { synthetic: true },
+        attributes: ['template_id', 'template_version', 'templateData']
+      });
+      for (const template of templates) {
+        await TemplateVersion.update({ synthetic: true }, {
+          where: {
+            template_id: template.template_id,
+            template_version: template.template_version,
+            templateData: template.templateData
+          },
+          hooks: false
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Add the columns each model defines that its existing table lacks
+ * @param {Object} sequelize - Sequelize instance with every model defined
+ * @returns {Promise<Array<string>>} Added columns as "table.column"
+ */
+const migrateSchema = async (sequelize) => {
+  const queryInterface = sequelize.getQueryInterface();
+  const existingTables = (await queryInterface.showAllTables())
+    .map(table => (typeof table === 'string' ? table : table.tableName));
+  const added = [];
+
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    if (!existingTables.includes(tableName)) {
+      continue;
+    }
+
+    const columns = await queryInterface.describeTable(tableName);
+    for (const [attributeName, attribute] of Object.entries(model.getAttributes())) {
+      if (columns[attribute.field]) {
+        continue;
+      }
+
+      await queryInterface.addColumn(tableName, attribute.field, {
+        type: attribute.type,
+        allowNull: attribute.allowNull !== false,
+        defaultValue: attribute.defaultValue
+      });
+      added.push(`${tableName}.${attribute.field}`);
+      console.log(`✅ Added column ${tableName}.${attribute.field}`);
+
+      const backfill = backfills[model.name] && backfills[model.name][attributeName];
+      if (backfill) {
+        await backfill(model);
+      }
+    }
+  }
+
+  return added;
+};
+
+module.exports = {
+  migrateSchema
+};
@@ -105,10 +105,136 @@ const validateTemplateId = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate sync job ID format
+ */
+const validateSyncJobId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (id && !/^[0-9]+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid sync job ID',
+      message: 'Sync job ID must be numeric'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate report ID format
+ */
+const validateReportId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (id && !/^[0-9]+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid report ID',
+      message: 'Report ID must be numeric'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate procedure mapping ID format
+ */
+const validateProcedureMappingId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (id && !/^[0-9]+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid procedure mapping ID',
+      message: 'Procedure mapping ID must be numeric'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate user ID format
+ */
+const validateUserId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (id && !/^[0-9]+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user ID',
+      message: 'User ID must be numeric'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate API key ID format
+ */
+const validateApiKeyId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (id && !/^[0-9]+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid API key ID',
+      message: 'API key ID must be numeric'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate template generator rule ID format
+ */
+const validateGeneratorRuleId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (id && !/^[0-9]+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid generator rule ID',
+      message: 'Generator rule ID must be numeric'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate RadLex ID format (e.g. RID1301)
+ */
+const validateRadlexId = (req, res, next) => {
+  const { radlexId } = req.params;
+  
+  if (radlexId && !/^RID[0-9]+$/i.test(radlexId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid RadLex ID',
+      message: 'RadLex ID must be "RID" followed by digits, e.g. RID1301'
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
   validateObjectId,
   validatePagination,
   validateSort,
   validateSubspecialtyCode,
-  validateTemplateId
+  validateTemplateId,
+  validateSyncJobId,
+  validateReportId,
+  validateProcedureMappingId,
+  validateUserId,
+  validateApiKeyId,
+  validateGeneratorRuleId,
+  validateRadlexId
 };
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // First characters of the key, shown in listings so keys can be told apart
+  keyPrefix: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // SHA-256 of the full key; the key itself is only returned once, when issued
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // e.g. ["templates:read", "sync:write"]
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['keyHash'] }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['key_hash']
+    }
+  ]
+});
+
+module.exports = ApiKey;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const AuditEvent = sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'update', 'delete'),
+    allowNull: false
+  },
+  // Model name, e.g. Template, Subspecialty, Report
+  entityType: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  actorType: {
+    type: DataTypes.ENUM('user', 'api-key', 'system'),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Username, API key name or "system"
+  actorName: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  // What carried the change, e.g. "POST /api/sync/all" or "sync job 12 (all)"
+  source: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  // { field: { before, after } }
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'audit_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['entity_type', 'entity_id']
+    },
+    {
+      fields: ['actor_name']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = AuditEvent;
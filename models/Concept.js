@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const Concept = sequelize.define('Concept', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // RADLEX, LOINC or LOCAL (institution synonym groups such as CXR)
+  system: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'LOCAL'
+  },
+  // e.g. RID1301, 24648-8, CXR
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  preferredTerm: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Other names searched as the same concept, e.g. ["CXR", "chest radiograph", "PA and lateral"]
+  synonyms: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'concepts',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['system', 'code']
+    },
+    {
+      fields: ['preferred_term']
+    }
+  ]
+});
+
+module.exports = Concept;
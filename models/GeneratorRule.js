@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const GeneratorRule = sequelize.define('GeneratorRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // For each section the highest-priority matching rule wins; ties go to the older rule
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Match conditions. Empty lists match anything; the rule applies when every
+  // non-empty list has a match
+  specialties: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  specCodes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  titleKeywords: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Section id (procedureInformation, findings, ...) -> default text of that section's field
+  sections: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'generator_rules',
+  timestamps: true
+});
+
+module.exports = GeneratorRule;
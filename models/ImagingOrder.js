@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const ImagingOrder = sequelize.define('ImagingOrder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  accessionNumber: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  // e.g. ORM^O01 or OMI^O23
+  messageType: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  messageControlId: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // ORC-1 (NW, XO, CA, ...)
+  orderControl: {
+    type: DataTypes.STRING(5),
+    allowNull: true
+  },
+  placerOrderNumber: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  fillerOrderNumber: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  patientId: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  patientName: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  // OBR-4 universal service identifier
+  procedureCode: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  procedureDescription: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  procedureCodingSystem: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Ranked template suggestions: [{ template_id, title, score, reasons }]
+  suggestions: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  rawMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'imaging_orders',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['accession_number']
+    },
+    {
+      fields: ['procedure_code']
+    },
+    {
+      fields: ['patient_id']
+    }
+  ]
+});
+
+module.exports = ImagingOrder;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const ProcedureMapping = sequelize.define('ProcedureMapping', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  procedureCode: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // CPT, RPID (RadLex Playbook), LOCAL (institution charge codes), ...
+  codingSystem: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'LOCAL',
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // RSNA template_id rather than a foreign key, like template_versions
+  template_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Version to author reports against; null follows the current version
+  preferredVersion: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  tableName: 'procedure_mappings',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['procedure_code', 'coding_system']
+    },
+    {
+      fields: ['template_id']
+    }
+  ]
+});
+
+module.exports = ProcedureMapping;
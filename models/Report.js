@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const Report = sequelize.define('Report', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  template_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  template_version: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'preliminary', 'final'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  // Filled values keyed by MRRT field id; the template HTML stays in template_versions
+  values: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  accessionNumber: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  patientId: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  patientName: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  patientBirthDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  patientSex: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  studyDate: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  radiologist: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  preliminaryAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finalizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'reports',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['template_id', 'template_version']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['accession_number']
+    },
+    {
+      fields: ['patient_id']
+    },
+    {
+      fields: ['finalized_at']
+    }
+  ]
+});
+
+module.exports = Report;
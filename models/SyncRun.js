@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const SyncRun = sequelize.define('SyncRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  phase: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  params: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  totalItems: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  processedItems: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  failedItems: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  errors: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'sync_runs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['type']
+    },
+    {
+      fields: ['finished_at']
+    }
+  ]
+});
+
+module.exports = SyncRun;
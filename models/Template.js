@@ -15,6 +15,34 @@ const Template = sequelize.define('Template', {
       notEmpty: true
     }
   },
+  // rsna: synced from the RSNA library (read-only here); local: authored by our department
+  source: {
+    type: DataTypes.ENUM('rsna', 'local'),
+    allowNull: false,
+    defaultValue: 'rsna'
+  },
+  // Review lifecycle: draft -> in-review -> approved -> retired. Only approved templates are
+  // listed for ordinary users; synced templates take theirs from TLAP_Approved
+  status: {
+    type: DataTypes.ENUM('draft', 'in-review', 'approved', 'retired'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  // For local forks of an RSNA template: the upstream template_id and the version the fork was last based on
+  forkedFrom: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  forkedFromVersion: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Set by syncs when the upstream template has moved past forkedFromVersion
+  upstreamChanged: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   template_version: {
     type: DataTypes.STRING(100),
     allowNull: false,
@@ -91,6 +119,22 @@ const Template = sequelize.define('Template', {
       min: 0
     }
   },
+  // Usage by our own users (usage_events), kept apart from the RSNA views/downloads above
+  localViews: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  localDownloads: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  localReportUses: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   dataType: {
     type: DataTypes.STRING(20),
     allowNull: false,
@@ -99,6 +143,12 @@ const Template = sequelize.define('Template', {
   templateData: {
     type: DataTypes.TEXT('long'),
     allowNull: true
+  },
+  // templateData was made up by the rule-driven generator, not published by RSNA
+  synthetic: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
   }
 }, {
   tableName: 'templates',
@@ -116,6 +166,15 @@ const Template = sequelize.define('Template', {
     },
     {
       fields: ['specialty']
+    },
+    {
+      fields: ['source']
+    },
+    {
+      fields: ['forked_from']
+    },
+    {
+      fields: ['status']
     }
   ]
 });
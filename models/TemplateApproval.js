@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const TemplateApproval = sequelize.define('TemplateApproval', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  template_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  template_version: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // review: approved by an assigned reviewer; tlap: approved by RSNA's Template Library Advisory Panel
+  basis: {
+    type: DataTypes.ENUM('review', 'tlap'),
+    allowNull: false,
+    defaultValue: 'review'
+  },
+  approverId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Username, or "RSNA TLAP"
+  approverName: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  approvedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'template_approvals',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['template_id', 'approved_at']
+    }
+  ]
+});
+
+module.exports = TemplateApproval;
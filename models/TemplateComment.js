@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const TemplateComment = sequelize.define('TemplateComment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  template_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Version under review when the comment was made
+  template_version: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  authorName: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Set when the comment came with a status change, e.g. changes requested (in-review -> draft)
+  statusChange: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'template_comments',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['template_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = TemplateComment;
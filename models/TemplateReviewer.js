@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const TemplateReviewer = sequelize.define('TemplateReviewer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  template_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // User who made the assignment
+  assignedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'template_reviewers',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['template_id', 'user_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = TemplateReviewer;
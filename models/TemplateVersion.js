@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const TemplateVersion = sequelize.define('TemplateVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Keyed by the RSNA template_id rather than a foreign key so history
+  // survives the template being removed upstream
+  template_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  template_version: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  lang: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  created: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  specialty: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  specCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  author: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    defaultValue: ''
+  },
+  firstname: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    defaultValue: ''
+  },
+  lastname: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    defaultValue: ''
+  },
+  dataType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'html'
+  },
+  templateData: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  // templateData was generated (see Template.synthetic); real RSNA content may replace it
+  synthetic: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  syncedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'template_versions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['template_id', 'template_version']
+    },
+    {
+      fields: ['template_id']
+    },
+    {
+      fields: ['synced_at']
+    }
+  ]
+});
+
+module.exports = TemplateVersion;
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const UsageEvent = sequelize.define('UsageEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  template_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // view: template opened, download: template file downloaded, report: report started from it
+  eventType: {
+    type: DataTypes.ENUM('view', 'download', 'report'),
+    allowNull: false
+  },
+  actorType: {
+    type: DataTypes.ENUM('user', 'api-key', 'system'),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Username, API key name or "system"
+  actorName: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  // The user's department at the time of the event
+  department: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  tableName: 'usage_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['template_id', 'created_at']
+    },
+    {
+      fields: ['created_at']
+    },
+    {
+      fields: ['department']
+    }
+  ]
+});
+
+module.exports = UsageEvent;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database/connection');
+
+const User = sequelize.define('User', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  username: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // scrypt hash: "scrypt$<salt>$<hash>"
+  passwordHash: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  displayName: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  // Reported with the user's template usage, e.g. "Neuroradiology" or "ED"
+  department: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Any of: viewer, radiologist, template-admin, sync-operator
+  roles: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: ['viewer']
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'users',
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['passwordHash'] }
+  },
+  scopes: {
+    withPassword: {
+      attributes: { include: ['passwordHash'] }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['username']
+    }
+  ]
+});
+
+module.exports = User;
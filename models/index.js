@@ -1,6 +1,22 @@
 const Subspecialty = require('./Subspecialty');
 const Template = require('./Template');
 const SubspecialtyTemplate = require('./SubspecialtyTemplate');
+const SyncRun = require('./SyncRun');
+const TemplateVersion = require('./TemplateVersion');
+const Report = require('./Report');
+const ImagingOrder = require('./ImagingOrder');
+const ProcedureMapping = require('./ProcedureMapping');
+const User = require('./User');
+const ApiKey = require('./ApiKey');
+const AuditEvent = require('./AuditEvent');
+const Concept = require('./Concept');
+const UsageEvent = require('./UsageEvent');
+const TemplateReviewer = require('./TemplateReviewer');
+const TemplateComment = require('./TemplateComment');
+const TemplateApproval = require('./TemplateApproval');
+const GeneratorRule = require('./GeneratorRule');
+const { sequelize } = require('../database/connection');
+const auditService = require('../services/auditService');
 
 // Define associations
 Subspecialty.belongsToMany(Template, {
@@ -17,9 +33,83 @@ Template.belongsToMany(Subspecialty, {
   as: 'subspecialties'
 });
 
+SubspecialtyTemplate.belongsTo(Subspecialty, {
+  foreignKey: 'subspecialtyId',
+  as: 'subspecialty'
+});
+
+SubspecialtyTemplate.belongsTo(Template, {
+  foreignKey: 'templateId',
+  as: 'template'
+});
+
+Template.hasMany(TemplateVersion, {
+  foreignKey: 'template_id',
+  sourceKey: 'template_id',
+  constraints: false,
+  as: 'versions'
+});
+
+TemplateVersion.belongsTo(Template, {
+  foreignKey: 'template_id',
+  targetKey: 'template_id',
+  constraints: false,
+  as: 'template'
+});
+
+Report.belongsTo(Template, {
+  foreignKey: 'template_id',
+  targetKey: 'template_id',
+  constraints: false,
+  as: 'template'
+});
+
+ProcedureMapping.belongsTo(Template, {
+  foreignKey: 'template_id',
+  targetKey: 'template_id',
+  constraints: false,
+  as: 'template'
+});
+
+Template.hasMany(UsageEvent, {
+  foreignKey: 'template_id',
+  sourceKey: 'template_id',
+  constraints: false,
+  as: 'usageEvents'
+});
+
+TemplateReviewer.belongsTo(User, {
+  foreignKey: 'userId',
+  constraints: false,
+  as: 'user'
+});
+
+ApiKey.belongsTo(User, {
+  foreignKey: 'createdBy',
+  constraints: false,
+  as: 'creator'
+});
+
+// Record creates, updates and deletes on every model in audit_events
+auditService.registerHooks(sequelize);
+
 // Export models
 module.exports = {
   Subspecialty,
   Template,
-  SubspecialtyTemplate
+  SubspecialtyTemplate,
+  SyncRun,
+  TemplateVersion,
+  Report,
+  ImagingOrder,
+  ProcedureMapping,
+  User,
+  ApiKey,
+  AuditEvent,
+  Concept,
+  UsageEvent,
+  TemplateReviewer,
+  TemplateComment,
+  TemplateApproval,
+  GeneratorRule
 };
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validateApiKeyId } = require('../middleware/validation');
+
+// GET /api/api-keys - List API keys
+router.get('/', authorize(ROLES.admin), apiKeyController.getAllKeys);
+
+// POST /api/api-keys - Issue an API key
+router.post('/', authorize(ROLES.admin), apiKeyController.issueKey);
+
+// GET /api/api-keys/:id - Get API key by ID
+router.get('/:id', authorize(ROLES.admin), validateApiKeyId, apiKeyController.getKeyById);
+
+// DELETE /api/api-keys/:id - Revoke an API key
+router.delete('/:id', authorize(ROLES.admin), validateApiKeyId, apiKeyController.revokeKey);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+
+// GET /api/audit - List audit events (filters: entity, entityId, actor, action, from, to)
+router.get('/', authorize(ROLES.admin, 'audit:read'), validatePagination, auditController.getAuditEvents);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { ROLES, authenticate, authorize } = require('../middleware/auth');
+
+// POST /api/auth/login - Exchange username and password for a bearer token
+router.post('/login', authController.login);
+
+// GET /api/auth/me - Get the signed-in user
+router.get('/me', authenticate, authorize(ROLES.read), authController.getCurrentUser);
+
+// PUT /api/auth/password - Change the signed-in user's password
+router.put('/password', authenticate, authorize(ROLES.read), authController.changePassword);
+
+module.exports = router;
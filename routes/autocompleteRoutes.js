@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const autocompleteController = require('../controllers/autocompleteController');
+const { ROLES, authorize } = require('../middleware/auth');
+
+// GET /api/autocomplete - Typeahead suggestions for template titles, subspecialties and authors
+router.get('/', authorize(ROLES.read, 'templates:read'), autocompleteController.getSuggestions);
+
+module.exports = router;
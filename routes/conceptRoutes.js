@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const conceptController = require('../controllers/conceptController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validatePagination, validateRadlexId } = require('../middleware/validation');
+
+// Vocabulary extracts arrive as raw CSV text; RadLex is large
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '100mb' });
+
+// GET /api/concepts - List dictionary concepts
+router.get('/', authorize(ROLES.read, 'templates:read'), validatePagination, conceptController.getAllConcepts);
+
+// POST /api/concepts/import - Load concepts and synonyms from a RadLex/LOINC extract or local CSV
+router.post('/import', authorize(ROLES.admin, 'templates:write'), csvBody, conceptController.importConcepts);
+
+// GET /api/concepts/:radlexId/templates - Get templates for a RadLex concept
+router.get('/:radlexId/templates', authorize(ROLES.read, 'templates:read'), validateRadlexId, conceptController.getTemplatesForConcept);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const fhirController = require('../controllers/fhirController');
+const { ROLES, authorize } = require('../middleware/auth');
+
+// GET /api/fhir/Questionnaire - Search templates as FHIR Questionnaires (?subspecialty=, ?title=)
+router.get('/Questionnaire', authorize(ROLES.read, 'templates:read'), fhirController.searchQuestionnaires);
+
+// GET /api/fhir/Questionnaire/:id - Get a template as a FHIR Questionnaire
+router.get('/Questionnaire/:id', authorize(ROLES.read, 'templates:read'), fhirController.getQuestionnaire);
+
+// GET /api/fhir/Questionnaire/:id/_history/:vid - Get a specific template version as a FHIR Questionnaire
+router.get('/Questionnaire/:id/_history/:vid', authorize(ROLES.read, 'templates:read'), fhirController.getQuestionnaireVersion);
+
+// GET /api/fhir/DiagnosticReport - Export final reports as FHIR DiagnosticReports (?issued=ge...&issued=le..., ?_count=, ?_offset=)
+router.get('/DiagnosticReport', authorize(ROLES.report, 'reports:read'), fhirController.searchDiagnosticReports);
+
+// GET /api/fhir/DiagnosticReport/:id - Get a final report as a FHIR DiagnosticReport
+router.get('/DiagnosticReport/:id', authorize(ROLES.report, 'reports:read'), fhirController.getDiagnosticReport);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const generatorRuleController = require('../controllers/generatorRuleController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validateGeneratorRuleId } = require('../middleware/validation');
+
+// GET /api/generator-rules - List template generator rules in the order they are applied
+router.get('/', authorize(ROLES.sync, 'sync:read'), generatorRuleController.getAllRules);
+
+// POST /api/generator-rules - Create a template generator rule
+router.post('/', authorize(ROLES.admin, 'sync:write'), generatorRuleController.createRule);
+
+// GET /api/generator-rules/preview/:templateId - Show what the current rules would generate for a template
+router.get('/preview/:templateId', authorize(ROLES.sync, 'sync:read'), generatorRuleController.previewTemplate);
+
+// GET /api/generator-rules/:id - Get a template generator rule by ID
+router.get('/:id', authorize(ROLES.sync, 'sync:read'), validateGeneratorRuleId, generatorRuleController.getRuleById);
+
+// PUT /api/generator-rules/:id - Update a template generator rule
+router.put('/:id', authorize(ROLES.admin, 'sync:write'), validateGeneratorRuleId, generatorRuleController.updateRule);
+
+// DELETE /api/generator-rules/:id - Delete a template generator rule
+router.delete('/:id', authorize(ROLES.admin, 'sync:write'), validateGeneratorRuleId, generatorRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+
+// HL7 messages arrive as raw ER7 text
+const hl7Body = express.text({
+  type: ['x-application/hl7-v2+er7', 'application/hl7-v2', 'text/plain'],
+  limit: '1mb'
+});
+
+// POST /api/orders/hl7 - Receive an ORM^O01 / OMI^O23 order message
+router.post('/hl7', authorize(ROLES.sync, 'orders:write'), hl7Body, orderController.receiveHL7Message);
+
+// GET /api/orders - List received orders
+router.get('/', authorize(ROLES.report, 'orders:read'), validatePagination, orderController.getAllOrders);
+
+// GET /api/orders/:accessionNumber - Get an order with its template suggestions
+router.get('/:accessionNumber', authorize(ROLES.report, 'orders:read'), orderController.getOrderByAccession);
+
+module.exports = router;
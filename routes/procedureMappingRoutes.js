@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const procedureMappingController = require('../controllers/procedureMappingController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validatePagination, validateProcedureMappingId } = require('../middleware/validation');
+
+// CSV imports arrive as raw text
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+// GET /api/procedure-mappings - List procedure mappings
+router.get('/', authorize(ROLES.read, 'templates:read'), validatePagination, procedureMappingController.getAllMappings);
+
+// POST /api/procedure-mappings - Create a procedure mapping
+router.post('/', authorize(ROLES.admin, 'templates:write'), procedureMappingController.createMapping);
+
+// POST /api/procedure-mappings/import - Bulk create/update procedure mappings from CSV
+router.post('/import', authorize(ROLES.admin, 'templates:write'), csvBody, procedureMappingController.importMappings);
+
+// GET /api/procedure-mappings/:id - Get procedure mapping by ID
+router.get('/:id', authorize(ROLES.read, 'templates:read'), validateProcedureMappingId, procedureMappingController.getMappingById);
+
+// PUT /api/procedure-mappings/:id - Update a procedure mapping
+router.put('/:id', authorize(ROLES.admin, 'templates:write'), validateProcedureMappingId, procedureMappingController.updateMapping);
+
+// DELETE /api/procedure-mappings/:id - Delete a procedure mapping
+router.delete('/:id', authorize(ROLES.admin, 'templates:write'), validateProcedureMappingId, procedureMappingController.deleteMapping);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validatePagination, validateReportId } = require('../middleware/validation');
+
+// GET /api/reports - List reports
+router.get('/', authorize(ROLES.report, 'reports:read'), validatePagination, reportController.getAllReports);
+
+// POST /api/reports - Create a draft report from a template
+router.post('/', authorize(ROLES.report, 'reports:write'), reportController.createReport);
+
+// GET /api/reports/:id - Get report by ID
+router.get('/:id', authorize(ROLES.report, 'reports:read'), validateReportId, reportController.getReportById);
+
+// PUT /api/reports/:id - Update report field values and metadata
+router.put('/:id', authorize(ROLES.report, 'reports:write'), validateReportId, reportController.updateReport);
+
+// POST /api/reports/:id/status - Change report status
+router.post('/:id/status', authorize(ROLES.report, 'reports:write'), validateReportId, reportController.updateReportStatus);
+
+// GET /api/reports/:id/hl7 - Get report as an HL7 v2 ORU^R01 message
+router.get('/:id/hl7', authorize(ROLES.report, 'reports:read'), validateReportId, reportController.getReportHL7);
+
+// DELETE /api/reports/:id - Delete a draft report
+router.delete('/:id', authorize(ROLES.report, 'reports:write'), validateReportId, reportController.deleteReport);
+
+module.exports = router;
@@ -1,20 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const subspecialtyController = require('../controllers/subspecialtyController');
+const { ROLES, authorize } = require('../middleware/auth');
 
 // GET /api/subspecialties - Get all subspecialties
-router.get('/', subspecialtyController.getAllSubspecialties);
+router.get('/', authorize(ROLES.read, 'templates:read'), subspecialtyController.getAllSubspecialties);
 
 // GET /api/subspecialties/statistics - Get subspecialty statistics
-router.get('/statistics', subspecialtyController.getStatistics);
+router.get('/statistics', authorize(ROLES.read, 'templates:read'), subspecialtyController.getStatistics);
 
 // GET /api/subspecialties/hierarchical - Get hierarchical data (subspecialties with templates)
-router.get('/hierarchical', subspecialtyController.getHierarchicalData);
+router.get('/hierarchical', authorize(ROLES.read, 'templates:read'), subspecialtyController.getHierarchicalData);
 
 // GET /api/subspecialties/:code - Get subspecialty by code
-router.get('/:code', subspecialtyController.getSubspecialtyByCode);
+router.get('/:code', authorize(ROLES.read, 'templates:read'), subspecialtyController.getSubspecialtyByCode);
 
 // GET /api/subspecialties/:code/templates - Get templates for a specific subspecialty
-router.get('/:code/templates', subspecialtyController.getTemplatesBySubspecialty);
+router.get('/:code/templates', authorize(ROLES.read, 'templates:read'), subspecialtyController.getTemplatesBySubspecialty);
 
 module.exports = router;
@@ -1,32 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const syncController = require('../controllers/syncController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validatePagination, validateSyncJobId } = require('../middleware/validation');
 
 // GET /api/sync/status - Get sync status
-router.get('/status', syncController.getSyncStatus);
+router.get('/status', authorize(ROLES.read, 'sync:read'), syncController.getSyncStatus);
 
-// POST /api/sync/all - Sync all data from RSNA API
-router.post('/all', syncController.syncAllData);
+// GET /api/sync/jobs - List sync jobs (newest first)
+router.get('/jobs', authorize(ROLES.read, 'sync:read'), validatePagination, syncController.getSyncJobs);
 
-// POST /api/sync/detailed - Sync data with detailed template information
-router.post('/detailed', syncController.syncWithDetails);
+// GET /api/sync/jobs/:id - Get a sync job's status and progress
+router.get('/jobs/:id', authorize(ROLES.read, 'sync:read'), validateSyncJobId, syncController.getSyncJob);
 
-// POST /api/sync/subspecialties - Sync only subspecialties
-router.post('/subspecialties', syncController.syncSubspecialties);
+// POST /api/sync/all - Queue a full data sync from RSNA API
+router.post('/all', authorize(ROLES.sync, 'sync:write'), syncController.syncAllData);
 
-// POST /api/sync/templates - Sync only templates
-router.post('/templates', syncController.syncTemplates);
+// POST /api/sync/detailed - Queue a sync with detailed template information
+router.post('/detailed', authorize(ROLES.sync, 'sync:write'), syncController.syncWithDetails);
 
-// POST /api/sync/template-data - Dynamically update template data for all templates
-router.post('/template-data', syncController.updateTemplateData);
+// POST /api/sync/subspecialties - Queue a subspecialties-only sync
+router.post('/subspecialties', authorize(ROLES.sync, 'sync:write'), syncController.syncSubspecialties);
+
+// POST /api/sync/templates - Queue a templates-only sync
+router.post('/templates', authorize(ROLES.sync, 'sync:write'), syncController.syncTemplates);
+
+// POST /api/sync/template-data - Queue a template data update for all templates
+router.post('/template-data', authorize(ROLES.sync, 'sync:write'), syncController.updateTemplateData);
 
 // POST /api/sync/template-data/:templateId - Update template data for specific template
-router.post('/template-data/:templateId', syncController.updateSpecificTemplateData);
+router.post('/template-data/:templateId', authorize(ROLES.sync, 'sync:write'), syncController.updateSpecificTemplateData);
 
 // GET /api/sync/template-data/stats - Get template data statistics
-router.get('/template-data/stats', syncController.getTemplateDataStats);
+router.get('/template-data/stats', authorize(ROLES.read, 'sync:read'), syncController.getTemplateDataStats);
 
-// POST /api/sync/generate-template-data - Generate template data for all templates
-router.post('/generate-template-data', syncController.generateAllTemplateData);
+// POST /api/sync/generate-template-data - Queue template data generation for all templates
+router.post('/generate-template-data', authorize(ROLES.sync, 'sync:write'), syncController.generateAllTemplateData);
 
 module.exports = router;
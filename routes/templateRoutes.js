@@ -1,20 +1,78 @@
 const express = require('express');
 const router = express.Router();
 const templateController = require('../controllers/templateController');
+const { ROLES, authorize } = require('../middleware/auth');
 
 // GET /api/templates - Get all templates
-router.get('/', templateController.getAllTemplates);
+router.get('/', authorize(ROLES.read, 'templates:read'), templateController.getAllTemplates);
+
+// POST /api/templates - Create a local template
+router.post('/', authorize(ROLES.admin, 'templates:write'), templateController.createTemplate);
 
 // GET /api/templates/search - Search templates
-router.get('/search', templateController.searchTemplates);
+router.get('/search', authorize(ROLES.read, 'templates:read'), templateController.searchTemplates);
+
+// GET /api/templates/statistics - Get template statistics (upstream vs. local popularity, usage trends)
+router.get('/statistics', authorize(ROLES.read, 'templates:read'), templateController.getTemplateStatistics);
+
+// GET /api/templates/forks - List local forks of RSNA templates (optional upstreamChanged=true|false)
+router.get('/forks', authorize(ROLES.read, 'templates:read'), templateController.getForks);
 
-// GET /api/templates/statistics - Get template statistics
-router.get('/statistics', templateController.getTemplateStatistics);
+// GET /api/templates/review-queue - Templates in review assigned to the signed-in user
+router.get('/review-queue', authorize(ROLES.review), templateController.getReviewQueue);
+
+// GET /api/templates/by-procedure/:code - Get the template mapped to a procedure code (or ranked suggestions)
+router.get('/by-procedure/:code', authorize(ROLES.read, 'templates:read'), templateController.getTemplateByProcedure);
 
 // GET /api/templates/:id - Get template by ID
-router.get('/:id', templateController.getTemplateById);
+router.get('/:id', authorize(ROLES.read, 'templates:read'), templateController.getTemplateById);
+
+// PUT /api/templates/:id - Update a local template (RSNA templates are read-only)
+router.put('/:id', authorize(ROLES.admin, 'templates:write'), templateController.updateTemplate);
+
+// DELETE /api/templates/:id - Delete a local template (RSNA templates are read-only)
+router.delete('/:id', authorize(ROLES.admin, 'templates:write'), templateController.deleteTemplate);
+
+// POST /api/templates/:id/fork - Fork an RSNA template into a local template that tracks upstream
+router.post('/:id/fork', authorize(ROLES.admin, 'templates:write'), templateController.forkTemplate);
+
+// GET /api/templates/:id/merge - Preview the three-way section merge of a fork with its upstream
+router.get('/:id/merge', authorize(ROLES.read, 'templates:read'), templateController.getTemplateMerge);
+
+// POST /api/templates/:id/merge - Merge the current upstream version into a fork
+router.post('/:id/merge', authorize(ROLES.admin, 'templates:write'), templateController.mergeTemplate);
+
+// GET /api/templates/:id/review - Get the review status, reviewers, comments and approvals of a template
+router.get('/:id/review', authorize(ROLES.review), templateController.getTemplateReview);
+
+// PUT /api/templates/:id/reviewers - Assign reviewers to a template
+router.put('/:id/reviewers', authorize(ROLES.admin), templateController.assignReviewers);
+
+// POST /api/templates/:id/comments - Comment on a template under review
+router.post('/:id/comments', authorize(ROLES.review), templateController.addTemplateComment);
+
+// POST /api/templates/:id/status - Move a template through draft, in-review, approved and retired
+router.post('/:id/status', authorize(ROLES.review), templateController.changeTemplateStatus);
+
+// GET /api/templates/:id/download - Download the template's MRRT content (counted as a local download)
+router.get('/:id/download', authorize(ROLES.read, 'templates:read'), templateController.downloadTemplate);
 
 // GET /api/templates/:id/subspecialties - Get subspecialties for a specific template
-router.get('/:id/subspecialties', templateController.getSubspecialtiesByTemplate);
+router.get('/:id/subspecialties', authorize(ROLES.read, 'templates:read'), templateController.getSubspecialtiesByTemplate);
+
+// GET /api/templates/:id/versions - Get the version history of a template
+router.get('/:id/versions', authorize(ROLES.read, 'templates:read'), templateController.getTemplateVersions);
+
+// GET /api/templates/:id/versions/:version - Get a specific version of a template
+router.get('/:id/versions/:version', authorize(ROLES.read, 'templates:read'), templateController.getTemplateVersion);
+
+// GET /api/templates/:id/diff?from=&to= - Compare two versions of a template section by section
+router.get('/:id/diff', authorize(ROLES.read, 'templates:read'), templateController.getTemplateDiff);
+
+// GET /api/templates/:id/structure - Get the parsed MRRT structure of a template
+router.get('/:id/structure', authorize(ROLES.read, 'templates:read'), templateController.getTemplateStructure);
+
+// POST /api/templates/:id/render - Render the template filled with values (HTML or plain text)
+router.post('/:id/render', authorize(ROLES.read, 'templates:read'), templateController.renderTemplate);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validateUserId } = require('../middleware/validation');
+
+// GET /api/users - List users
+router.get('/', authorize(ROLES.admin), authController.getAllUsers);
+
+// POST /api/users - Create a user
+router.post('/', authorize(ROLES.admin), authController.createUser);
+
+// PUT /api/users/:id - Update a user's roles, display name, active flag or password
+router.put('/:id', authorize(ROLES.admin), validateUserId, authController.updateUser);
+
+// DELETE /api/users/:id - Delete a user
+router.delete('/:id', authorize(ROLES.admin), validateUserId, authController.deleteUser);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Script to create a user account
+ * Usage: node scripts/createUser.js <username> <password> [role,role...] [displayName]
+ * Roles: viewer, radiologist, template-admin, sync-operator (default: viewer)
+ */
+
+const { sequelize, syncDatabase } = require('../database/connection');
+const authService = require('../services/authService');
+
+async function createUser() {
+  const [username, password, roles = 'viewer', displayName] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error('Usage: node scripts/createUser.js <username> <password> [role,role...] [displayName]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    // Creates the users table on a fresh database
+    await syncDatabase();
+    const user = await authService.createUser({
+      username,
+      password,
+      displayName: displayName || null,
+      roles: roles.split(',').map(role => role.trim()).filter(Boolean)
+    });
+    console.log(`✅ Created user ${user.username} (${user.roles.join(', ')})`);
+  } catch (error) {
+    console.error(`❌ Error creating user ${username}:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the creation
+createUser();
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+/**
+ * Script to export the RSNA catalogue in the database to a snapshot file
+ * Usage: node scripts/exportSnapshot.js <file.json|file.json.gz>
+ * Load it elsewhere with scripts/importSnapshot.js, e.g. on sites without access to the RSNA API
+ */
+
+const { sequelize } = require('../database/connection');
+const snapshotService = require('../services/snapshotService');
+
+async function exportSnapshot() {
+  const [file] = process.argv.slice(2);
+
+  if (!file) {
+    console.error('Usage: node scripts/exportSnapshot.js <file.json|file.json.gz>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const snapshot = await snapshotService.exportSnapshot();
+    snapshotService.writeSnapshot(file, snapshot);
+    const { subspecialties, templates, details } = snapshot.counts;
+    console.log(`✅ Exported ${subspecialties} subspecialties and ${templates} templates (${details} with details) to ${file}`);
+  } catch (error) {
+    console.error(`❌ Error exporting snapshot to ${file}:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the export
+exportSnapshot();
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Script to generate an HL7 v2 ORU^R01 message for a report
+ * Usage: node scripts/generateHL7Message.js <reportId> [outputFile]
+ * Without an output file the message is printed one segment per line.
+ */
+
+const fs = require('fs');
+const { sequelize } = require('../database/connection');
+const hl7Service = require('../services/hl7Service');
+
+async function generateHL7Message() {
+  const [reportId, outputFile] = process.argv.slice(2);
+
+  if (!reportId || isNaN(parseInt(reportId))) {
+    console.error('Usage: node scripts/generateHL7Message.js <reportId> [outputFile]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const message = await hl7Service.generateReportMessage(parseInt(reportId));
+
+    if (outputFile) {
+      // Keep the \r segment separators so the file can be sent as-is
+      fs.writeFileSync(outputFile, message);
+      console.log(`✅ Wrote ORU^R01 message for report ${reportId} to ${outputFile}`);
+    } else {
+      console.log(message.split(hl7Service.segmentSeparator).join('\n'));
+    }
+  } catch (error) {
+    console.error(`❌ Error generating HL7 message for report ${reportId}:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the generation
+generateHL7Message();
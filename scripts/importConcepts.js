@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Script to load the concept/synonym dictionary used to expand template searches
+ * Usage: node scripts/importConcepts.js <file.csv>
+ * Accepts the RadLex CSV download, a LOINC table extract, or a local CSV with
+ * system, code, term and synonyms ("|"-separated) columns
+ */
+
+const fs = require('fs');
+const { sequelize, syncDatabase } = require('../database/connection');
+const conceptService = require('../services/conceptService');
+
+async function importConcepts() {
+  const [file] = process.argv.slice(2);
+
+  if (!file) {
+    console.error('Usage: node scripts/importConcepts.js <file.csv>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    // Creates the concepts table on a fresh database
+    await syncDatabase();
+    const results = await conceptService.importCsv(fs.readFileSync(file, 'utf8'));
+    console.log(`✅ Imported concepts from ${file}: ${results.created} created, ${results.updated} updated, ${results.unchanged} unchanged`);
+    results.errors.slice(0, 20).forEach(({ row, message }) => console.warn(`   Row ${row}: ${message}`));
+    if (results.errors.length > 20) {
+      console.warn(`   ... and ${results.errors.length - 20} more rejected rows`);
+    }
+  } catch (error) {
+    console.error(`❌ Error importing concepts from ${file}:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the import
+importConcepts();
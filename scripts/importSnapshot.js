@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Script to load a catalogue snapshot written by scripts/exportSnapshot.js
+ * Usage: node scripts/importSnapshot.js <file.json|file.json.gz>
+ * Runs the same relationship rebuild as a full sync, without contacting the RSNA API
+ */
+
+const { sequelize, syncDatabase } = require('../database/connection');
+const snapshotService = require('../services/snapshotService');
+const { runWithContext } = require('../utils/auditContext');
+
+async function importSnapshot() {
+  const [file] = process.argv.slice(2);
+
+  if (!file) {
+    console.error('Usage: node scripts/importSnapshot.js <file.json|file.json.gz>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const snapshot = snapshotService.readSnapshot(file);
+    console.log(`Importing snapshot exported ${snapshot.exportedAt} (format version ${snapshot.formatVersion})`);
+
+    // Creates the tables on a fresh database
+    await syncDatabase();
+    const result = await runWithContext({ source: `snapshot import ${file}` },
+      () => snapshotService.importSnapshot(snapshot));
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { subspecialtiesProcessed, templatesProcessed, relationshipsCreated, errors } = result.stats;
+    console.log(`✅ Imported ${subspecialtiesProcessed} subspecialties, ${templatesProcessed} templates and ${relationshipsCreated} relationships from ${file}`);
+    errors.slice(0, 20).forEach(message => console.warn(`   ${message}`));
+    if (errors.length > 20) {
+      console.warn(`   ... and ${errors.length - 20} more errors`);
+    }
+  } catch (error) {
+    console.error(`❌ Error importing snapshot from ${file}:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the import
+importSnapshot();
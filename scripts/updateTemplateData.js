@@ -7,6 +7,7 @@
 
 const { Template } = require('../models');
 const { sequelize } = require('../database/connection');
+const templateVersionService = require('../services/templateVersionService');
 
 // Template data for MRI Cervical Spine (template_id: 50890)
 const templateData50890 = `<!DOCTYPE html>
@@ -119,7 +120,9 @@ async function updateTemplateData() {
       where: { template_id: '50890' }
     });
 
-    if (template) {
+    if (template && await templateVersionService.findConflict('50890', template.template_version, templateData50890)) {
+      console.log(`❌ ${templateVersionService.conflictError('50890', template.template_version).message}`);
+    } else if (template) {
       await template.update({
         templateData: templateData50890,
         description: 'MRI Cervical Spine template with detailed HTML structure',
@@ -127,6 +130,7 @@ async function updateTemplateData() {
         firstname: 'Caleb',
         lastname: 'Epps'
       });
+      await templateVersionService.recordVersion(template);
       console.log('✅ Updated template 50890 (MRI Cervical Spine) with template data');
     } else {
       console.log('❌ Template 50890 not found in database');
@@ -4,12 +4,29 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const errorHandler = require('./middleware/errorHandler');
+const { authenticate, getPresentedApiKey } = require('./middleware/auth');
 const { testConnection, syncDatabase, closeConnection } = require('./database/connection');
+const syncJobService = require('./services/syncJobService');
+const mllpListener = require('./services/mllpListener');
+const authService = require('./services/authService');
+const apiKeyService = require('./services/apiKeyService');
+const templateGeneratorService = require('./services/templateGeneratorService');
 
 // Import routes
 const subspecialtyRoutes = require('./routes/subspecialtyRoutes');
 const templateRoutes = require('./routes/templateRoutes');
 const syncRoutes = require('./routes/syncRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const fhirRoutes = require('./routes/fhirRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const procedureMappingRoutes = require('./routes/procedureMappingRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const conceptRoutes = require('./routes/conceptRoutes');
+const autocompleteRoutes = require('./routes/autocompleteRoutes');
+const generatorRuleRoutes = require('./routes/generatorRuleRoutes');
 
 // Create Express app
 const app = express();
@@ -26,16 +43,37 @@ app.use(cors({
 }));
 
 // Rate limiting
-const limiter = rateLimit({
+const rateLimitMessage = {
+  success: false,
+  error: 'Too many requests',
+  message: 'Too many requests for this API key or IP, please try again later.'
+};
+// Limit each verified API key to 100 requests per windowMs; clients sharing an address
+// (e.g. behind a PACS gateway) each get their own budget
+const apiKeyLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: 'Too many requests',
-    message: 'Too many requests from this IP, please try again later.'
+  max: 100,
+  keyGenerator: (req) => `key:${req.apiKey.id}`,
+  message: rateLimitMessage
+});
+// Everything else, including requests with an unknown, revoked or expired key, counts against the IP
+const ipLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: rateLimitMessage
+});
+app.use('/api/', async (req, res, next) => {
+  const presentedKey = getPresentedApiKey(req);
+  if (presentedKey) {
+    try {
+      // authenticate reuses the verified key
+      req.apiKey = await apiKeyService.verifyKey(presentedKey);
+    } catch (error) {
+      // Left to authenticate to reject; until then it is just another request from this IP
+    }
   }
+  (req.apiKey ? apiKeyLimiter : ipLimiter)(req, res, next);
 });
-app.use('/api/', limiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -57,10 +95,21 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API routes
-app.use('/api/subspecialties', subspecialtyRoutes);
-app.use('/api/templates', templateRoutes);
-app.use('/api/sync', syncRoutes);
+// API routes (everything except login requires a bearer token or API key; roles and key scopes are checked per route)
+app.use('/api/auth', authRoutes);
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/api-keys', authenticate, apiKeyRoutes);
+app.use('/api/subspecialties', authenticate, subspecialtyRoutes);
+app.use('/api/templates', authenticate, templateRoutes);
+app.use('/api/sync', authenticate, syncRoutes);
+app.use('/api/reports', authenticate, reportRoutes);
+app.use('/api/fhir', authenticate, fhirRoutes);
+app.use('/api/orders', authenticate, orderRoutes);
+app.use('/api/procedure-mappings', authenticate, procedureMappingRoutes);
+app.use('/api/concepts', authenticate, conceptRoutes);
+app.use('/api/autocomplete', authenticate, autocompleteRoutes);
+app.use('/api/generator-rules', authenticate, generatorRuleRoutes);
+app.use('/api/audit', authenticate, auditRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -69,9 +118,20 @@ app.get('/', (req, res) => {
     message: 'RIS Backend API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
       subspecialties: '/api/subspecialties',
       templates: '/api/templates',
       sync: '/api/sync',
+      reports: '/api/reports',
+      fhir: '/api/fhir',
+      orders: '/api/orders',
+      procedureMappings: '/api/procedure-mappings',
+      concepts: '/api/concepts',
+      autocomplete: '/api/autocomplete',
+      generatorRules: '/api/generator-rules',
+      audit: '/api/audit',
       health: '/health'
     }
   });
@@ -96,6 +156,10 @@ const connectDB = async () => {
     if (connected) {
       // Sync database (create tables if they don't exist)
       await syncDatabase();
+      // Sync jobs run in-process, so anything still marked active was interrupted
+      await syncJobService.recoverInterruptedRuns();
+      await authService.ensureBootstrapAdmin();
+      await templateGeneratorService.ensureDefaultRules();
       console.log('Database setup completed successfully');
     } else {
       throw new Error('Failed to connect to database');
@@ -109,12 +173,14 @@ const connectDB = async () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
+  await mllpListener.stop();
   await closeConnection();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  await mllpListener.stop();
   await closeConnection();
   process.exit(0);
 });
@@ -140,6 +206,10 @@ const startServer = async () => {
       process.exit(1);
     });
 
+    if (config.mllp.port) {
+      await mllpListener.start(config.mllp.port, config.mllp.host);
+    }
+
   } catch (error) {
     console.error('Failed to start server:', error.message);
     process.exit(1);
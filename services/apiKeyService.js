@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { ApiKey, User } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+class ApiKeyService {
+  constructor() {
+    this.scopes = [
+      'templates:read',
+      'templates:write',
+      'sync:read',
+      'sync:write',
+      'reports:read',
+      'reports:write',
+      'orders:read',
+      'orders:write',
+      'audit:read'
+    ];
+    this.keyPrefix = 'ris_';
+    this.displayPrefixLength = 12;
+    // Avoid a database write on every request from a busy client
+    this.lastUsedResolutionMs = 60 * 1000;
+  }
+
+  /**
+   * Issue a new key. The plaintext key is only ever returned from here.
+   * @param {Object} data - { name, scopes, expiresAt? }
+   * @param {Object} creator - Signed-in user issuing the key
+   * @returns {Promise<Object>} { key, apiKey }
+   */
+  async issueKey(data, creator) {
+    const { name, scopes, expiresAt = null } = data;
+
+    if (!name) {
+      throw createHttpError(400, 'Invalid API key', 'name is required');
+    }
+    this.validateScopes(scopes);
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw createHttpError(400, 'Invalid API key', 'expiresAt must be a future date');
+      }
+    }
+
+    const key = `${this.keyPrefix}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      name,
+      keyPrefix: key.slice(0, this.displayPrefixLength),
+      keyHash: this.hashKey(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+      createdBy: creator ? creator.id : null
+    });
+
+    return {
+      key,
+      apiKey: this.toPublicKey(apiKey)
+    };
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} options - { includeRevoked }
+   * @returns {Promise<Array>} Keys (without hashes)
+   */
+  async listKeys({ includeRevoked = false } = {}) {
+    const where = includeRevoked ? {} : { revokedAt: null };
+
+    const keys = await ApiKey.findAll({
+      where,
+      include: [{ model: User, as: 'creator', attributes: ['id', 'username'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return keys.map(apiKey => this.toPublicKey(apiKey));
+  }
+
+  /**
+   * Get a key by ID
+   * @param {number} keyId - API key ID
+   * @returns {Promise<Object>} Key (without hash)
+   */
+  async getKey(keyId) {
+    return this.toPublicKey(await this.getKeyOrFail(keyId));
+  }
+
+  /**
+   * Revoke a key. Revoked keys are kept so they still show up in listings.
+   * @param {number} keyId - API key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeKey(keyId) {
+    const apiKey = await this.getKeyOrFail(keyId);
+
+    if (apiKey.revokedAt) {
+      throw createHttpError(409, 'API key already revoked', `API key ${keyId} was revoked at ${apiKey.revokedAt.toISOString()}`);
+    }
+
+    await apiKey.update({ revokedAt: new Date() });
+    return this.toPublicKey(apiKey);
+  }
+
+  /**
+   * Look up a presented key and reject unknown, revoked or expired ones
+   * @param {string} key - Plaintext key from the request
+   * @returns {Promise<Object>} API key
+   */
+  async verifyKey(key) {
+    const apiKey = await ApiKey.findOne({ where: { keyHash: this.hashKey(key) } });
+
+    if (!apiKey) {
+      throw createHttpError(401, 'Unauthorized', 'Invalid API key');
+    }
+    if (apiKey.revokedAt) {
+      throw createHttpError(401, 'Unauthorized', 'API key has been revoked');
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      throw createHttpError(401, 'Unauthorized', 'API key has expired');
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= this.lastUsedResolutionMs) {
+      await apiKey.update({ lastUsedAt: now });
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Get a key or throw a 404
+   */
+  async getKeyOrFail(keyId) {
+    const apiKey = await ApiKey.findByPk(keyId, {
+      include: [{ model: User, as: 'creator', attributes: ['id', 'username'] }]
+    });
+    if (!apiKey) {
+      throw createHttpError(404, 'API key not found', `No API key found with ID: ${keyId}`);
+    }
+    return apiKey;
+  }
+
+  /**
+   * SHA-256 of a key. Keys are long and random, so a salted slow hash is not needed.
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Reject empty or unknown scope lists
+   */
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw createHttpError(400, 'Invalid scopes', 'scopes must be a non-empty array');
+    }
+    const unknown = scopes.filter(scope => !this.scopes.includes(scope));
+    if (unknown.length > 0) {
+      throw createHttpError(400, 'Invalid scopes',
+        `Unknown scope(s): ${unknown.join(', ')}. Scopes must be among: ${this.scopes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Key attributes safe to return to clients
+   */
+  toPublicKey(apiKey) {
+    const now = new Date();
+    let status = 'active';
+    if (apiKey.revokedAt) {
+      status = 'revoked';
+    } else if (apiKey.expiresAt && apiKey.expiresAt <= now) {
+      status = 'expired';
+    }
+
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      keyPrefix: apiKey.keyPrefix,
+      scopes: apiKey.scopes,
+      status,
+      expiresAt: apiKey.expiresAt,
+      revokedAt: apiKey.revokedAt || null,
+      lastUsedAt: apiKey.lastUsedAt || null,
+      createdBy: apiKey.creator
+        ? { id: apiKey.creator.id, username: apiKey.creator.username }
+        : apiKey.createdBy,
+      createdAt: apiKey.createdAt
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
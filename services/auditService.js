@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const AuditEvent = require('../models/AuditEvent');
+const { getContext } = require('../utils/auditContext');
+const { createHttpError } = require('../utils/httpError');
+
+class AuditService {
+  constructor() {
+    // Operational bookkeeping, and reference vocabulary bulk-loaded from RadLex/LOINC extracts
+    this.ignoredModels = ['AuditEvent', 'SyncRun', 'Concept', 'UsageEvent'];
+    this.ignoredFields = ['createdAt', 'updatedAt'];
+    // Per-model fields that change on every use and would drown out real changes.
+    // Template popularity moves on every sync, and local use is already in usage_events;
+    // subspecialty counts are recomputed from the (audited) relationships.
+    this.ignoredModelFields = {
+      User: ['lastLoginAt'],
+      ApiKey: ['lastUsedAt'],
+      Template: ['views', 'downloads', 'localViews', 'localDownloads', 'localReportUses'],
+      Subspecialty: ['count']
+    };
+    this.redactedFields = ['passwordHash', 'keyHash'];
+    // Longer values (template HTML, raw HL7) are recorded as length + hash
+    this.maxValueLength = 2000;
+  }
+
+  /**
+   * Record every create, update and delete on the audited models.
+   * Bulk updates and deletes are switched to per-row hooks so each row gets its own event.
+   * @param {Object} sequelize - Sequelize instance
+   */
+  registerHooks(sequelize) {
+    sequelize.addHook('afterCreate', 'audit', (instance, options) =>
+      this.recordInstance('create', instance, options));
+
+    sequelize.addHook('afterBulkCreate', 'audit', async (instances, options) => {
+      for (const instance of instances) {
+        await this.recordInstance('create', instance, options);
+      }
+    });
+
+    sequelize.addHook('afterUpdate', 'audit', (instance, options) =>
+      this.recordInstance('update', instance, options));
+
+    sequelize.addHook('afterDestroy', 'audit', (instance, options) =>
+      this.recordInstance('delete', instance, options));
+
+    sequelize.addHook('beforeBulkUpdate', 'audit', (options) => {
+      if (this.isAudited(options.model)) {
+        options.individualHooks = true;
+      }
+    });
+
+    sequelize.addHook('beforeBulkDestroy', 'audit', (options) => {
+      if (this.isAudited(options.model)) {
+        options.individualHooks = true;
+      }
+    });
+  }
+
+  /**
+   * Write an audit event for a model instance, in the same transaction as the change
+   * @param {string} action - create, update or delete
+   * @param {Object} instance - Sequelize model instance
+   * @param {Object} options - Hook options
+   */
+  async recordInstance(action, instance, options = {}) {
+    const model = instance.constructor;
+    if (!this.isAudited(model)) {
+      return;
+    }
+
+    const changes = this.getChanges(action, instance);
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    const { actor, source } = getContext();
+    const primaryKey = instance.get(model.primaryKeyAttribute);
+
+    await AuditEvent.create({
+      action,
+      entityType: model.name,
+      entityId: primaryKey === undefined || primaryKey === null ? null : String(primaryKey),
+      actorType: actor.type,
+      actorId: actor.id,
+      actorName: actor.name,
+      source: source ? source.slice(0, 500) : null,
+      changes
+    }, { transaction: options.transaction, hooks: false });
+  }
+
+  /**
+   * List audit events, newest first
+   * @param {Object} filters - { entity, entityId, actor, action, from, to, skip, limit }
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async listEvents(filters = {}) {
+    const { entity, entityId, actor, action, from, to, skip = 0, limit = 100 } = filters;
+    const where = {};
+
+    if (entity) {
+      where.entityType = entity;
+    }
+    if (entityId) {
+      where.entityId = String(entityId);
+    }
+    if (actor) {
+      where.actorName = actor;
+    }
+    if (action) {
+      if (!['create', 'update', 'delete'].includes(action)) {
+        throw createHttpError(400, 'Invalid action', 'action must be one of: create, update, delete');
+      }
+      where.action = action;
+    }
+
+    const createdAt = {};
+    if (from) {
+      createdAt[Op.gte] = this.parseDate(from, 'from');
+    }
+    if (to) {
+      const end = this.parseDate(to, 'to');
+      // A bare date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        end.setUTCHours(23, 59, 59, 999);
+      }
+      createdAt[Op.lte] = end;
+    }
+    if (from || to) {
+      where.createdAt = createdAt;
+    }
+
+    return AuditEvent.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      offset: parseInt(skip),
+      limit: parseInt(limit)
+    });
+  }
+
+  /**
+   * Field-level before/after values for an instance
+   */
+  getChanges(action, instance) {
+    const ignored = [
+      ...this.ignoredFields,
+      ...(this.ignoredModelFields[instance.constructor.name] || [])
+    ];
+    const changes = {};
+
+    const fields = action === 'update'
+      ? (instance.changed() || [])
+      : Object.keys(instance.constructor.rawAttributes);
+
+    for (const field of fields) {
+      if (ignored.includes(field)) {
+        continue;
+      }
+
+      const before = action === 'create' ? null : instance.previous(field);
+      const after = action === 'delete' ? null : instance.get(field);
+
+      // JSON columns are flagged as changed on assignment even when equal
+      if (JSON.stringify(before ?? null) === JSON.stringify(after ?? null)) {
+        continue;
+      }
+
+      changes[field] = {
+        before: this.formatValue(field, before),
+        after: this.formatValue(field, after)
+      };
+    }
+
+    return changes;
+  }
+
+  /**
+   * Redact secrets and shorten long values
+   */
+  formatValue(field, value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (this.redactedFields.includes(field)) {
+      return '[redacted]';
+    }
+    if (typeof value === 'string' && value.length > this.maxValueLength) {
+      const hash = crypto.createHash('sha1').update(value).digest('hex');
+      return `[${value.length} characters, sha1 ${hash}]`;
+    }
+    return value;
+  }
+
+  /**
+   * Whether changes to a model are recorded
+   */
+  isAudited(model) {
+    return Boolean(model) && !this.ignoredModels.includes(model.name);
+  }
+
+  /**
+   * Parse a filter date or throw a 400
+   */
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw createHttpError(400, 'Invalid date', `${name} must be an ISO 8601 date`);
+    }
+    return date;
+  }
+}
+
+module.exports = new AuditService();
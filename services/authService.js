@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { User } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+const scrypt = promisify(crypto.scrypt);
+
+class AuthService {
+  constructor() {
+    this.roles = ['viewer', 'radiologist', 'template-admin', 'sync-operator'];
+    this.issuer = 'ris-backend';
+    this.minPasswordLength = 8;
+
+    this.jwtSecret = config.auth.jwtSecret;
+    if (!this.jwtSecret) {
+      console.warn('JWT_SECRET is not set; using a random secret, so tokens will not survive a restart');
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Check a username and password and issue a bearer token
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} { token, tokenType, expiresIn, user }
+   */
+  async login(username, password) {
+    if (!username || !password) {
+      throw createHttpError(400, 'Missing credentials', 'username and password are required');
+    }
+
+    const user = await User.scope('withPassword').findOne({ where: { username } });
+    // Same response for unknown users and wrong passwords
+    if (!user || !user.active || !(await this.verifyPassword(password, user.passwordHash))) {
+      throw createHttpError(401, 'Invalid credentials', 'Invalid username or password');
+    }
+
+    await user.update({ lastLoginAt: new Date() });
+
+    const token = jwt.sign(
+      { username: user.username, roles: user.roles },
+      this.jwtSecret,
+      { subject: String(user.id), issuer: this.issuer, expiresIn: config.auth.jwtExpiresIn }
+    );
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresIn: config.auth.jwtExpiresIn,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  /**
+   * Verify a bearer token and load its (still active) user
+   * @param {string} token - JWT
+   * @returns {Promise<Object>} User
+   */
+  async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.jwtSecret, { issuer: this.issuer });
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token';
+      throw createHttpError(401, 'Unauthorized', message);
+    }
+
+    // Roles and deactivation take effect immediately rather than at token expiry
+    const user = await User.findByPk(payload.sub);
+    if (!user || !user.active) {
+      throw createHttpError(401, 'Unauthorized', 'User is inactive or no longer exists');
+    }
+
+    return user;
+  }
+
+  /**
+   * List users
+   * @returns {Promise<Array>} Users (without password hashes)
+   */
+  async listUsers() {
+    return User.findAll({ order: [['username', 'ASC']] });
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - { username, password, displayName?, department?, roles? }
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(data) {
+    const { username, password, displayName = null, department = null, roles = ['viewer'] } = data;
+
+    if (!username) {
+      throw createHttpError(400, 'Invalid user', 'username is required');
+    }
+    this.validatePassword(password);
+    this.validateRoles(roles);
+
+    const existing = await User.findOne({ where: { username } });
+    if (existing) {
+      throw createHttpError(409, 'User exists', `User ${username} already exists`);
+    }
+
+    const user = await User.create({
+      username,
+      passwordHash: await this.hashPassword(password),
+      displayName,
+      department,
+      roles
+    });
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Update a user's display name, department, roles, active flag or password
+   * @param {number} userId - User ID
+   * @param {Object} data - { displayName?, department?, roles?, active?, password? }
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateUser(userId, data) {
+    const user = await this.getUserOrFail(userId);
+    const changes = {};
+
+    if (data.displayName !== undefined) {
+      changes.displayName = data.displayName;
+    }
+    if (data.department !== undefined) {
+      changes.department = data.department;
+    }
+    if (data.roles !== undefined) {
+      this.validateRoles(data.roles);
+      changes.roles = data.roles;
+    }
+    if (data.active !== undefined) {
+      changes.active = Boolean(data.active);
+    }
+    if (data.password !== undefined) {
+      this.validatePassword(data.password);
+      changes.passwordHash = await this.hashPassword(data.password);
+    }
+
+    await user.update(changes);
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Change the signed-in user's own password
+   * @param {number} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const user = await User.scope('withPassword').findByPk(userId);
+    if (!user || !(await this.verifyPassword(currentPassword || '', user.passwordHash))) {
+      throw createHttpError(401, 'Invalid credentials', 'Current password is incorrect');
+    }
+
+    this.validatePassword(newPassword);
+    await user.update({ passwordHash: await this.hashPassword(newPassword) });
+  }
+
+  /**
+   * Delete a user
+   * @param {number} userId - User ID
+   */
+  async deleteUser(userId) {
+    const user = await this.getUserOrFail(userId);
+    await user.destroy();
+  }
+
+  /**
+   * Create the configured administrator when no users exist yet
+   */
+  async ensureBootstrapAdmin() {
+    const { username, password } = config.auth.bootstrapAdmin;
+    if (!username || !password) {
+      return;
+    }
+
+    const userCount = await User.count();
+    if (userCount === 0) {
+      await this.createUser({ username, password, displayName: 'Administrator', roles: ['template-admin'] });
+      console.log(`Created administrator account ${username}`);
+    }
+  }
+
+  /**
+   * Get a user or throw a 404
+   */
+  async getUserOrFail(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw createHttpError(404, 'User not found', `No user found with ID: ${userId}`);
+    }
+    return user;
+  }
+
+  /**
+   * Hash a password with a random salt
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Compare a password with a stored hash in constant time
+   */
+  async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Reject passwords shorter than the minimum length
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < this.minPasswordLength) {
+      throw createHttpError(400, 'Invalid password', `Password must be at least ${this.minPasswordLength} characters`);
+    }
+  }
+
+  /**
+   * Reject empty or unknown role lists
+   */
+  validateRoles(roles) {
+    if (!Array.isArray(roles) || roles.length === 0) {
+      throw createHttpError(400, 'Invalid roles', 'roles must be a non-empty array');
+    }
+    const unknown = roles.filter(role => !this.roles.includes(role));
+    if (unknown.length > 0) {
+      throw createHttpError(400, 'Invalid roles',
+        `Unknown role(s): ${unknown.join(', ')}. Roles must be among: ${this.roles.join(', ')}`);
+    }
+  }
+
+  /**
+   * User attributes safe to return to clients
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      displayName: user.displayName,
+      department: user.department,
+      roles: user.roles,
+      active: user.active,
+      lastLoginAt: user.lastLoginAt,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+module.exports = new AuthService();
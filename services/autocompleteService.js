@@ -0,0 +1,195 @@
+const { Template, Subspecialty } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Typeahead suggestions for template titles, subspecialties and authors, served
+ * from an in-memory prefix index. The index is rebuilt after every sync job.
+ */
+class AutocompleteService {
+  constructor() {
+    this.types = ['template', 'subspecialty', 'author'];
+    this.defaultLimit = 10;
+    this.maxLimit = 50;
+    // A download says more about a template's use than a view
+    this.downloadWeight = 3;
+
+    // Sorted [{ key, suggestion, wordStart, matched }]; every word of a suggestion starts a key,
+    // so "spine" and "cervical sp" both find "MRI Cervical Spine"
+    this.keys = [];
+    this.builtAt = null;
+    this.building = null;
+  }
+
+  /**
+   * Suggestions whose text (or subspecialty code/short name) has a word starting with the query
+   * @param {string} query - What the user has typed so far
+   * @param {Object} options - { limit, types, includeUnapproved: also suggest templates that aren't approved }
+   * @returns {Promise<Array>} [{ type, text, matched, popularity, ... }] best first
+   * @throws 400 for unknown suggestion types
+   */
+  async suggest(query, options = {}) {
+    const { limit = this.defaultLimit, types = this.types, includeUnapproved = false } = options;
+    const unknownTypes = types.filter(type => !this.types.includes(type));
+    if (unknownTypes.length > 0) {
+      throw createHttpError(400, 'Invalid types', `types must be one or more of: ${this.types.join(', ')}`);
+    }
+
+    const prefix = this.normalize(query);
+    if (!prefix) {
+      return [];
+    }
+
+    if (!this.builtAt) {
+      await this.rebuild();
+    }
+
+    // suggestion -> best match for it
+    const matches = new Map();
+    for (let index = this.lowerBound(prefix); index < this.keys.length; index++) {
+      const { key, suggestion, wordStart, matched } = this.keys[index];
+      if (!key.startsWith(prefix)) break;
+      if (!types.includes(suggestion.type)) continue;
+      if (!includeUnapproved && suggestion.status && suggestion.status !== 'approved') continue;
+
+      // Whole text equal to the query, then text starting with it, then a later word
+      const rank = key === prefix && wordStart ? 3 : (wordStart ? 2 : 1);
+      const best = matches.get(suggestion);
+      if (!best || rank > best.rank) {
+        matches.set(suggestion, { rank, matched });
+      }
+    }
+
+    return [...matches.entries()]
+      .sort(([a, matchA], [b, matchB]) =>
+        matchB.rank - matchA.rank ||
+        b.popularity - a.popularity ||
+        a.text.length - b.text.length ||
+        a.text.localeCompare(b.text))
+      .slice(0, Math.min(parseInt(limit) || this.defaultLimit, this.maxLimit))
+      .map(([suggestion, { matched }]) => ({ ...suggestion, matched }));
+  }
+
+  /**
+   * Rebuild the prefix index from the database; concurrent callers share one rebuild
+   */
+  async rebuild() {
+    if (!this.building) {
+      this.building = this.buildIndex().finally(() => {
+        this.building = null;
+      });
+    }
+    return this.building;
+  }
+
+  /**
+   * Build suggestions for every template, subspecialty and author and index their words
+   */
+  async buildIndex() {
+    const [templates, subspecialties] = await Promise.all([
+      Template.findAll({
+        attributes: ['id', 'template_id', 'title', 'author', 'specCode', 'status', 'views', 'downloads'],
+        include: [{
+          model: Subspecialty,
+          as: 'subspecialties',
+          attributes: ['code'],
+          through: { attributes: [] }
+        }]
+      }),
+      Subspecialty.findAll({ attributes: ['code', 'name', 'shortName'] })
+    ]);
+
+    const keys = [];
+    const addKeys = (suggestion, text, matched) => {
+      const words = this.normalize(text).split(' ').filter(Boolean);
+      words.forEach((word, index) => {
+        keys.push({ key: words.slice(index).join(' '), suggestion, wordStart: index === 0, matched });
+      });
+    };
+
+    const subspecialtyPopularity = new Map();
+    const authors = new Map();
+
+    templates.forEach(template => {
+      const popularity = (template.views || 0) + this.downloadWeight * (template.downloads || 0);
+
+      if (template.title) {
+        addKeys({
+          type: 'template',
+          text: template.title,
+          template_id: template.template_id,
+          specCode: template.specCode,
+          status: template.status,
+          popularity
+        }, template.title, 'title');
+      }
+
+      const codes = new Set([template.specCode, ...template.subspecialties.map(subspecialty => subspecialty.code)]);
+      codes.forEach(code => {
+        if (code) {
+          subspecialtyPopularity.set(code, (subspecialtyPopularity.get(code) || 0) + popularity);
+        }
+      });
+
+      if (template.author) {
+        const author = authors.get(template.author) || { popularity: 0, templateCount: 0 };
+        author.popularity += popularity;
+        author.templateCount++;
+        authors.set(template.author, author);
+      }
+    });
+
+    subspecialties.forEach(subspecialty => {
+      const suggestion = {
+        type: 'subspecialty',
+        text: subspecialty.name || subspecialty.shortName || subspecialty.code,
+        code: subspecialty.code,
+        shortName: subspecialty.shortName,
+        popularity: subspecialtyPopularity.get(subspecialty.code) || 0
+      };
+      addKeys(suggestion, subspecialty.name, 'name');
+      addKeys(suggestion, subspecialty.shortName, 'shortName');
+      addKeys(suggestion, subspecialty.code, 'code');
+    });
+
+    authors.forEach(({ popularity, templateCount }, name) => {
+      addKeys({ type: 'author', text: name, templateCount, popularity }, name, 'author');
+    });
+
+    keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    this.keys = keys;
+    this.builtAt = new Date();
+    console.log(`Autocomplete index rebuilt: ${templates.length} templates, ${subspecialties.length} subspecialties, ${authors.size} authors`);
+  }
+
+  /**
+   * First key not sorting before the prefix
+   */
+  lowerBound(prefix) {
+    let low = 0;
+    let high = this.keys.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.keys[middle].key < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Lowercase, accents removed, punctuation collapsed to single spaces
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = new AutocompleteService();
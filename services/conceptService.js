@@ -0,0 +1,334 @@
+const { Op } = require('sequelize');
+const { Concept, Subspecialty, Template } = require('../models');
+const { sequelize } = require('../database/connection');
+const searchIndexService = require('./searchIndexService');
+const { parseCsv } = require('../utils/csv');
+const { createHttpError } = require('../utils/httpError');
+
+class ConceptService {
+  constructor() {
+    // Accepted CSV header spellings (lowercased, punctuation removed) -> attribute.
+    // Covers our own format (system, code, term, synonyms), the RadLex CSV download
+    // (Class ID, Preferred Label, Synonyms) and the LOINC table (LOINC_NUM, LONG_COMMON_NAME, ...).
+    this.csvColumns = {
+      system: 'system',
+      codingsystem: 'system',
+      code: 'code',
+      classid: 'code',
+      rid: 'code',
+      radlexid: 'code',
+      loincnum: 'code',
+      term: 'preferredTerm',
+      preferredterm: 'preferredTerm',
+      preferredlabel: 'preferredTerm',
+      preferredname: 'preferredTerm',
+      longcommonname: 'preferredTerm',
+      synonyms: 'synonyms',
+      synonym: 'synonyms',
+      shortname: 'synonyms',
+      displayname: 'synonyms',
+      consumername: 'synonyms',
+      relatednames2: 'synonyms'
+    };
+    this.systems = ['RADLEX', 'LOINC', 'LOCAL'];
+    this.importBatchSize = 500;
+
+    // Phrase dictionary built from the concepts table on first use
+    this.dictionary = null;
+  }
+
+  /**
+   * List concepts with optional filters
+   * @param {Object} options - { q, system, limit, skip }
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async listConcepts(options = {}) {
+    const { q, system, limit = 50, skip = 0 } = options;
+    const where = {};
+
+    if (system) {
+      where.system = String(system).toUpperCase();
+    }
+    if (q) {
+      where[Op.or] = [
+        { code: q },
+        { preferredTerm: { [Op.like]: `%${q}%` } }
+      ];
+    }
+
+    return Concept.findAndCountAll({
+      where,
+      order: [['system', 'ASC'], ['preferredTerm', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(skip)
+    });
+  }
+
+  /**
+   * Create or update concepts from a RadLex/LOINC extract or a local synonym CSV.
+   * Synonyms are separated by "|" or ";". Rows without a system column are
+   * classified by code: RID... is RADLEX, 12345-6 is LOINC, anything else LOCAL.
+   * @param {string} csvText - CSV content
+   * @returns {Promise<Object>} { created, updated, unchanged, errors }
+   */
+  async importCsv(csvText) {
+    const rows = parseCsv(csvText);
+    if (rows.length < 2) {
+      throw createHttpError(400, 'Invalid CSV', 'CSV must have a header row and at least one concept');
+    }
+
+    const columns = rows[0].map(header => this.csvColumns[header.toLowerCase().replace(/[^a-z0-9]/g, '')]);
+    ['code', 'preferredTerm'].forEach(required => {
+      if (!columns.includes(required)) {
+        throw createHttpError(400, 'Invalid CSV', `CSV header must include a ${required} column`);
+      }
+    });
+
+    const results = { created: 0, updated: 0, unchanged: 0, errors: [] };
+
+    // Later rows for the same concept win
+    const concepts = new Map();
+    for (let index = 1; index < rows.length; index++) {
+      const data = { synonyms: [] };
+      columns.forEach((column, columnIndex) => {
+        const value = (rows[index][columnIndex] || '').trim();
+        if (!column || !value) return;
+        if (column === 'synonyms') {
+          data.synonyms.push(...value.split(/[|;]/));
+        } else {
+          data[column] = value;
+        }
+      });
+
+      try {
+        const attributes = this.normalize(data);
+        concepts.set(`${attributes.system}|${attributes.code}`, attributes);
+      } catch (error) {
+        results.errors.push({ row: index, message: error.message });
+      }
+    }
+
+    const existing = new Map(
+      (await Concept.findAll()).map(concept => [`${concept.system}|${concept.code}`, concept])
+    );
+
+    await sequelize.transaction(async (transaction) => {
+      const toCreate = [];
+      for (const [key, attributes] of concepts) {
+        const concept = existing.get(key);
+        if (!concept) {
+          toCreate.push(attributes);
+        } else if (concept.preferredTerm !== attributes.preferredTerm
+          || JSON.stringify(concept.synonyms) !== JSON.stringify(attributes.synonyms)) {
+          await concept.update(attributes, { transaction });
+          results.updated++;
+        } else {
+          results.unchanged++;
+        }
+      }
+
+      for (let start = 0; start < toCreate.length; start += this.importBatchSize) {
+        await Concept.bulkCreate(toCreate.slice(start, start + this.importBatchSize), { transaction });
+      }
+      results.created = toCreate.length;
+    });
+
+    this.dictionary = null;
+    return results;
+  }
+
+  /**
+   * Find dictionary concepts named in a query and the index terms of their other names
+   * @param {string} query - Search text
+   * @returns {Promise<Object>} { concepts: [{ system, code, preferredTerm, matched }], expansions: Array<string> }
+   */
+  async expandQuery(query) {
+    const dictionary = await this.getDictionary();
+    const tokens = searchIndexService.tokenize(query);
+    const queryTerms = new Set(tokens);
+
+    const matchedConcepts = new Map();
+    // Longest phrase first, so "chest x ray" wins over "chest"
+    let position = 0;
+    while (position < tokens.length) {
+      let matchLength = 0;
+      for (let length = Math.min(dictionary.maxPhraseLength, tokens.length - position); length > 0; length--) {
+        const phrase = tokens.slice(position, position + length).join(' ');
+        const concepts = dictionary.phrases.get(phrase);
+        if (concepts) {
+          concepts.forEach(concept => {
+            if (!matchedConcepts.has(concept)) {
+              matchedConcepts.set(concept, phrase);
+            }
+          });
+          matchLength = length;
+          break;
+        }
+      }
+      position += matchLength || 1;
+    }
+
+    const expansions = new Set();
+    matchedConcepts.forEach((phrase, concept) => {
+      [concept.preferredTerm, ...concept.synonyms].forEach(name => {
+        searchIndexService.tokenize(name).forEach(term => {
+          if (!queryTerms.has(term)) {
+            expansions.add(term);
+          }
+        });
+      });
+    });
+
+    return {
+      concepts: [...matchedConcepts.entries()].map(([concept, phrase]) => ({
+        system: concept.system,
+        code: concept.code,
+        preferredTerm: concept.preferredTerm,
+        matched: phrase
+      })),
+      expansions: [...expansions]
+    };
+  }
+
+  /**
+   * Templates for a RadLex concept: those linked to subspecialties with that radlexID,
+   * and those whose MRRT coded_content binds the code
+   * @param {string} radlexId - RadLex ID, e.g. RID1301
+   * @param {Object} options - { includeUnapproved: also list templates that aren't approved }
+   * @returns {Promise<Object>} { radlexId, concept, subspecialties, templates }
+   */
+  async getTemplatesForRadlexId(radlexId, options = {}) {
+    const code = String(radlexId).toUpperCase();
+
+    const [concept, subspecialties, coded] = await Promise.all([
+      Concept.findOne({ where: { system: 'RADLEX', code } }),
+      Subspecialty.findAll({
+        where: { radlexID: code },
+        attributes: ['code', 'name', 'shortName', 'radlexID'],
+        include: [{
+          model: Template,
+          as: 'templates',
+          attributes: ['id'],
+          through: { attributes: [] }
+        }]
+      }),
+      searchIndexService.findByCode('RADLEX', code)
+    ]);
+
+    // template ID -> how it was found
+    const matches = new Map();
+    const matchFor = (id) => {
+      if (!matches.has(id)) {
+        matches.set(id, { subspecialties: [], codedContent: [] });
+      }
+      return matches.get(id);
+    };
+
+    subspecialties.forEach(subspecialty => {
+      subspecialty.templates.forEach(template => {
+        matchFor(template.id).subspecialties.push(subspecialty.code);
+      });
+    });
+    coded.forEach(({ id, origins }) => {
+      matchFor(id).codedContent.push(...origins);
+    });
+
+    const templates = await Template.findAll({
+      where: {
+        id: { [Op.in]: [...matches.keys()] },
+        ...(options.includeUnapproved ? {} : { status: 'approved' })
+      },
+      attributes: ['id', 'template_id', 'template_version', 'title', 'specialty', 'specCode'],
+      order: [['title', 'ASC']]
+    });
+
+    return {
+      radlexId: code,
+      concept: concept
+        ? { preferredTerm: concept.preferredTerm, synonyms: concept.synonyms }
+        : null,
+      subspecialties: subspecialties.map(({ code: subspecialtyCode, name, shortName }) =>
+        ({ code: subspecialtyCode, name, shortName })),
+      templates: templates.map(template => ({
+        template_id: template.template_id,
+        template_version: template.template_version,
+        title: template.title,
+        specialty: template.specialty,
+        specCode: template.specCode,
+        matchedBy: matches.get(template.id)
+      }))
+    };
+  }
+
+  /**
+   * Phrase (index terms joined by spaces) -> concepts with that name, built once per import
+   */
+  async getDictionary() {
+    if (this.dictionary) {
+      return this.dictionary;
+    }
+
+    const concepts = await Concept.findAll({ attributes: ['system', 'code', 'preferredTerm', 'synonyms'] });
+    const phrases = new Map();
+    let maxPhraseLength = 0;
+
+    concepts.forEach(concept => {
+      [concept.preferredTerm, ...(concept.synonyms || [])].forEach(name => {
+        const terms = searchIndexService.tokenize(name);
+        if (terms.length === 0) return;
+
+        const phrase = terms.join(' ');
+        if (!phrases.has(phrase)) {
+          phrases.set(phrase, new Set());
+        }
+        phrases.get(phrase).add(concept);
+        maxPhraseLength = Math.max(maxPhraseLength, terms.length);
+      });
+    });
+
+    this.dictionary = { phrases, maxPhraseLength };
+    return this.dictionary;
+  }
+
+  /**
+   * Normalize an imported row: RadLex URIs to RIDs, system inferred from the code, synonyms de-duplicated
+   */
+  normalize(data) {
+    let code = data.code ? data.code.trim() : '';
+    // RadLex downloads identify classes by URI, e.g. http://radlex.org/RID/RID1301
+    if (/^https?:\/\//i.test(code)) {
+      code = code.replace(/[/#]+$/, '').split(/[/#]/).pop();
+    }
+    if (!code) {
+      throw createHttpError(400, 'Invalid concept', 'code is required');
+    }
+    if (!data.preferredTerm) {
+      throw createHttpError(400, 'Invalid concept', `Concept ${code} has no preferred term`);
+    }
+
+    let system = data.system ? data.system.toUpperCase() : null;
+    if (!system) {
+      if (/^RID\d+$/i.test(code)) {
+        system = 'RADLEX';
+      } else if (/^\d+-\d$/.test(code)) {
+        system = 'LOINC';
+      } else {
+        system = 'LOCAL';
+      }
+    }
+    if (!this.systems.includes(system)) {
+      throw createHttpError(400, 'Invalid concept', `System must be one of: ${this.systems.join(', ')}`);
+    }
+    if (system === 'RADLEX') {
+      code = code.toUpperCase();
+    }
+
+    const preferredTerm = data.preferredTerm.trim();
+    const synonyms = [...new Set(data.synonyms.map(synonym => synonym.trim()).filter(Boolean))]
+      .filter(synonym => synonym.toLowerCase() !== preferredTerm.toLowerCase());
+
+    return { system, code, preferredTerm, synonyms };
+  }
+}
+
+module.exports = new ConceptService();
@@ -0,0 +1,486 @@
+const config = require('../config');
+const mrrtParserService = require('./mrrtParserService');
+const reportRenderService = require('./reportRenderService');
+
+class FHIRService {
+  constructor() {
+    this.baseUrl = config.fhirBaseUrl.replace(/\/$/, '');
+
+    // MRRT coding scheme name -> FHIR code system URI
+    this.codeSystems = {
+      LOINC: 'http://loinc.org',
+      RADLEX: 'http://radlex.org'
+    };
+
+    // Local code system for subspecialty codes (CH, NR, ...)
+    this.subspecialtySystem = `${this.baseUrl}/CodeSystem/subspecialty`;
+
+    // MRRT data-field-type -> Questionnaire item type
+    this.itemTypes = {
+      TEXTAREA: 'text',
+      TEXT: 'string',
+      NUMBER: 'decimal',
+      DATE: 'date',
+      TIME: 'time',
+      CHECKBOX: 'boolean',
+      SELECTION_LIST: 'choice',
+      SELECT: 'choice',
+      RADIO: 'choice'
+    };
+
+    // LOINC section codes used by RSNA templates for the narrative sections
+    this.findingsCode = '59776-5';
+    this.impressionCode = '19005-8';
+
+    // Report status -> DiagnosticReport/Observation status
+    this.reportStatuses = {
+      draft: 'registered',
+      preliminary: 'preliminary',
+      final: 'final'
+    };
+
+    // Template review status -> Questionnaire publication status
+    this.questionnaireStatuses = {
+      approved: 'active',
+      retired: 'retired'
+    };
+
+    // Report patientSex -> FHIR administrative gender
+    this.genders = {
+      M: 'male',
+      F: 'female',
+      O: 'other',
+      U: 'unknown'
+    };
+  }
+
+  /**
+   * Canonical URL of a template's Questionnaire
+   * @param {string} templateId - RSNA template ID
+   * @returns {string} Canonical URL
+   */
+  getQuestionnaireUrl(templateId) {
+    return `${this.baseUrl}/Questionnaire/${templateId}`;
+  }
+
+  /**
+   * Convert a template into a FHIR R4 Questionnaire
+   * @param {Object} template - Template (with subspecialties) or TemplateVersion
+   * @param {Array} subspecialties - Subspecialties for useContext (defaults to template.subspecialties)
+   * @returns {Object} Questionnaire resource
+   */
+  toQuestionnaire(template, subspecialties = template.subspecialties || []) {
+    const structure = template.templateData
+      ? mrrtParserService.parseTemplate(template)
+      : { metadata: {}, sections: [] };
+    const { metadata } = structure;
+
+    const author = template.author
+      || [template.firstname, template.lastname].filter(Boolean).join(' ')
+      || metadata.creator;
+
+    const questionnaire = {
+      resourceType: 'Questionnaire',
+      id: String(template.template_id),
+      meta: {
+        versionId: template.template_version,
+        ...(template.updatedAt ? { lastUpdated: new Date(template.updatedAt).toISOString() } : {})
+      },
+      url: this.getQuestionnaireUrl(template.template_id),
+      identifier: [
+        {
+          system: `${this.baseUrl}/template-id`,
+          value: String(template.template_id)
+        }
+      ],
+      version: template.template_version,
+      name: this.toComputableName(template.title),
+      title: template.title,
+      status: this.toQuestionnaireStatus(template.status),
+      subjectType: ['Patient'],
+      ...(template.created ? { date: new Date(template.created).toISOString() } : {}),
+      publisher: metadata.publisher || 'RSNA',
+      ...(author ? { contact: [{ name: author }] } : {}),
+      ...(template.description ? { description: template.description } : {}),
+      ...(metadata.rights ? { copyright: metadata.rights } : {}),
+      useContext: subspecialties.map(subspecialty => this.toUseContext(subspecialty)),
+      item: this.toItems(structure.sections)
+    };
+
+    // The MRRT document identifier is a UUID shared across systems
+    if (metadata.identifier) {
+      questionnaire.identifier.push({
+        system: 'urn:ietf:rfc:3986',
+        value: `urn:uuid:${metadata.identifier}`
+      });
+    }
+
+    if (questionnaire.useContext.length === 0) {
+      delete questionnaire.useContext;
+    }
+
+    return questionnaire;
+  }
+
+  /**
+   * Questionnaire status for a template review status; drafts and templates in review
+   * are 'draft'. Template versions carry no status and are published ('active').
+   * @param {string} status - Template review status
+   * @returns {string} Questionnaire status
+   */
+  toQuestionnaireStatus(status) {
+    if (status === undefined) {
+      return 'active';
+    }
+    return this.questionnaireStatuses[status] || 'draft';
+  }
+
+  /**
+   * Map a subspecialty to a Questionnaire useContext (focus)
+   */
+  toUseContext(subspecialty) {
+    const coding = [
+      {
+        system: this.subspecialtySystem,
+        code: subspecialty.code,
+        display: subspecialty.name
+      }
+    ];
+
+    if (subspecialty.radlexID) {
+      coding.push({
+        system: this.codeSystems.RADLEX,
+        code: subspecialty.radlexID,
+        display: subspecialty.name
+      });
+    }
+
+    return {
+      code: {
+        system: 'http://terminology.hl7.org/CodeSystem/usage-context-type',
+        code: 'focus'
+      },
+      valueCodeableConcept: {
+        coding,
+        text: subspecialty.name
+      }
+    };
+  }
+
+  /**
+   * Build nested group items from MRRT sections
+   */
+  toItems(sections) {
+    const groups = new Map();
+    const roots = [];
+
+    sections.forEach(section => {
+      const group = {
+        linkId: section.id,
+        text: section.name || section.id,
+        type: 'group',
+        ...(section.codes.length > 0 ? { code: this.toCodings(section.codes) } : {}),
+        item: section.fields.map(field => this.toItem(field, section))
+      };
+      groups.set(section.id, group);
+
+      const parent = section.parentId ? groups.get(section.parentId) : null;
+      if (parent) {
+        parent.item.push(group);
+      } else {
+        roots.push(group);
+      }
+    });
+
+    // FHIR requires groups to have content; drop empty item arrays
+    const prune = items => items.forEach(item => {
+      if (item.item) {
+        if (item.item.length === 0) {
+          delete item.item;
+        } else {
+          prune(item.item);
+        }
+      }
+    });
+    prune(roots);
+
+    return roots;
+  }
+
+  /**
+   * Map an MRRT field to a Questionnaire item
+   */
+  toItem(field, section) {
+    const type = field.options ? 'choice' : (this.itemTypes[field.type] || 'string');
+    // RSNA templates often leave labels empty on a section's single free-text field
+    const sectionName = section.fields.length === 1 ? section.name : null;
+
+    const item = {
+      linkId: field.id,
+      text: field.label || field.name || sectionName || field.id,
+      type,
+      ...(field.codes.length > 0 ? { code: this.toCodings(field.codes) } : {})
+    };
+
+    if (field.options) {
+      item.answerOption = field.options.map(option => ({
+        valueCoding: {
+          code: option.value,
+          display: option.text
+        },
+        ...(option.selected ? { initialSelected: true } : {})
+      }));
+      if (field.multiple) {
+        item.repeats = true;
+      }
+    } else if (type === 'boolean') {
+      if (field.defaultValue === true) {
+        item.initial = [{ valueBoolean: true }];
+      }
+    } else if (typeof field.defaultValue === 'string' && field.defaultValue.trim()) {
+      item.initial = [{ valueString: field.defaultValue }];
+    }
+
+    return item;
+  }
+
+  /**
+   * Map MRRT code bindings to FHIR Codings
+   */
+  toCodings(codes) {
+    return codes.map(code => ({
+      system: this.codeSystems[(code.scheme || '').toUpperCase()]
+        || (code.designator ? `urn:oid:${code.designator}` : undefined),
+      code: code.value,
+      display: code.meaning || undefined
+    }));
+  }
+
+  /**
+   * Convert a report into a FHIR R4 DiagnosticReport.
+   * Sections bound to LOINC codes become contained Observations; the impression
+   * (or findings when there is no impression) becomes the conclusion and the
+   * rendered report is attached as presentedForm.
+   * @param {Object} report - Report
+   * @param {Object} templateVersion - TemplateVersion the report was authored from
+   * @returns {Object} DiagnosticReport resource
+   */
+  toDiagnosticReport(report, templateVersion) {
+    const status = this.reportStatuses[report.status];
+    const values = report.values || {};
+    const sections = templateVersion && templateVersion.templateData
+      ? reportRenderService.getSectionContents(templateVersion, values)
+      : [];
+
+    const contained = [];
+    const patient = this.toPatient(report);
+    if (patient) {
+      contained.push(patient);
+    }
+    const subject = patient ? { reference: `#${patient.id}` } : undefined;
+
+    const observations = sections
+      .filter(section => section.content && this.getLoincCodes(section.codes).length > 0)
+      .map(section => ({
+        resourceType: 'Observation',
+        id: `section-${section.id}`,
+        status,
+        code: {
+          coding: this.toCodings(this.getLoincCodes(section.codes)),
+          text: section.name || section.id
+        },
+        ...(subject ? { subject } : {}),
+        ...(report.studyDate ? { effectiveDateTime: new Date(report.studyDate).toISOString() } : {}),
+        valueString: section.content
+      }));
+    contained.push(...observations);
+
+    const impression = this.findSection(sections, this.impressionCode, /impression/i);
+    const findings = this.findSection(sections, this.findingsCode, /findings/i);
+    const conclusion = (impression && impression.content) || (findings && findings.content);
+
+    const diagnosticReport = {
+      resourceType: 'DiagnosticReport',
+      id: String(report.id),
+      ...(report.updatedAt ? { meta: { lastUpdated: new Date(report.updatedAt).toISOString() } } : {}),
+      extension: [
+        {
+          // R5 backport: the Questionnaire (template version) the report was authored from
+          url: 'http://hl7.org/fhir/StructureDefinition/workflow-instantiatesCanonical',
+          valueCanonical: `${this.getQuestionnaireUrl(report.template_id)}|${report.template_version}`
+        }
+      ],
+      identifier: [
+        {
+          system: `${this.baseUrl}/report-id`,
+          value: String(report.id)
+        }
+      ],
+      status,
+      category: [
+        {
+          coding: [
+            {
+              system: 'http://terminology.hl7.org/CodeSystem/v2-0074',
+              code: 'RAD',
+              display: 'Radiology'
+            }
+          ]
+        }
+      ],
+      code: {
+        coding: [
+          {
+            system: this.codeSystems.LOINC,
+            code: '18748-4',
+            display: 'Diagnostic imaging study'
+          }
+        ],
+        text: report.title
+      },
+      ...(subject ? { subject } : {}),
+      ...(report.studyDate ? { effectiveDateTime: new Date(report.studyDate).toISOString() } : {}),
+      ...(report.finalizedAt ? { issued: new Date(report.finalizedAt).toISOString() } : {}),
+      ...(report.radiologist ? { resultsInterpreter: [{ display: report.radiologist }] } : {}),
+      result: observations.map(observation => ({ reference: `#${observation.id}` })),
+      ...(conclusion ? { conclusion } : {}),
+      presentedForm: this.toPresentedForm(report, templateVersion, values),
+      ...(contained.length > 0 ? { contained } : {})
+    };
+
+    if (report.accessionNumber) {
+      diagnosticReport.identifier.push({
+        type: {
+          coding: [
+            {
+              system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+              code: 'ACSN'
+            }
+          ]
+        },
+        system: `${this.baseUrl}/accession`,
+        value: report.accessionNumber
+      });
+    }
+
+    if (diagnosticReport.result.length === 0) {
+      delete diagnosticReport.result;
+    }
+
+    return diagnosticReport;
+  }
+
+  /**
+   * Contained Patient built from the report's patient metadata
+   */
+  toPatient(report) {
+    if (!report.patientId && !report.patientName) {
+      return null;
+    }
+
+    const gender = this.genders[(report.patientSex || '').charAt(0).toUpperCase()];
+
+    return {
+      resourceType: 'Patient',
+      id: 'patient',
+      ...(report.patientId ? { identifier: [{ system: `${this.baseUrl}/patient-id`, value: report.patientId }] } : {}),
+      ...(report.patientName ? { name: [{ text: report.patientName }] } : {}),
+      ...(gender ? { gender } : {}),
+      ...(report.patientBirthDate ? { birthDate: report.patientBirthDate } : {})
+    };
+  }
+
+  /**
+   * Rendered report attachments (plain text and MRRT HTML)
+   */
+  toPresentedForm(report, templateVersion, values) {
+    if (!templateVersion || !templateVersion.templateData) {
+      return [];
+    }
+
+    const toAttachment = (contentType, content) => ({
+      contentType,
+      language: 'en',
+      data: Buffer.from(content, 'utf8').toString('base64'),
+      title: report.title,
+      ...(report.finalizedAt ? { creation: new Date(report.finalizedAt).toISOString() } : {})
+    });
+
+    return [
+      toAttachment('text/plain', reportRenderService.renderText(templateVersion, values)),
+      toAttachment('text/html', reportRenderService.renderHtml(templateVersion, values))
+    ];
+  }
+
+  /**
+   * Find a section by LOINC code, falling back to its id or name
+   */
+  findSection(sections, loincCode, pattern) {
+    return sections.find(section => section.codes.some(code => code.value === loincCode))
+      || sections.find(section => pattern.test(section.id) || pattern.test(section.name || ''));
+  }
+
+  /**
+   * LOINC bindings among a section's codes
+   */
+  getLoincCodes(codes) {
+    return codes.filter(code => (code.scheme || '').toUpperCase() === 'LOINC');
+  }
+
+  /**
+   * Build a searchset Bundle
+   * @param {Array} resources - Matching resources
+   * @param {Object} options - { total, links: [{ relation, url }] (self, next, previous) }
+   * @returns {Object} Bundle resource
+   */
+  toSearchBundle(resources, options = {}) {
+    const { total = resources.length, links = [] } = options;
+
+    return {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total,
+      ...(links.length > 0 ? { link: links } : {}),
+      entry: resources.map(resource => ({
+        fullUrl: `${this.baseUrl}/${resource.resourceType}/${resource.id}`,
+        resource,
+        search: { mode: 'match' }
+      }))
+    };
+  }
+
+  /**
+   * Build an OperationOutcome for errors
+   * @param {string} code - FHIR issue type (e.g. not-found, invalid, exception)
+   * @param {string} diagnostics - Error detail
+   * @returns {Object} OperationOutcome resource
+   */
+  toOperationOutcome(code, diagnostics) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: [
+        {
+          severity: 'error',
+          code,
+          diagnostics
+        }
+      ]
+    };
+  }
+
+  /**
+   * Turn a title into a computer-friendly name (e.g. "MRI Cervical Spine" -> "MRICervicalSpine")
+   */
+  toComputableName(title) {
+    const name = (title || '')
+      .replace(/[^A-Za-z0-9 ]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join('');
+    // Names must start with an uppercase letter
+    return /^[A-Z]/.test(name) ? name : `Template${name}`;
+  }
+}
+
+module.exports = new FHIRService();
@@ -0,0 +1,307 @@
+const config = require('../config');
+const reportService = require('./reportService');
+const reportRenderService = require('./reportRenderService');
+const templateVersionService = require('./templateVersionService');
+const { createHttpError } = require('../utils/httpError');
+
+class HL7Service {
+  constructor() {
+    this.version = '2.5.1';
+    this.segmentSeparator = '\r';
+
+    // Report status -> OBR-25 / OBX-11 result status
+    this.resultStatuses = {
+      preliminary: 'P',
+      final: 'F'
+    };
+  }
+
+  /**
+   * Build an ORU^R01 message for a stored report
+   * @param {number} reportId - Report ID
+   * @returns {Promise<string>} ER7-encoded message (segments separated by \r)
+   */
+  async generateReportMessage(reportId) {
+    const report = await reportService.getReportOrFail(reportId);
+
+    if (!this.resultStatuses[report.status]) {
+      throw createHttpError(409, 'Report is a draft',
+        `Report ${reportId} is ${report.status}; only preliminary and final reports can be sent`);
+    }
+
+    const templateVersion = await templateVersionService.getVersion(report.template_id, report.template_version);
+    if (!templateVersion || !templateVersion.templateData) {
+      throw createHttpError(422, 'Template data not available',
+        `Template ${report.template_id} version ${report.template_version} has no template data`);
+    }
+
+    return this.buildOruR01(report, templateVersion);
+  }
+
+  /**
+   * Convert a report into an ORU^R01 message: MSH/PID/OBR from the report metadata
+   * and one OBX per MRRT section that has content
+   * @param {Object} report - Report
+   * @param {Object} templateVersion - TemplateVersion the report was authored from
+   * @param {Object} options - { messageControlId, timestamp }
+   * @returns {string} ER7-encoded message
+   */
+  buildOruR01(report, templateVersion, options = {}) {
+    const timestamp = options.timestamp || new Date();
+    const messageControlId = options.messageControlId || `R${report.id}${this.formatDateTime(timestamp).slice(0, 14)}`.slice(0, 20);
+    const resultStatus = this.resultStatuses[report.status] || 'P';
+
+    const sections = reportRenderService.getSectionContents(templateVersion, report.values || {})
+      .filter(section => section.content);
+
+    const segments = [
+      this.buildMSH('ORU^R01^ORU_R01', messageControlId, timestamp),
+      this.buildPID(report),
+      this.buildOBR(report, resultStatus),
+      ...sections.map((section, index) => this.buildOBX(index + 1, section, report, resultStatus))
+    ];
+
+    return segments.join(this.segmentSeparator);
+  }
+
+  /**
+   * MSH - message header
+   */
+  buildMSH(messageType, messageControlId, timestamp) {
+    const { sendingApplication, sendingFacility, receivingApplication, receivingFacility } = config.hl7;
+
+    // MSH-1 is the field separator itself, so the fields start at MSH-2
+    return [
+      'MSH',
+      '^~\\&',
+      this.escape(sendingApplication),
+      this.escape(sendingFacility),
+      this.escape(receivingApplication),
+      this.escape(receivingFacility),
+      this.formatDateTime(timestamp),
+      '',
+      messageType,
+      this.escape(messageControlId),
+      'P',
+      this.version
+    ].join('|');
+  }
+
+  /**
+   * PID - patient identification
+   */
+  buildPID(report) {
+    return this.buildSegment('PID', {
+      1: '1',
+      3: report.patientId ? `${this.escape(report.patientId)}^^^${this.escape(config.hl7.sendingFacility)}^MR` : '',
+      5: this.formatName(report.patientName),
+      7: report.patientBirthDate ? String(report.patientBirthDate).replace(/-/g, '').slice(0, 8) : '',
+      8: this.escape((report.patientSex || '').charAt(0).toUpperCase())
+    });
+  }
+
+  /**
+   * OBR - observation request; the template is the universal service identifier
+   */
+  buildOBR(report, resultStatus) {
+    return this.buildSegment('OBR', {
+      1: '1',
+      2: this.escape(report.accessionNumber),
+      3: this.escape(report.accessionNumber),
+      4: `${this.escape(report.template_id)}^${this.escape(report.title)}^RSNA`,
+      7: this.formatDateTime(report.studyDate),
+      22: this.formatDateTime(report.finalizedAt || report.preliminaryAt),
+      24: 'RAD',
+      25: resultStatus,
+      // NDL: the interpreter's name is a subcomponent of OBR-32.1
+      32: report.radiologist ? `&${this.formatName(report.radiologist, '&')}` : ''
+    });
+  }
+
+  /**
+   * OBX - one formatted-text observation per section, identified by the
+   * section's LOINC code when the template binds one
+   */
+  buildOBX(setId, section, report, resultStatus) {
+    const loinc = section.codes.find(code => (code.scheme || '').toUpperCase() === 'LOINC');
+    const identifier = loinc
+      ? `${this.escape(loinc.value)}^${this.escape(loinc.meaning || section.name)}^LN`
+      : `${this.escape(section.id)}^${this.escape(section.name || section.id)}^L`;
+
+    return this.buildSegment('OBX', {
+      1: String(setId),
+      2: 'FT',
+      3: identifier,
+      5: this.escape(section.content),
+      11: resultStatus,
+      14: this.formatDateTime(report.studyDate)
+    });
+  }
+
+  /**
+   * Build an ACK for a received message
+   * @param {Object} message - Parsed message (may be null when the MSH could not be read)
+   * @param {string} ackCode - AA (accepted), AE (error) or AR (rejected)
+   * @param {string} text - MSA-3 text message
+   * @returns {string} ER7-encoded ACK
+   */
+  buildACK(message, ackCode, text = '') {
+    const timestamp = new Date();
+    const controlId = message ? message.messageControlId : '';
+    const trigger = message ? message.triggerEvent : '';
+
+    return [
+      this.buildMSH(`ACK^${this.escape(trigger)}^ACK`, `A${this.formatDateTime(timestamp).slice(0, 14)}`, timestamp),
+      this.buildSegment('MSA', {
+        1: ackCode,
+        2: this.escape(controlId),
+        3: this.escape(text)
+      })
+    ].join(this.segmentSeparator);
+  }
+
+  /**
+   * Parse an ER7-encoded message into segments.
+   * Each segment is an array indexed by HL7 field number (MSH is shifted so MSH-3 is [3]).
+   * @param {string} text - Raw message
+   * @returns {Object} { segments, messageType, triggerEvent, messageControlId, version }
+   */
+  parseMessage(text) {
+    const lines = String(text || '')
+      .split(/\r\n|\r|\n/)
+      .map(line => line.trim())
+      .filter(Boolean);
+
+    if (lines.length === 0 || !lines[0].startsWith('MSH')) {
+      throw createHttpError(400, 'Invalid HL7 message', 'Message must start with an MSH segment');
+    }
+
+    const fieldSeparator = lines[0].charAt(3);
+    const encodingCharacters = lines[0].slice(4).split(fieldSeparator)[0];
+    const delimiters = {
+      field: fieldSeparator,
+      component: encodingCharacters.charAt(0) || '^',
+      repetition: encodingCharacters.charAt(1) || '~',
+      escape: encodingCharacters.charAt(2) || '\\',
+      subcomponent: encodingCharacters.charAt(3) || '&'
+    };
+
+    const segments = lines.map(line => {
+      const fields = line.split(fieldSeparator);
+      if (fields[0] === 'MSH') {
+        // MSH-1 is the separator itself
+        fields.splice(1, 0, fieldSeparator);
+      }
+      return fields;
+    });
+
+    const msh = segments[0];
+    const messageType = this.getComponents(msh[9], delimiters);
+
+    return {
+      delimiters,
+      segments,
+      messageType: messageType.slice(0, 2).filter(Boolean).join('^'),
+      triggerEvent: messageType[1] || '',
+      messageControlId: this.unescape(msh[10] || '', delimiters),
+      version: this.unescape(msh[12] || '', delimiters)
+    };
+  }
+
+  /**
+   * Components of the first repetition of a field, unescaped
+   * @param {string} field - Raw field value
+   * @param {Object} delimiters - Message delimiters from parseMessage
+   * @returns {Array<string>} Components (index 0 = component 1)
+   */
+  getComponents(field, delimiters) {
+    if (!field) return [];
+    const [first] = field.split(delimiters.repetition);
+    return first.split(delimiters.component).map(component => this.unescape(component, delimiters));
+  }
+
+  /**
+   * Reverse HL7 escape sequences in received content
+   */
+  unescape(value, delimiters) {
+    const escape = delimiters.escape;
+    if (!value || !value.includes(escape)) return value || '';
+
+    const sequences = {
+      F: delimiters.field,
+      S: delimiters.component,
+      T: delimiters.subcomponent,
+      R: delimiters.repetition,
+      E: escape,
+      '.br': '\n'
+    };
+    const pattern = new RegExp(`${this.escapeRegExp(escape)}(F|S|T|R|E|\\.br)${this.escapeRegExp(escape)}`, 'g');
+    return value.replace(pattern, (match, code) => sequences[code]);
+  }
+
+  /**
+   * Escape a delimiter for use inside a RegExp
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Join numbered fields into a segment, leaving gaps empty
+   */
+  buildSegment(name, fields) {
+    const last = Math.max(...Object.keys(fields).map(Number));
+    const values = [name];
+    for (let index = 1; index <= last; index++) {
+      values.push(fields[index] || '');
+    }
+    return values.join('|');
+  }
+
+  /**
+   * XPN name: "Last^First" from "Last^First", "Last, First" or "First Last"
+   * @param {string} name - Name as stored on the report
+   * @param {string} separator - Component separator (& when the name is itself a component)
+   */
+  formatName(name, separator = '^') {
+    if (!name) return '';
+    let parts;
+    if (name.includes('^')) {
+      parts = name.split('^');
+    } else if (name.includes(',')) {
+      const [family, ...given] = name.split(',');
+      parts = [family, given.join(',')];
+    } else {
+      const words = name.trim().split(/\s+/);
+      const family = words.pop();
+      parts = words.length > 0 ? [family, words.join(' ')] : [family];
+    }
+    return parts.map(part => this.escape(part.trim())).join(separator);
+  }
+
+  /**
+   * HL7 DTM (YYYYMMDDHHMMSS+0000, UTC)
+   */
+  formatDateTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}+0000`;
+  }
+
+  /**
+   * Escape delimiters in field content; line breaks become \.br\ (FT formatting)
+   */
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/\\/g, '\\E\\')
+      .replace(/\|/g, '\\F\\')
+      .replace(/\^/g, '\\S\\')
+      .replace(/&/g, '\\T\\')
+      .replace(/~/g, '\\R\\')
+      .replace(/\r\n|\r|\n/g, '\\.br\\');
+  }
+}
+
+module.exports = new HL7Service();
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Template, Subspecialty, SubspecialtyTemplate, TemplateVersion } = require('../models');
+const { sequelize } = require('../database/connection');
+const relationshipService = require('./relationshipService');
+const templateVersionService = require('./templateVersionService');
+const mrrtParserService = require('./mrrtParserService');
+const autocompleteService = require('./autocompleteService');
+const { getContext } = require('../utils/auditContext');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Templates authored by our own department (source "local"). RSNA templates stay
+ * read-only here; syncs in turn never update or remove local ones.
+ */
+class LocalTemplateService {
+  constructor() {
+    // Attributes clients may set directly
+    this.editableFields = ['title', 'description', 'lang', 'specialty', 'author', 'templateData'];
+    this.templateIdPattern = /^[A-Za-z0-9._-]{1,50}$/;
+  }
+
+  /**
+   * Create a local template
+   * @param {Object} data - { title, templateData, subspecialties: Array<code>, template_id?, template_version?,
+   *   description?, lang?, specialty?, author? }
+   * @param {Object} options - { attributes: extra attributes not settable by clients, validate: check the MRRT (default true) }
+   * @returns {Promise<Object>} Created Template with its subspecialties
+   */
+  async createTemplate(data, options = {}) {
+    const { attributes = {}, validate = true } = options;
+    const templateId = data.template_id ? String(data.template_id) : this.generateTemplateId();
+    this.validateTemplateId(templateId);
+
+    if (!data.title) {
+      throw createHttpError(400, 'Invalid template', 'title is required');
+    }
+    if (validate) {
+      this.validateTemplateData(data.templateData);
+    }
+    const subspecialties = await this.resolveSubspecialties(data.subspecialties);
+
+    const existing = await Template.findOne({ where: { template_id: templateId }, attributes: ['id'] });
+    if (existing) {
+      throw createHttpError(409, 'Template exists', `A template with ID ${templateId} already exists`);
+    }
+
+    const { actor } = getContext();
+    const template = await sequelize.transaction(async (transaction) => {
+      const created = await Template.create({
+        template_id: templateId,
+        source: 'local',
+        template_version: data.template_version ? String(data.template_version) : '1',
+        created: new Date(),
+        author: actor.type === 'system' ? '' : actor.name,
+        ...this.pickEditable(data),
+        specialty: data.specialty || subspecialties[0].name,
+        specCode: subspecialties.map(subspecialty => subspecialty.code).join(','),
+        dataType: 'html',
+        ...attributes
+      }, { transaction });
+
+      await this.setSubspecialties(created, subspecialties, transaction);
+      await templateVersionService.recordVersion(created, { transaction });
+      return created;
+    });
+
+    this.refreshSuggestions();
+    return this.getTemplate(template.template_id);
+  }
+
+  /**
+   * Update a local template. Changed HTML becomes a new version (the next number unless
+   * template_version is given), so reports keep the version they were written against,
+   * and sends an in-review or approved template back to draft.
+   * Changed HTML may not add MRRT problems; ones the template already has (e.g. copied
+   * from upstream into a fork) are tolerated.
+   * @param {string} templateId - Template template_id
+   * @param {Object} data - Any of the createTemplate fields except template_id
+   * @param {Object} options - { attributes: extra attributes not settable by clients,
+   *   allowedProblems: further MRRT problems to tolerate (e.g. those of a merged upstream version) }
+   * @returns {Promise<Object>} Updated Template with its subspecialties
+   */
+  async updateTemplate(templateId, data, options = {}) {
+    const template = await this.getLocalTemplateOrFail(templateId);
+    const changes = { ...this.pickEditable(data), ...(options.attributes || {}) };
+
+    if (changes.title !== undefined && !changes.title) {
+      throw createHttpError(400, 'Invalid template', 'title cannot be empty');
+    }
+
+    let subspecialties = null;
+    if (data.subspecialties !== undefined) {
+      subspecialties = await this.resolveSubspecialties(data.subspecialties);
+      changes.specCode = subspecialties.map(subspecialty => subspecialty.code).join(',');
+    }
+
+    const contentChanged = changes.templateData !== undefined && changes.templateData !== template.templateData;
+    if (contentChanged) {
+      this.validateTemplateData(changes.templateData, [
+        ...mrrtParserService.validate(template.templateData),
+        ...(options.allowedProblems || [])
+      ]);
+    }
+
+    if (data.template_version !== undefined || contentChanged) {
+      const version = data.template_version !== undefined
+        ? String(data.template_version)
+        : this.nextVersion(template.template_version);
+
+      if (version !== template.template_version) {
+        const taken = await TemplateVersion.findOne({
+          where: { template_id: template.template_id, template_version: version },
+          attributes: ['id']
+        });
+        if (taken) {
+          throw createHttpError(409, 'Version exists', `Template ${templateId} already has a version ${version}`);
+        }
+        changes.template_version = version;
+      } else if (contentChanged) {
+        throw createHttpError(409, 'Version exists',
+          `Changed HTML needs a new version; ${version} is the current version of template ${templateId}`);
+      }
+    }
+
+    // New content has to be reviewed again
+    if (contentChanged && ['in-review', 'approved'].includes(template.status)) {
+      changes.status = 'draft';
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await template.update(changes, { transaction });
+      if (subspecialties) {
+        await this.setSubspecialties(template, subspecialties, transaction);
+      }
+      await templateVersionService.recordVersion(template, { transaction });
+    });
+
+    this.refreshSuggestions();
+    return this.getTemplate(template.template_id);
+  }
+
+  /**
+   * Delete a local template. Its recorded versions are kept for the reports written against them.
+   * @param {string} templateId - Template template_id
+   */
+  async deleteTemplate(templateId) {
+    const template = await this.getLocalTemplateOrFail(templateId);
+
+    await sequelize.transaction(async (transaction) => {
+      await SubspecialtyTemplate.destroy({ where: { templateId: template.id }, transaction });
+      await template.destroy({ transaction });
+      await relationshipService.updateSubspecialtyCounts({ transaction });
+    });
+
+    this.refreshSuggestions();
+  }
+
+  /**
+   * Get a template with its subspecialties
+   */
+  async getTemplate(templateId) {
+    return Template.findOne({
+      where: { template_id: templateId },
+      include: [{
+        model: Subspecialty,
+        as: 'subspecialties',
+        attributes: ['code', 'name', 'shortName'],
+        through: { attributes: [] }
+      }]
+    });
+  }
+
+  /**
+   * Get a local template, or throw a 404 (missing) or 403 (synced from RSNA)
+   */
+  async getLocalTemplateOrFail(templateId) {
+    const template = await Template.findOne({ where: { template_id: templateId } });
+    if (!template) {
+      throw createHttpError(404, 'Template not found', `No template found with ID: ${templateId}`);
+    }
+    if (template.source !== 'local') {
+      throw createHttpError(403, 'Read-only template',
+        `Template ${templateId} is synced from RSNA and can only be changed by a sync`);
+    }
+    return template;
+  }
+
+  /**
+   * Replace a template's subspecialty links and refresh subspecialty counts
+   */
+  async setSubspecialties(template, subspecialties, transaction) {
+    const wanted = new Set(subspecialties.map(subspecialty => subspecialty.id));
+    const current = new Set((await SubspecialtyTemplate.findAll({
+      where: { templateId: template.id },
+      transaction
+    })).map(link => link.subspecialtyId));
+
+    const toAdd = [...wanted].filter(id => !current.has(id));
+    const toRemove = [...current].filter(id => !wanted.has(id));
+
+    if (toAdd.length > 0) {
+      await SubspecialtyTemplate.bulkCreate(
+        toAdd.map(subspecialtyId => ({ subspecialtyId, templateId: template.id })),
+        { transaction }
+      );
+    }
+    if (toRemove.length > 0) {
+      await SubspecialtyTemplate.destroy({
+        where: { templateId: template.id, subspecialtyId: { [Op.in]: toRemove } },
+        transaction
+      });
+    }
+    if (toAdd.length > 0 || toRemove.length > 0) {
+      await relationshipService.updateSubspecialtyCounts({ transaction });
+    }
+  }
+
+  /**
+   * Look up subspecialty codes; at least one is required
+   * @param {Array<string>|string} codes - Codes as an array or comma-separated string
+   * @returns {Promise<Array>} Subspecialties in the given order
+   */
+  async resolveSubspecialties(codes) {
+    const list = Array.isArray(codes) ? codes.map(String) : relationshipService.parseSpecCode(codes);
+    const unique = [...new Set(list.map(code => code.trim()).filter(Boolean))];
+    if (unique.length === 0) {
+      throw createHttpError(400, 'Invalid template', 'subspecialties must list at least one subspecialty code');
+    }
+
+    const found = await Subspecialty.findAll({ where: { code: { [Op.in]: unique } } });
+    const byCode = new Map(found.map(subspecialty => [subspecialty.code, subspecialty]));
+    const unknown = unique.filter(code => !byCode.has(code));
+    if (unknown.length > 0) {
+      throw createHttpError(400, 'Invalid template', `Unknown subspecialty codes: ${unknown.join(', ')}`);
+    }
+
+    return unique.map(code => byCode.get(code));
+  }
+
+  /**
+   * Throw a 400 listing every MRRT problem in the HTML
+   * @param {string} html - Template HTML
+   * @param {Array<string>} allowedProblems - Problems to tolerate (as reported by mrrtParserService.validate)
+   */
+  validateTemplateData(html, allowedProblems = []) {
+    const problems = mrrtParserService.validate(html).filter(problem => !allowedProblems.includes(problem));
+    if (problems.length > 0) {
+      throw createHttpError(400, 'Invalid MRRT template', problems.join('; '));
+    }
+  }
+
+  /**
+   * Local IDs must not look like RSNA's numeric IDs, so a later RSNA template can't collide
+   */
+  validateTemplateId(templateId) {
+    if (!this.templateIdPattern.test(templateId)) {
+      throw createHttpError(400, 'Invalid template', 'template_id may only contain letters, digits, ".", "_" and "-" (max 50)');
+    }
+    if (/^\d+$/.test(templateId)) {
+      throw createHttpError(400, 'Invalid template', 'Numeric template IDs are reserved for RSNA templates');
+    }
+  }
+
+  /**
+   * A fresh ID for a template created without one, e.g. local-3f9a1c07
+   */
+  generateTemplateId() {
+    return `local-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * The version after a numeric one ("3" -> "4"); other version strings get ".1" appended
+   */
+  nextVersion(version) {
+    return /^\d+$/.test(version) ? String(parseInt(version) + 1) : `${version}.1`;
+  }
+
+  /**
+   * Client-settable attributes present in data
+   */
+  pickEditable(data) {
+    const picked = {};
+    this.editableFields.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * Pick up the new titles and authors without waiting for the next sync
+   */
+  refreshSuggestions() {
+    autocompleteService.rebuild().catch(error => {
+      console.error('Failed to rebuild autocomplete index:', error.message);
+    });
+  }
+}
+
+module.exports = new LocalTemplateService();
@@ -0,0 +1,114 @@
+const net = require('net');
+const hl7Service = require('./hl7Service');
+const orderService = require('./orderService');
+const config = require('../config');
+const { runWithContext } = require('../utils/auditContext');
+
+// MLLP frame: <VT> message <FS><CR>
+const START_BLOCK = '\x0b';
+const END_BLOCK = '\x1c\x0d';
+
+class MLLPListener {
+  constructor() {
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Start accepting ORM/OMI messages over MLLP
+   * @param {number} port - TCP port
+   * @param {string} host - Interface to bind
+   * @returns {Promise<void>}
+   */
+  start(port, host) {
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        this.server.on('error', error => console.error('MLLP listener error:', error.message));
+        console.log(`MLLP listener running on ${host}:${port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    // close() waits for open connections, and senders tend to keep theirs open
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Read framed messages from a connection; messages on one connection are
+   * processed in order and each one is answered with an ACK
+   */
+  handleConnection(socket) {
+    let buffer = '';
+    let queue = Promise.resolve();
+    // Orders received over MLLP are recorded in the audit log as system changes from this peer
+    const source = `MLLP ${socket.remoteAddress}:${socket.remotePort}`;
+
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      // Anything before a start block is noise (or the rest of a frame we gave up on)
+      const start = buffer.indexOf(START_BLOCK);
+      buffer = start === -1 ? '' : buffer.slice(start);
+
+      let end = buffer.indexOf(END_BLOCK);
+      while (end !== -1) {
+        // A start block without an end is dropped when the next frame starts
+        const frame = buffer.slice(buffer.lastIndexOf(START_BLOCK, end) + 1, end);
+        buffer = buffer.slice(end + END_BLOCK.length);
+        const next = buffer.indexOf(START_BLOCK);
+        buffer = next === -1 ? '' : buffer.slice(next);
+
+        queue = queue.then(() => runWithContext({ source }, () => this.handleMessage(frame))).then(ack => {
+          if (!socket.destroyed) {
+            socket.write(`${START_BLOCK}${ack}${END_BLOCK}`);
+          }
+        });
+
+        end = buffer.indexOf(END_BLOCK);
+      }
+
+      if (buffer.length > config.mllp.maxMessageSize) {
+        console.error(`${source} sent more than ${config.mllp.maxMessageSize} characters without ending the message, closing`);
+        socket.destroy();
+      }
+    });
+    socket.on('error', error => console.error('MLLP connection error:', error.message));
+  }
+
+  /**
+   * Process one message and build its ACK
+   * @param {string} rawMessage - ER7-encoded message
+   * @returns {Promise<string>} ER7-encoded ACK
+   */
+  async handleMessage(rawMessage) {
+    let message = null;
+    try {
+      message = hl7Service.parseMessage(rawMessage);
+      const { orders } = await orderService.receiveMessage(rawMessage);
+      return hl7Service.buildACK(message, 'AA', `Received ${orders.length} order(s)`);
+    } catch (error) {
+      console.error('Error processing MLLP message:', error.message);
+      // AR for messages we cannot accept, AE when processing failed
+      return hl7Service.buildACK(message, error.statusCode === 400 ? 'AR' : 'AE', error.message);
+    }
+  }
+}
+
+module.exports = new MLLPListener();
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+/**
+ * Parser for IHE MRRT (Management of Radiology Report Templates) HTML.
+ * Turns templateData into sections, fields, dcterms metadata and the
+ * LOINC/RadLex bindings declared in the <coded_content> block.
+ */
+class MRRTParserService {
+  constructor() {
+    // Elements that can carry an MRRT field
+    this.fieldSelector = 'textarea, input, select';
+
+    // Parsed structures keyed by template_id + version
+    this.cache = new Map();
+    this.maxCacheEntries = 500;
+  }
+
+  /**
+   * Parse MRRT template HTML into sections, fields, metadata and code bindings
+   * @param {string} html - Template HTML (templateData)
+   * @returns {Object} { metadata, codingSchemes, sections, codes }
+   */
+  parse(html) {
+    const $ = cheerio.load(html || '');
+
+    const { codingSchemes, entries } = this.parseCodedContent($);
+    const codesByOrigin = new Map(entries.map(entry => [entry.origtxt, entry.codes]));
+
+    const sections = [];
+    $('section').each((index, element) => {
+      const section = this.parseSection($, $(element), index);
+      section.codes = codesByOrigin.get(section.id) || [];
+      section.fields.forEach(field => {
+        field.codes = codesByOrigin.get(field.id) || [];
+      });
+      sections.push(section);
+    });
+
+    return {
+      metadata: this.parseMetadata($),
+      codingSchemes,
+      sections,
+      codes: entries
+    };
+  }
+
+  /**
+   * Parse a template's HTML, reusing the cached result for the same template version
+   * @param {Object} template - Template or TemplateVersion with template_id, template_version and templateData
+   * @returns {Object} Parsed structure (see parse)
+   */
+  parseTemplate(template) {
+    const key = `${template.template_id}@${template.template_version}`;
+    // The same version can be re-synced with corrected HTML, so check the content too
+    const hash = crypto.createHash('sha1').update(template.templateData || '').digest('hex');
+
+    const cached = this.cache.get(key);
+    if (cached && cached.hash === hash) {
+      return cached.structure;
+    }
+
+    const structure = this.parse(template.templateData);
+
+    this.cache.delete(key);
+    this.cache.set(key, { hash, structure });
+    if (this.cache.size > this.maxCacheEntries) {
+      // Maps iterate in insertion order, so the first key is the oldest entry
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return structure;
+  }
+
+  /**
+   * Check template HTML against the parts of MRRT the rest of the system relies on:
+   * sections, field and section IDs (reports store values by field ID) and code bindings
+   * @param {string} html - Template HTML
+   * @returns {Array<string>} Problems found (empty when valid)
+   */
+  validate(html) {
+    if (typeof html !== 'string' || !html.trim()) {
+      return ['Template HTML is empty'];
+    }
+
+    const $ = cheerio.load(html);
+    const problems = [];
+
+    if ($('section').length === 0) {
+      problems.push('Template has no <section> elements');
+    }
+
+    const ids = new Set();
+    const checkId = (element, kind) => {
+      const id = $(element).attr('id');
+      if (!id) {
+        problems.push(`${kind} without an id: <${element.tagName.toLowerCase()}>${this.cleanText($(element).text()).slice(0, 40)}`);
+        return;
+      }
+      if (ids.has(id)) {
+        problems.push(`Duplicate id: ${id}`);
+      }
+      ids.add(id);
+    };
+
+    $('section').each((index, element) => checkId(element, 'Section'));
+    $(this.fieldSelector).each((index, element) => {
+      checkId(element, 'Field');
+      if (element.tagName.toLowerCase() === 'select' && $(element).find('option').length === 0) {
+        problems.push(`Selection field ${$(element).attr('id') || '(no id)'} has no options`);
+      }
+    });
+
+    this.parseCodedContent($).entries.forEach(entry => {
+      if (!entry.origtxt || !ids.has(entry.origtxt)) {
+        problems.push(`Coded content entry refers to unknown element: ${entry.origtxt || '(no origtxt)'}`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Read dcterms.* meta tags (identifier, title, creator, date, ...)
+   */
+  parseMetadata($) {
+    const metadata = {};
+    $('meta[name^="dcterms."]').each((index, element) => {
+      const name = $(element).attr('name').slice('dcterms.'.length);
+      metadata[name] = $(element).attr('content') || '';
+    });
+    return metadata;
+  }
+
+  /**
+   * Read coding schemes and entries from <script type="text/xml"><template_attributes><coded_content>
+   * @returns {Object} { codingSchemes: Array, entries: Array<{ origtxt, codes }> }
+   */
+  parseCodedContent($) {
+    const codingSchemes = [];
+    const entries = [];
+
+    $('script[type="text/xml"]').each((index, element) => {
+      const $xml = cheerio.load($(element).html() || '', { xmlMode: true });
+
+      $xml('coded_content coding_schemes coding_scheme').each((schemeIndex, scheme) => {
+        codingSchemes.push({
+          name: $xml(scheme).attr('name') || null,
+          designator: $xml(scheme).attr('designator') || null
+        });
+      });
+
+      $xml('coded_content entry').each((entryIndex, entry) => {
+        const codes = [];
+        $xml(entry).find('code').each((codeIndex, code) => {
+          const $code = $xml(code);
+          const scheme = $code.attr('scheme') || null;
+          const codingScheme = codingSchemes.find(item => item.name === scheme);
+          codes.push({
+            value: $code.attr('value') || null,
+            meaning: $code.attr('meaning') || null,
+            scheme,
+            designator: codingScheme ? codingScheme.designator : null
+          });
+        });
+
+        entries.push({
+          origtxt: $xml(entry).attr('origtxt') || null,
+          codes
+        });
+      });
+    });
+
+    return { codingSchemes, entries };
+  }
+
+  /**
+   * Parse a single <section> and the fields that belong directly to it
+   */
+  parseSection($, $section, index) {
+    const $parent = $section.parents('section').first();
+    const $header = $section.children('header').first();
+
+    const fields = [];
+    $section.find(this.fieldSelector).each((fieldIndex, element) => {
+      const $field = $(element);
+      // Fields in nested sections belong to those sections
+      if ($field.closest('section')[0] !== $section[0]) return;
+      fields.push(this.parseField($, $field, fieldIndex));
+    });
+
+    return {
+      id: $section.attr('id') || `section-${index + 1}`,
+      name: $section.attr('data-section-name') || this.cleanText($header.text()) || null,
+      level: this.getLevel($section),
+      parentId: $parent.length ? ($parent.attr('id') || null) : null,
+      fields
+    };
+  }
+
+  /**
+   * Parse a form element into a normalized field
+   */
+  parseField($, $field, index) {
+    const tagName = $field[0].tagName.toLowerCase();
+    const id = $field.attr('id') || $field.attr('name') || `field-${index + 1}`;
+    const type = ($field.attr('data-field-type') || $field.attr('type') || tagName).toUpperCase();
+
+    const field = {
+      id,
+      name: $field.attr('name') || null,
+      type,
+      label: this.getLabel($, $field),
+      defaultValue: this.getDefaultValue($field, tagName),
+      completionAction: $field.attr('data-field-completion-action') || null
+    };
+
+    if (tagName === 'select') {
+      field.options = [];
+      $field.find('option').each((optionIndex, option) => {
+        const $option = $(option);
+        const text = this.cleanText($option.text());
+        field.options.push({
+          value: $option.attr('value') !== undefined ? $option.attr('value') : text,
+          text,
+          selected: $option.attr('selected') !== undefined
+        });
+      });
+      field.multiple = $field.attr('multiple') !== undefined;
+    }
+
+    if (type === 'RADIO' || type === 'CHECKBOX') {
+      field.value = $field.attr('value') !== undefined ? $field.attr('value') : null;
+    }
+
+    return field;
+  }
+
+  /**
+   * Find the label text for a field (explicit <label for> first, then a wrapping label)
+   */
+  getLabel($, $field) {
+    const id = $field.attr('id');
+    if (id) {
+      const $label = $('label').filter((index, label) => $(label).attr('for') === id).first();
+      const text = this.cleanText($label.text());
+      if (text) return text;
+    }
+
+    const $wrapping = $field.closest('label');
+    if ($wrapping.length) {
+      const text = this.cleanText($wrapping.text());
+      if (text) return text;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the default content of a field
+   */
+  getDefaultValue($field, tagName) {
+    if (tagName === 'textarea') {
+      return $field.text();
+    }
+
+    if (tagName === 'select') {
+      const $selected = $field.find('option[selected]').first();
+      if (!$selected.length) return null;
+      return $selected.attr('value') !== undefined ? $selected.attr('value') : this.cleanText($selected.text());
+    }
+
+    const inputType = ($field.attr('type') || 'text').toLowerCase();
+    if (inputType === 'checkbox' || inputType === 'radio') {
+      return $field.attr('checked') !== undefined;
+    }
+
+    return $field.attr('value') !== undefined ? $field.attr('value') : null;
+  }
+
+  /**
+   * Read the section level from its class (e.g. "level1")
+   */
+  getLevel($section) {
+    const match = ($section.attr('class') || '').match(/level(\d+)/);
+    return match ? parseInt(match[1]) : 1;
+  }
+
+  /**
+   * Collapse whitespace in extracted text
+   */
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = new MRRTParserService();
@@ -0,0 +1,164 @@
+const { ImagingOrder } = require('../models');
+const hl7Service = require('./hl7Service');
+const templateSuggestionService = require('./templateSuggestionService');
+const { createHttpError } = require('../utils/httpError');
+
+class OrderService {
+  constructor() {
+    this.supportedMessageTypes = ['ORM^O01', 'OMI^O23'];
+
+    // ORC-1 order control codes that cancel or discontinue an order
+    this.cancelControls = ['CA', 'DC', 'OC'];
+  }
+
+  /**
+   * Receive an ORM^O01 / OMI^O23 message: store each ordered procedure with
+   * template suggestions under its accession number
+   * @param {string} rawMessage - ER7-encoded message
+   * @returns {Promise<Object>} { message, orders }
+   */
+  async receiveMessage(rawMessage) {
+    const message = hl7Service.parseMessage(rawMessage);
+
+    if (!this.supportedMessageTypes.includes(message.messageType)) {
+      throw createHttpError(400, 'Unsupported message type',
+        `Expected one of ${this.supportedMessageTypes.join(', ')}, received ${message.messageType || 'none'}`);
+    }
+
+    const parsedOrders = this.extractOrders(message);
+    if (parsedOrders.length === 0) {
+      throw createHttpError(400, 'No orders in message', 'The message contains no OBR segment');
+    }
+
+    const missing = parsedOrders.filter(order => !order.accessionNumber);
+    if (missing.length > 0) {
+      throw createHttpError(400, 'Missing accession number',
+        'Every OBR needs an accession number (IPC-1, OBR-18, OBR-3/ORC-3 or OBR-2/ORC-2)');
+    }
+
+    const orders = [];
+    for (const parsedOrder of parsedOrders) {
+      const suggestions = await templateSuggestionService.suggestTemplates({
+        code: parsedOrder.procedureCode,
+        codingSystem: parsedOrder.procedureCodingSystem,
+        description: parsedOrder.procedureDescription
+      });
+
+      orders.push(await this.saveOrder({
+        ...parsedOrder,
+        messageType: message.messageType,
+        messageControlId: message.messageControlId,
+        suggestions,
+        rawMessage
+      }));
+    }
+
+    return { message, orders };
+  }
+
+  /**
+   * Pull patient and per-OBR order details out of a parsed message
+   * @param {Object} message - Parsed message from hl7Service.parseMessage
+   * @returns {Array<Object>} Order attributes
+   */
+  extractOrders(message) {
+    const { segments, delimiters } = message;
+    // First component of a field, e.g. the ID of a CX/EI
+    const value = (segment, field) =>
+      (segment ? hl7Service.getComponents(segment[field], delimiters)[0] : '') || '';
+
+    const pid = segments.find(segment => segment[0] === 'PID');
+    const patientName = pid
+      ? hl7Service.getComponents(pid[5], delimiters).slice(0, 2).filter(Boolean).join('^')
+      : '';
+
+    const orders = [];
+    let orc = null;
+    let current = null;
+
+    segments.forEach(segment => {
+      if (segment[0] === 'ORC') {
+        orc = segment;
+      } else if (segment[0] === 'OBR') {
+        // OBR-4 is the universal service identifier; fall back to OBR-44 procedure code
+        const service = hl7Service.getComponents(segment[4] || segment[44], delimiters);
+
+        current = {
+          orderControl: value(orc, 1) || null,
+          placerOrderNumber: value(segment, 2) || value(orc, 2) || null,
+          fillerOrderNumber: value(segment, 3) || value(orc, 3) || null,
+          accessionNumber: value(segment, 18) || value(segment, 3) || value(orc, 3)
+            || value(segment, 2) || value(orc, 2) || null,
+          procedureCode: service[0] || service[3] || null,
+          procedureDescription: service[1] || service[4] || null,
+          procedureCodingSystem: service[2] || service[5] || null,
+          patientId: value(pid, 3) || null,
+          patientName: patientName || null
+        };
+        orders.push(current);
+      } else if (segment[0] === 'IPC' && current) {
+        // OMI^O23 carries the accession identifier in IPC-1
+        current.accessionNumber = value(segment, 1) || current.accessionNumber;
+      }
+    });
+
+    return orders;
+  }
+
+  /**
+   * Create or update the order stored under an accession number
+   */
+  async saveOrder(attributes) {
+    const status = this.cancelControls.includes(attributes.orderControl) ? 'cancelled' : 'active';
+    const existing = await ImagingOrder.findOne({ where: { accessionNumber: attributes.accessionNumber } });
+
+    if (existing) {
+      return existing.update({ ...attributes, status, receivedAt: new Date() });
+    }
+
+    return ImagingOrder.create({ ...attributes, status, receivedAt: new Date() });
+  }
+
+  /**
+   * List received orders
+   * @param {Object} options - { status, patientId, procedureCode, limit, skip }
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async listOrders(options = {}) {
+    const { status, patientId, procedureCode, limit = 20, skip = 0 } = options;
+
+    const whereClause = {};
+    if (status) {
+      whereClause.status = status;
+    }
+    if (patientId) {
+      whereClause.patientId = patientId;
+    }
+    if (procedureCode) {
+      whereClause.procedureCode = procedureCode;
+    }
+
+    return ImagingOrder.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['rawMessage'] },
+      order: [['receivedAt', 'DESC']],
+      limit,
+      offset: skip
+    });
+  }
+
+  /**
+   * Get an order by accession number or throw a 404
+   * @param {string} accessionNumber - Accession number
+   * @returns {Promise<Object>} ImagingOrder
+   */
+  async getOrderOrFail(accessionNumber) {
+    const order = await ImagingOrder.findOne({ where: { accessionNumber } });
+    if (!order) {
+      throw createHttpError(404, 'Order not found', `No order found with accession number: ${accessionNumber}`);
+    }
+    return order;
+  }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,287 @@
+const { Op } = require('sequelize');
+const { ProcedureMapping, Template } = require('../models');
+const { sequelize } = require('../database/connection');
+const templateVersionService = require('./templateVersionService');
+const { parseCsv } = require('../utils/csv');
+const { createHttpError } = require('../utils/httpError');
+
+class ProcedureMappingService {
+  constructor() {
+    // Attributes clients may set on a mapping
+    this.mappingFields = ['procedureCode', 'codingSystem', 'description', 'template_id', 'preferredVersion'];
+
+    // HL7 table 0396 and other spellings of the same coding system
+    this.codingSystemAliases = {
+      C4: 'CPT',
+      CPT4: 'CPT',
+      'CPT-4': 'CPT',
+      PLAYBOOK: 'RPID',
+      RADLEX: 'RPID'
+    };
+
+    // Accepted CSV header spellings (lowercased, punctuation removed) -> attribute
+    this.csvColumns = {
+      procedurecode: 'procedureCode',
+      code: 'procedureCode',
+      codingsystem: 'codingSystem',
+      system: 'codingSystem',
+      description: 'description',
+      templateid: 'template_id',
+      template: 'template_id',
+      preferredversion: 'preferredVersion',
+      version: 'preferredVersion'
+    };
+  }
+
+  /**
+   * List mappings with optional filters
+   * @param {Object} options - { codingSystem, template_id, q, limit, skip }
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async listMappings(options = {}) {
+    const { codingSystem, template_id: templateId, q, limit = 20, skip = 0 } = options;
+
+    const whereClause = {};
+    if (codingSystem) {
+      whereClause.codingSystem = this.normalizeCodingSystem(codingSystem);
+    }
+    if (templateId) {
+      whereClause.template_id = templateId;
+    }
+    if (q) {
+      whereClause[Op.or] = [
+        { procedureCode: { [Op.like]: `%${q}%` } },
+        { description: { [Op.like]: `%${q}%` } }
+      ];
+    }
+
+    return ProcedureMapping.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: Template,
+        as: 'template',
+        attributes: ['template_id', 'title', 'template_version']
+      }],
+      order: [['codingSystem', 'ASC'], ['procedureCode', 'ASC']],
+      limit,
+      offset: skip
+    });
+  }
+
+  /**
+   * Get a mapping or throw a 404
+   * @param {number} mappingId - Mapping ID
+   * @returns {Promise<Object>} ProcedureMapping
+   */
+  async getMappingOrFail(mappingId) {
+    const mapping = await ProcedureMapping.findByPk(mappingId);
+    if (!mapping) {
+      throw createHttpError(404, 'Procedure mapping not found', `No procedure mapping found with ID: ${mappingId}`);
+    }
+    return mapping;
+  }
+
+  /**
+   * Find the mapping for a procedure code. Without a coding system the oldest
+   * mapping for the code wins.
+   * @param {string} procedureCode - Procedure code
+   * @param {string} codingSystem - Optional coding system
+   * @returns {Promise<Object|null>} ProcedureMapping
+   */
+  async findMapping(procedureCode, codingSystem) {
+    if (!procedureCode) return null;
+
+    const whereClause = { procedureCode };
+    if (codingSystem) {
+      whereClause.codingSystem = this.normalizeCodingSystem(codingSystem);
+    }
+
+    return ProcedureMapping.findOne({
+      where: whereClause,
+      order: [['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Create a mapping
+   * @param {Object} data - { procedureCode, codingSystem?, description?, template_id, preferredVersion? }
+   * @returns {Promise<Object>} Created ProcedureMapping
+   */
+  async createMapping(data) {
+    const attributes = this.normalize(this.pickFields(data));
+    await this.validateMapping(attributes);
+
+    const existing = await ProcedureMapping.findOne({
+      where: { procedureCode: attributes.procedureCode, codingSystem: attributes.codingSystem }
+    });
+    if (existing) {
+      throw createHttpError(409, 'Procedure mapping exists',
+        `${attributes.codingSystem} ${attributes.procedureCode} is already mapped (mapping ${existing.id})`);
+    }
+
+    return ProcedureMapping.create(attributes);
+  }
+
+  /**
+   * Update a mapping
+   * @param {number} mappingId - Mapping ID
+   * @param {Object} data - Attributes to change
+   * @returns {Promise<Object>} Updated ProcedureMapping
+   */
+  async updateMapping(mappingId, data) {
+    const mapping = await this.getMappingOrFail(mappingId);
+    const attributes = this.normalize({ ...mapping.get({ plain: true }), ...this.pickFields(data) });
+    await this.validateMapping(attributes);
+
+    const conflict = await ProcedureMapping.findOne({
+      where: {
+        procedureCode: attributes.procedureCode,
+        codingSystem: attributes.codingSystem,
+        id: { [Op.ne]: mapping.id }
+      }
+    });
+    if (conflict) {
+      throw createHttpError(409, 'Procedure mapping exists',
+        `${attributes.codingSystem} ${attributes.procedureCode} is already mapped (mapping ${conflict.id})`);
+    }
+
+    return mapping.update(this.pickFields(attributes));
+  }
+
+  /**
+   * Delete a mapping
+   * @param {number} mappingId - Mapping ID
+   */
+  async deleteMapping(mappingId) {
+    const mapping = await this.getMappingOrFail(mappingId);
+    await mapping.destroy();
+  }
+
+  /**
+   * Create or update mappings from CSV. The header row names the columns
+   * (procedureCode, codingSystem, description, template_id, preferredVersion).
+   * Valid rows are saved; invalid ones are reported by data row number (1 = first row after the header).
+   * @param {string} csvText - CSV content
+   * @returns {Promise<Object>} { created, updated, unchanged, errors }
+   */
+  async importCsv(csvText) {
+    const rows = parseCsv(csvText);
+    if (rows.length < 2) {
+      throw createHttpError(400, 'Invalid CSV', 'CSV must have a header row and at least one mapping');
+    }
+
+    const columns = rows[0].map(header => this.csvColumns[header.toLowerCase().replace(/[^a-z]/g, '')]);
+    ['procedureCode', 'template_id'].forEach(required => {
+      if (!columns.includes(required)) {
+        throw createHttpError(400, 'Invalid CSV', `CSV header must include a ${required} column`);
+      }
+    });
+
+    const results = { created: 0, updated: 0, unchanged: 0, errors: [] };
+
+    // Check every row before writing so one transaction covers the valid ones
+    const validRows = [];
+    for (let index = 1; index < rows.length; index++) {
+      const data = {};
+      columns.forEach((column, columnIndex) => {
+        if (column && rows[index][columnIndex] !== undefined) {
+          data[column] = rows[index][columnIndex].trim() || null;
+        }
+      });
+
+      try {
+        const attributes = this.normalize(data);
+        await this.validateMapping(attributes);
+        validRows.push(attributes);
+      } catch (error) {
+        results.errors.push({ row: index, message: error.message });
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const attributes of validRows) {
+        const existing = await ProcedureMapping.findOne({
+          where: { procedureCode: attributes.procedureCode, codingSystem: attributes.codingSystem },
+          transaction
+        });
+
+        if (!existing) {
+          await ProcedureMapping.create(attributes, { transaction });
+          results.created++;
+        } else if (this.mappingFields.some(field => (existing[field] || null) !== (attributes[field] || null))) {
+          await existing.update(attributes, { transaction });
+          results.updated++;
+        } else {
+          results.unchanged++;
+        }
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Check required attributes and that the template (and preferred version) exist
+   */
+  async validateMapping(attributes) {
+    if (!attributes.procedureCode) {
+      throw createHttpError(400, 'Invalid procedure mapping', 'procedureCode is required');
+    }
+    if (!attributes.template_id) {
+      throw createHttpError(400, 'Invalid procedure mapping', 'template_id is required');
+    }
+
+    const template = await Template.findOne({
+      where: { template_id: attributes.template_id },
+      attributes: ['template_id']
+    });
+    if (!template) {
+      throw createHttpError(400, 'Invalid procedure mapping', `No template found with ID: ${attributes.template_id}`);
+    }
+
+    if (attributes.preferredVersion) {
+      const version = await templateVersionService.getVersion(attributes.template_id, attributes.preferredVersion);
+      if (!version) {
+        throw createHttpError(400, 'Invalid procedure mapping',
+          `Template ${attributes.template_id} has no version ${attributes.preferredVersion}`);
+      }
+    }
+  }
+
+  /**
+   * Trim codes and normalize the coding system
+   */
+  normalize(attributes) {
+    return {
+      ...attributes,
+      procedureCode: attributes.procedureCode ? String(attributes.procedureCode).trim() : attributes.procedureCode,
+      codingSystem: this.normalizeCodingSystem(attributes.codingSystem),
+      template_id: attributes.template_id ? String(attributes.template_id).trim() : attributes.template_id,
+      preferredVersion: attributes.preferredVersion ? String(attributes.preferredVersion).trim() : null
+    };
+  }
+
+  /**
+   * Uppercase coding system with aliases resolved (C4 -> CPT); LOCAL when empty
+   */
+  normalizeCodingSystem(codingSystem) {
+    const system = codingSystem ? String(codingSystem).trim().toUpperCase() : '';
+    if (!system) return 'LOCAL';
+    return this.codingSystemAliases[system] || system;
+  }
+
+  /**
+   * Pick the mapping attributes present in a request body
+   */
+  pickFields(data) {
+    const attributes = {};
+    this.mappingFields.forEach(field => {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      }
+    });
+    return attributes;
+  }
+}
+
+module.exports = new ProcedureMappingService();
@@ -1,4 +1,8 @@
+const { Op } = require('sequelize');
 const { Subspecialty, Template, SubspecialtyTemplate } = require('../models');
+const { sequelize } = require('../database/connection');
+const templateVersionService = require('./templateVersionService');
+const templateReviewService = require('./templateReviewService');
 
 class RelationshipService {
   /**
@@ -11,25 +15,72 @@ class RelationshipService {
     return specCode.split(',').map(code => code.trim()).filter(code => code.length > 0);
   }
 
+  /**
+   * Map an RSNA subspecialty payload to Subspecialty attributes
+   * @param {Object} subspecialtyData - Subspecialty object from RSNA
+   * @returns {Object} Subspecialty attributes (without code)
+   */
+  mapSubspecialtyAttributes(subspecialtyData) {
+    return {
+      shortName: subspecialtyData.shortName,
+      name: subspecialtyData.name,
+      radlexID: subspecialtyData.radlexID,
+      count: parseInt(subspecialtyData.count) || 0
+    };
+  }
+
+  /**
+   * Map an RSNA template payload to Template attributes
+   * @param {Object} templateData - Template object from RSNA
+   * @returns {Object} Template attributes (without template_id)
+   */
+  mapTemplateAttributes(templateData) {
+    return {
+      template_version: templateData.template_version,
+      title: templateData.title,
+      lang: templateData.lang,
+      created: new Date(templateData.created),
+      specialty: templateData.specialty,
+      specCode: templateData.specCode,
+      TLAP_Approved: templateData.TLAP_Approved,
+      views: parseInt(templateData.views) || 0,
+      description: templateData.description || null,
+      author: templateData.author || '',
+      firstname: templateData.firstname || '',
+      lastname: templateData.lastname || '',
+      downloads: parseInt(templateData.downloads) || 0,
+      dataType: templateData.dataType || 'html',
+      templateData: templateData.templateData || null,
+      synthetic: false
+    };
+  }
+
   /**
    * Create parent-child relationships between subspecialties and templates
    * @param {Array} subspecialties - Array of subspecialty objects
    * @param {Array} templates - Array of template objects
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onProgress - Called with { processed, failed, total } after each template
    * @returns {Promise<Object>} Result object with success status and statistics
    */
-  async createRelationships(subspecialties, templates) {
+  async createRelationships(subspecialties, templates, options = {}) {
     try {
+      const { onProgress } = options;
       console.log('Creating parent-child relationships...');
       
       const stats = {
         subspecialtiesProcessed: 0,
         templatesProcessed: 0,
         relationshipsCreated: 0,
+        forksFlagged: 0,
         errors: []
       };
 
-      // Clear existing relationships
-      await this.clearExistingRelationships();
+      // Junction rows this sync still wants; the rest are removed afterwards, so unchanged
+      // relationships are left alone instead of being deleted and re-created
+      const keptLinkIds = new Set();
+      // Templates that failed keep the links they had
+      const failedTemplateIds = new Set();
 
       // Create subspecialties first
       const subspecialtyMap = new Map();
@@ -39,21 +90,13 @@ class RelationshipService {
             where: { code: subspecialtyData.code },
             defaults: {
               code: subspecialtyData.code,
-              shortName: subspecialtyData.shortName,
-              name: subspecialtyData.name,
-              radlexID: subspecialtyData.radlexID,
-              count: parseInt(subspecialtyData.count) || 0
+              ...this.mapSubspecialtyAttributes(subspecialtyData)
             }
           });
 
           // Update if not created
           if (!created) {
-            await subspecialty.update({
-              shortName: subspecialtyData.shortName,
-              name: subspecialtyData.name,
-              radlexID: subspecialtyData.radlexID,
-              count: parseInt(subspecialtyData.count) || 0
-            });
+            await subspecialty.update(this.mapSubspecialtyAttributes(subspecialtyData));
           }
 
           subspecialtyMap.set(subspecialtyData.code, subspecialty);
@@ -79,58 +122,48 @@ class RelationshipService {
             }
           }
 
+          // Never let an RSNA template replace one of our own
+          const local = await Template.findOne({
+            where: { template_id: templateData.template_id, source: 'local' },
+            attributes: ['id']
+          });
+          if (local) {
+            throw new Error('template_id is taken by a local template, skipped');
+          }
+
+          // Recorded versions are immutable; changed HTML has to come with a new version
+          if (await templateVersionService.findConflict(templateData.template_id, templateData.template_version, templateData.templateData)) {
+            throw templateVersionService.conflictError(templateData.template_id, templateData.template_version);
+          }
+
           // Create or update template
           const [template, created] = await Template.findOrCreate({
             where: { template_id: templateData.template_id },
             defaults: {
               template_id: templateData.template_id,
-              template_version: templateData.template_version,
-              title: templateData.title,
-              lang: templateData.lang,
-              created: new Date(templateData.created),
-              specialty: templateData.specialty,
-              specCode: templateData.specCode,
-              TLAP_Approved: templateData.TLAP_Approved,
-              views: parseInt(templateData.views) || 0,
-              description: templateData.description || null,
-              author: templateData.author || '',
-              firstname: templateData.firstname || '',
-              lastname: templateData.lastname || '',
-              downloads: parseInt(templateData.downloads) || 0,
-              dataType: templateData.dataType || 'html',
-              templateData: templateData.templateData || null
+              ...this.mapTemplateAttributes(templateData),
+              status: templateReviewService.getTlapStatus(templateData.TLAP_Approved)
             }
           });
 
           // Update if not created
+          const previousTlap = created ? undefined : template.TLAP_Approved;
           if (!created) {
-            await template.update({
-              template_version: templateData.template_version,
-              title: templateData.title,
-              lang: templateData.lang,
-              created: new Date(templateData.created),
-              specialty: templateData.specialty,
-              specCode: templateData.specCode,
-              TLAP_Approved: templateData.TLAP_Approved,
-              views: parseInt(templateData.views) || 0,
-              description: templateData.description || null,
-              author: templateData.author || '',
-              firstname: templateData.firstname || '',
-              lastname: templateData.lastname || '',
-              downloads: parseInt(templateData.downloads) || 0,
-              dataType: templateData.dataType || 'html',
-              templateData: templateData.templateData || null
-            });
+            await template.update(this.mapTemplateAttributes(templateData));
           }
+          await templateReviewService.applyTlapStatus(template, previousTlap);
+
+          await templateVersionService.recordVersion(template);
 
           // Create relationships in junction table
           for (const subspecialty of relatedSubspecialties) {
-            await SubspecialtyTemplate.findOrCreate({
+            const [link] = await SubspecialtyTemplate.findOrCreate({
               where: {
                 subspecialtyId: subspecialty.id,
                 templateId: template.id
               }
             });
+            keptLinkIds.add(link.id);
             stats.relationshipsCreated++;
           }
 
@@ -138,11 +171,23 @@ class RelationshipService {
         } catch (error) {
           console.error(`Error creating template ${templateData.template_id}:`, error.message);
           stats.errors.push(`Template ${templateData.template_id}: ${error.message}`);
+          failedTemplateIds.add(String(templateData.template_id));
+        }
+
+        if (onProgress) {
+          await onProgress({
+            processed: stats.templatesProcessed,
+            failed: stats.errors.length,
+            total: templates.length
+          });
         }
       }
 
+      await this.removeStaleRelationships(keptLinkIds, failedTemplateIds);
+
       // Update subspecialty counts based on actual relationships
       await this.updateSubspecialtyCounts();
+      stats.forksFlagged = await this.flagChangedForks();
 
       console.log('Relationship creation completed:', stats);
       return {
@@ -160,37 +205,343 @@ class RelationshipService {
   }
 
   /**
-   * Clear existing relationships between subspecialties and templates
+   * Incrementally sync subspecialties and templates without clearing existing data.
+   * Templates are matched by template_id and compared by template_version plus
+   * their metadata; only new or changed rows are written and junction rows are
+   * added/removed individually. Everything runs in a single transaction, so a
+   * failure leaves the catalogue exactly as it was.
+   * @param {Array} subspecialties - Array of subspecialty objects
+   * @param {Array} templates - Array of template objects
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.pruneSubspecialties - Remove stored subspecialties missing from `subspecialties`
+   * @param {boolean} options.pruneTemplates - Remove stored templates missing from `templates`
+   * @param {Function} options.onProgress - Called with { processed, failed, total } after each template
+   * @returns {Promise<Object>} Result object with success status and per-entity statistics
    */
-  async clearExistingRelationships() {
+  async syncIncremental(subspecialties, templates, options = {}) {
+    const {
+      pruneSubspecialties = false,
+      pruneTemplates = false,
+      onProgress
+    } = options;
+
+    const stats = {
+      subspecialties: { added: 0, updated: 0, unchanged: 0, removed: 0 },
+      templates: { added: 0, updated: 0, unchanged: 0, removed: 0 },
+      relationships: { added: 0, unchanged: 0, removed: 0 },
+      forksFlagged: 0,
+      errors: []
+    };
+
+    // Reject malformed payload entries up front so they can't abort the transaction
+    const validSubspecialties = subspecialties.filter(subspecialtyData => {
+      if (!subspecialtyData.code) {
+        stats.errors.push('Subspecialty without code skipped');
+        return false;
+      }
+      return true;
+    });
+    const validTemplates = templates.filter(templateData => {
+      if (!templateData.template_id || !templateData.template_version) {
+        stats.errors.push(`Template ${templateData.template_id || '(no id)'}: missing template_id or template_version, skipped`);
+        return false;
+      }
+      return true;
+    });
+
     try {
-      console.log('Clearing existing relationships...');
-      
-      // Clear junction table
-      await SubspecialtyTemplate.destroy({ where: {} });
-      
-      console.log('Existing relationships cleared');
+      console.log('Running incremental sync...');
+
+      await sequelize.transaction(async (transaction) => {
+        const subspecialtyMap = await this.syncSubspecialtiesIncremental(
+          validSubspecialties, stats, { prune: pruneSubspecialties, transaction }
+        );
+
+        const existingTemplates = await Template.findAll({ transaction });
+        const templateMap = new Map(existingTemplates.map(template => [template.template_id, template]));
+
+        const existingLinks = await SubspecialtyTemplate.findAll({ transaction });
+        const linksByTemplate = new Map();
+        existingLinks.forEach(link => {
+          if (!linksByTemplate.has(link.templateId)) {
+            linksByTemplate.set(link.templateId, new Set());
+          }
+          linksByTemplate.get(link.templateId).add(link.subspecialtyId);
+        });
+
+        const seenTemplateIds = new Set();
+        let processed = 0;
+
+        for (const templateData of validTemplates) {
+          const templateId = String(templateData.template_id);
+          seenTemplateIds.add(templateId);
+
+          let template = templateMap.get(templateId);
+          const attributes = this.mapTemplateAttributes(templateData);
+
+          if (template && template.source === 'local') {
+            stats.errors.push(`Template ${templateId}: template_id is taken by a local template, skipped`);
+            continue;
+          }
+
+          // Recorded versions are immutable; keep the template as it is until RSNA bumps the version
+          if (await templateVersionService.findConflict(templateId, attributes.template_version, attributes.templateData, { transaction })) {
+            const { message } = templateVersionService.conflictError(templateId, attributes.template_version);
+            stats.errors.push(`Template ${templateId}: ${message}, skipped`);
+            continue;
+          }
+
+          if (!template) {
+            template = await Template.create({
+              template_id: templateId,
+              ...attributes,
+              status: templateReviewService.getTlapStatus(attributes.TLAP_Approved)
+            }, { transaction });
+            await templateReviewService.applyTlapStatus(template, undefined, { transaction });
+            stats.templates.added++;
+          } else {
+            const changes = this.getTemplateChanges(template, attributes, templateData);
+            const counters = { views: attributes.views, downloads: attributes.downloads };
+            const countersChanged = template.views !== counters.views || template.downloads !== counters.downloads;
+
+            if (Object.keys(changes).length > 0) {
+              const previousTlap = template.TLAP_Approved;
+              await template.update({ ...changes, ...counters }, { transaction });
+              await templateReviewService.applyTlapStatus(template, previousTlap, { transaction });
+              stats.templates.updated++;
+            } else {
+              // Popularity counters move on every sync; refresh them without reporting a content change
+              if (countersChanged) {
+                await template.update(counters, { transaction });
+              }
+              stats.templates.unchanged++;
+            }
+          }
+
+          await templateVersionService.recordVersion(template, { transaction });
+
+          // Reconcile junction rows for this template
+          const wanted = new Set();
+          for (const code of this.parseSpecCode(templateData.specCode)) {
+            const subspecialty = subspecialtyMap.get(code);
+            if (subspecialty) {
+              wanted.add(subspecialty.id);
+            }
+          }
+          const current = linksByTemplate.get(template.id) || new Set();
+
+          const toAdd = [...wanted].filter(id => !current.has(id));
+          const toRemove = [...current].filter(id => !wanted.has(id));
+
+          if (toAdd.length > 0) {
+            await SubspecialtyTemplate.bulkCreate(
+              toAdd.map(subspecialtyId => ({ subspecialtyId, templateId: template.id })),
+              { transaction }
+            );
+          }
+          if (toRemove.length > 0) {
+            await SubspecialtyTemplate.destroy({
+              where: { templateId: template.id, subspecialtyId: { [Op.in]: toRemove } },
+              transaction
+            });
+          }
+
+          stats.relationships.added += toAdd.length;
+          stats.relationships.removed += toRemove.length;
+          stats.relationships.unchanged += wanted.size - toAdd.length;
+
+          processed++;
+          if (onProgress) {
+            await onProgress({ processed, failed: 0, total: validTemplates.length });
+          }
+        }
+
+        if (pruneTemplates) {
+          // Local templates are never in the RSNA payload and are never pruned
+          const missing = existingTemplates.filter(template =>
+            template.source === 'rsna' && !seenTemplateIds.has(template.template_id));
+          if (missing.length > 0) {
+            const missingIds = missing.map(template => template.id);
+            stats.relationships.removed += await SubspecialtyTemplate.destroy({
+              where: { templateId: { [Op.in]: missingIds } },
+              transaction
+            });
+            await Template.destroy({ where: { id: { [Op.in]: missingIds } }, transaction });
+            stats.templates.removed = missing.length;
+          }
+        }
+
+        await this.updateSubspecialtyCounts({ transaction });
+        stats.forksFlagged = await this.flagChangedForks({ transaction });
+      });
+
+      console.log('Incremental sync completed:', stats);
+      return {
+        success: true,
+        stats
+      };
     } catch (error) {
-      console.error('Error clearing relationships:', error.message);
+      console.error('Error running incremental sync (rolled back):', error.message);
+      return {
+        success: false,
+        error: error.message,
+        stats
+      };
+    }
+  }
+
+  /**
+   * Upsert subspecialties for an incremental sync
+   * @param {Array} subspecialties - Array of subspecialty objects
+   * @param {Object} stats - Incremental sync statistics to update
+   * @param {Object} options - { prune, transaction }
+   * @returns {Promise<Map>} Map of code -> Subspecialty for every stored subspecialty
+   */
+  async syncSubspecialtiesIncremental(subspecialties, stats, options = {}) {
+    const { prune = false, transaction } = options;
+
+    const existing = await Subspecialty.findAll({ transaction });
+    const subspecialtyMap = new Map(existing.map(subspecialty => [subspecialty.code, subspecialty]));
+    const seenCodes = new Set();
+
+    for (const subspecialtyData of subspecialties) {
+      seenCodes.add(subspecialtyData.code);
+      const attributes = this.mapSubspecialtyAttributes(subspecialtyData);
+      // count is recalculated from junction rows, so it doesn't count as a change
+      delete attributes.count;
+
+      const subspecialty = subspecialtyMap.get(subspecialtyData.code);
+      if (!subspecialty) {
+        const created = await Subspecialty.create({ code: subspecialtyData.code, ...attributes }, { transaction });
+        subspecialtyMap.set(created.code, created);
+        stats.subspecialties.added++;
+        continue;
+      }
+
+      const changes = {};
+      Object.entries(attributes).forEach(([field, value]) => {
+        if ((subspecialty[field] ?? null) !== (value ?? null)) {
+          changes[field] = value;
+        }
+      });
+
+      if (Object.keys(changes).length > 0) {
+        await subspecialty.update(changes, { transaction });
+        stats.subspecialties.updated++;
+      } else {
+        stats.subspecialties.unchanged++;
+      }
+    }
+
+    if (prune) {
+      const missing = existing.filter(subspecialty => !seenCodes.has(subspecialty.code));
+      if (missing.length > 0) {
+        const missingIds = missing.map(subspecialty => subspecialty.id);
+        stats.relationships.removed += await SubspecialtyTemplate.destroy({
+          where: { subspecialtyId: { [Op.in]: missingIds } },
+          transaction
+        });
+        await Subspecialty.destroy({ where: { id: { [Op.in]: missingIds } }, transaction });
+        missing.forEach(subspecialty => subspecialtyMap.delete(subspecialty.code));
+        stats.subspecialties.removed = missing.length;
+      }
+    }
+
+    return subspecialtyMap;
+  }
+
+  /**
+   * Work out which content attributes of a stored template differ from an incoming payload
+   * @param {Object} template - Stored Template instance
+   * @param {Object} attributes - Attributes from mapTemplateAttributes
+   * @param {Object} templateData - Raw incoming template object
+   * @returns {Object} Changed attributes, excluding views/downloads (empty when unchanged)
+   */
+  getTemplateChanges(template, attributes, templateData) {
+    const changes = {};
+    const versionChanged = template.template_version !== attributes.template_version;
+
+    // Popularity counters are handled by the caller
+    const contentFields = Object.keys(attributes).filter(field => !['views', 'downloads'].includes(field));
+
+    for (const field of contentFields) {
+      if ((field === 'templateData' || field === 'synthetic') && !templateData.templateData) {
+        // Basic template listings carry no body: keep the stored HTML (and whether it was
+        // generated) unless it belongs to an older version
+        if (versionChanged && template[field]) {
+          changes[field] = field === 'templateData' ? null : false;
+        }
+        continue;
+      }
+
+      const current = template[field] instanceof Date ? template[field].getTime() : (template[field] ?? null);
+      const incoming = attributes[field] instanceof Date ? attributes[field].getTime() : (attributes[field] ?? null);
+      if (current !== incoming) {
+        changes[field] = attributes[field];
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Remove the relationships between subspecialties and RSNA templates that a full sync
+   * didn't confirm (local templates keep their subspecialty assignments, and so do
+   * templates the sync failed to process)
+   * @param {Set<number>} keptLinkIds - SubspecialtyTemplate ids the sync found or created
+   * @param {Set<string>} failedTemplateIds - template_ids the sync failed to process
+   */
+  async removeStaleRelationships(keptLinkIds, failedTemplateIds = new Set()) {
+    try {
+      console.log('Removing stale relationships...');
+
+      const untouched = await Template.findAll({
+        where: {
+          [Op.or]: [
+            { source: 'local' },
+            { template_id: { [Op.in]: [...failedTemplateIds] } }
+          ]
+        },
+        attributes: ['id']
+      });
+      const removed = await SubspecialtyTemplate.destroy({
+        where: {
+          id: { [Op.notIn]: [...keptLinkIds] },
+          ...(untouched.length > 0
+            ? { templateId: { [Op.notIn]: untouched.map(template => template.id) } }
+            : {})
+        }
+      });
+
+      console.log(`Stale relationships removed: ${removed}`);
+    } catch (error) {
+      console.error('Error removing stale relationships:', error.message);
       throw error;
     }
   }
 
   /**
    * Update subspecialty counts based on actual template relationships
+   * @param {Object} options - Optional settings
+   * @param {Object} options.transaction - Transaction to run the updates in
    */
-  async updateSubspecialtyCounts() {
+  async updateSubspecialtyCounts(options = {}) {
+    const { transaction } = options;
+
     try {
       console.log('Updating subspecialty counts...');
       
-      const subspecialties = await Subspecialty.findAll();
+      const subspecialties = await Subspecialty.findAll({ transaction });
       
       for (const subspecialty of subspecialties) {
         const actualCount = await SubspecialtyTemplate.count({
-          where: { subspecialtyId: subspecialty.id }
+          where: { subspecialtyId: subspecialty.id },
+          transaction
         });
         
-        await subspecialty.update({ count: actualCount });
+        if (subspecialty.count !== actualCount) {
+          await subspecialty.update({ count: actualCount }, { transaction });
+        }
       }
       
       console.log('Subspecialty counts updated');
@@ -200,15 +551,54 @@ class RelationshipService {
     }
   }
 
+  /**
+   * Flag local forks whose upstream RSNA template now has a different version than the fork is based on
+   * @param {Object} options - Optional settings
+   * @param {Object} options.transaction - Transaction to run the updates in
+   * @returns {Promise<number>} Number of forks newly flagged
+   */
+  async flagChangedForks(options = {}) {
+    const { transaction } = options;
+
+    const forks = await Template.findAll({
+      where: { source: 'local', forkedFrom: { [Op.ne]: null }, upstreamChanged: false },
+      attributes: ['id', 'template_id', 'forkedFrom', 'forkedFromVersion', 'upstreamChanged'],
+      transaction
+    });
+    if (forks.length === 0) {
+      return 0;
+    }
+
+    const upstreams = await Template.findAll({
+      where: { source: 'rsna', template_id: { [Op.in]: [...new Set(forks.map(fork => fork.forkedFrom))] } },
+      attributes: ['template_id', 'template_version'],
+      transaction
+    });
+    const versions = new Map(upstreams.map(upstream => [upstream.template_id, upstream.template_version]));
+
+    let flagged = 0;
+    for (const fork of forks) {
+      const version = versions.get(fork.forkedFrom);
+      if (version && version !== fork.forkedFromVersion) {
+        await fork.update({ upstreamChanged: true }, { transaction });
+        console.log(`Fork ${fork.template_id}: upstream ${fork.forkedFrom} moved from version ${fork.forkedFromVersion} to ${version}`);
+        flagged++;
+      }
+    }
+
+    return flagged;
+  }
+
   /**
    * Get hierarchical data (subspecialties with their templates)
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options, with includeUnapproved to also list templates that aren't approved
    * @returns {Promise<Array>} Array of subspecialties with populated templates
    */
   async getHierarchicalData(options = {}) {
     try {
       const {
         includeEmpty = false,
+        includeUnapproved = false,
         sortBy = 'name',
         sortOrder = 'asc',
         limit,
@@ -228,6 +618,7 @@ class RelationshipService {
           model: Template,
           as: 'templates',
           attributes: ['template_id', 'title', 'created', 'views', 'downloads', 'specialty', 'specCode'],
+          ...this.templateStatusFilter(includeUnapproved),
           through: { attributes: [] },
           order: [['created', 'DESC']]
         }],
@@ -251,9 +642,10 @@ class RelationshipService {
   /**
    * Get templates by subspecialty code
    * @param {string} subspecialtyCode - Subspecialty code
+   * @param {Object} options - { includeUnapproved: also list templates that aren't approved }
    * @returns {Promise<Array>} Array of templates for the subspecialty
    */
-  async getTemplatesBySubspecialty(subspecialtyCode) {
+  async getTemplatesBySubspecialty(subspecialtyCode, options = {}) {
     try {
       const subspecialty = await Subspecialty.findOne({
         where: { code: subspecialtyCode },
@@ -261,6 +653,7 @@ class RelationshipService {
           model: Template,
           as: 'templates',
           attributes: ['template_id', 'title', 'created', 'views', 'downloads', 'specialty', 'specCode', 'description', 'author'],
+          ...this.templateStatusFilter(options.includeUnapproved),
           through: { attributes: [] }
         }]
       });
@@ -276,6 +669,14 @@ class RelationshipService {
     }
   }
 
+  /**
+   * Template include options that leave out templates that aren't approved, unless
+   * includeUnapproved; subspecialties without approved templates are still returned
+   */
+  templateStatusFilter(includeUnapproved) {
+    return includeUnapproved ? {} : { where: { status: 'approved' }, required: false };
+  }
+
   /**
    * Get subspecialties for a specific template
    * @param {string} templateId - Template ID
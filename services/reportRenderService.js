@@ -0,0 +1,149 @@
+const cheerio = require('cheerio');
+const mrrtParserService = require('./mrrtParserService');
+
+class ReportRenderService {
+  /**
+   * Merge field values into a template's MRRT HTML.
+   * The <head> (dcterms meta tags and coded content) is kept as-is and the
+   * form controls are made read-only so the document reads as a finished report.
+   * @param {Object} templateVersion - Template or TemplateVersion with templateData
+   * @param {Object} values - Values keyed by MRRT field id
+   * @returns {string} Filled HTML document
+   */
+  renderHtml(templateVersion, values = {}) {
+    const $ = cheerio.load(templateVersion.templateData || '');
+
+    $('textarea, input, select').each((index, element) => {
+      const $field = $(element);
+      const fieldId = $field.attr('id') || $field.attr('name');
+      const tagName = element.tagName.toLowerCase();
+      const hasValue = fieldId && Object.prototype.hasOwnProperty.call(values, fieldId);
+      const value = hasValue ? values[fieldId] : undefined;
+
+      if (tagName === 'textarea') {
+        if (hasValue) {
+          $field.text(this.stringify(value));
+        }
+        $field.attr('readonly', 'readonly');
+      } else if (tagName === 'select') {
+        if (hasValue) {
+          const selected = (Array.isArray(value) ? value : [value]).map(item => this.stringify(item));
+          $field.find('option').each((optionIndex, option) => {
+            const $option = $(option);
+            const optionValue = $option.attr('value') !== undefined ? $option.attr('value') : $option.text().trim();
+            if (selected.includes(optionValue)) {
+              $option.attr('selected', 'selected');
+            } else {
+              $option.removeAttr('selected');
+            }
+          });
+        }
+        $field.attr('disabled', 'disabled');
+      } else {
+        const inputType = ($field.attr('type') || 'text').toLowerCase();
+        if (inputType === 'checkbox' || inputType === 'radio') {
+          if (hasValue) {
+            const checked = typeof value === 'boolean' ? value : this.stringify(value) === $field.attr('value');
+            if (checked) {
+              $field.attr('checked', 'checked');
+            } else {
+              $field.removeAttr('checked');
+            }
+          }
+          $field.attr('disabled', 'disabled');
+        } else {
+          if (hasValue) {
+            $field.attr('value', this.stringify(value));
+          }
+          $field.attr('readonly', 'readonly');
+        }
+      }
+    });
+
+    return $.html();
+  }
+
+  /**
+   * Render a plain-text narrative: each section header followed by its content
+   * @param {Object} templateVersion - Template or TemplateVersion with templateData
+   * @param {Object} values - Values keyed by MRRT field id
+   * @returns {string} Plain-text report
+   */
+  renderText(templateVersion, values = {}) {
+    return this.getSectionContents(templateVersion, values)
+      .filter(section => section.content)
+      .map(section => `${(section.name || section.id).toUpperCase()}:\n${section.content}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Resolve the final text of every section, using submitted values and
+   * falling back to the template defaults
+   * @param {Object} templateVersion - Template or TemplateVersion with templateData
+   * @param {Object} values - Values keyed by MRRT field id
+   * @returns {Array<Object>} { id, name, level, codes, content } per section, in document order
+   */
+  getSectionContents(templateVersion, values = {}) {
+    const structure = mrrtParserService.parseTemplate(templateVersion);
+
+    return structure.sections.map(section => {
+      const lines = section.fields
+        .map(field => this.getFieldText(field, values))
+        .filter(line => line);
+
+      return {
+        id: section.id,
+        name: section.name,
+        level: section.level,
+        codes: section.codes,
+        content: lines.join('\n')
+      };
+    });
+  }
+
+  /**
+   * Text for one field; labelled when the field has a label
+   */
+  getFieldText(field, values) {
+    const hasValue = Object.prototype.hasOwnProperty.call(values, field.id);
+    const value = hasValue ? values[field.id] : field.defaultValue;
+
+    let text;
+    if (field.options) {
+      const selected = Array.isArray(value) ? value : [value];
+      text = field.options
+        .filter(option => selected.includes(option.value))
+        .map(option => option.text)
+        .join(', ');
+    } else if (typeof value === 'boolean') {
+      // Checked boxes read as their label; unchecked ones are left out
+      return value ? (field.label || field.value || '') : '';
+    } else {
+      text = this.cleanText(this.stringify(value));
+    }
+
+    if (!text) return '';
+    return field.label ? `${field.label}: ${text}` : text;
+  }
+
+  /**
+   * Collapse runs of spaces while keeping line breaks
+   */
+  cleanText(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .trim();
+  }
+
+  /**
+   * Render a value as text
+   */
+  stringify(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+  }
+}
+
+module.exports = new ReportRenderService();
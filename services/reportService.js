@@ -0,0 +1,291 @@
+const { Op } = require('sequelize');
+const { Report } = require('../models');
+const templateVersionService = require('./templateVersionService');
+const mrrtParserService = require('./mrrtParserService');
+const usageService = require('./usageService');
+const templateReviewService = require('./templateReviewService');
+const { sequelize } = require('../database/connection');
+const { createHttpError } = require('../utils/httpError');
+
+class ReportService {
+  constructor() {
+    // Allowed status transitions; final reports are immutable
+    this.statusTransitions = {
+      draft: ['preliminary'],
+      preliminary: ['draft', 'final'],
+      final: []
+    };
+
+    // Report attributes clients may set besides values
+    this.metadataFields = [
+      'accessionNumber',
+      'patientId',
+      'patientName',
+      'patientBirthDate',
+      'patientSex',
+      'studyDate',
+      'radiologist'
+    ];
+  }
+
+  /**
+   * Create a draft report from a template version
+   * @param {Object} data - { template_id, template_version?, values?, ...metadata }
+   * @returns {Promise<Object>} Created Report
+   */
+  async createReport(data) {
+    const { template_id: templateId, template_version: version, values = {} } = data;
+
+    if (!templateId) {
+      throw createHttpError(400, 'Missing template', 'template_id is required');
+    }
+
+    const templateVersion = await templateVersionService.resolveVersion(String(templateId), version);
+    if (!templateVersion) {
+      throw createHttpError(404, 'Template version not found',
+        `No version ${version || '(current)'} found for template ID: ${templateId}`);
+    }
+    await templateReviewService.assertApproved(templateVersion.template_id);
+
+    const fields = this.getTemplateFields(templateVersion);
+    this.validateValues(values, fields);
+
+    return sequelize.transaction(async (transaction) => {
+      const report = await Report.create({
+        template_id: templateVersion.template_id,
+        template_version: templateVersion.template_version,
+        title: templateVersion.title,
+        status: 'draft',
+        values,
+        ...this.pickMetadata(data)
+      }, { transaction });
+
+      await usageService.recordEvent(templateVersion.template_id, 'report', { transaction });
+      return report;
+    });
+  }
+
+  /**
+   * Update a report's values and metadata. Values are merged into the stored ones;
+   * a value of null clears that field.
+   * @param {number} reportId - Report ID
+   * @param {Object} data - { values?, ...metadata }
+   * @returns {Promise<Object>} Updated Report
+   */
+  async updateReport(reportId, data) {
+    const report = await this.getReportOrFail(reportId);
+
+    if (report.status === 'final') {
+      throw createHttpError(409, 'Report is final', `Report ${reportId} is final and can no longer be edited`);
+    }
+
+    const changes = this.pickMetadata(data);
+
+    if (data.values !== undefined) {
+      const templateVersion = await templateVersionService.getVersion(report.template_id, report.template_version);
+      const fields = this.getTemplateFields(templateVersion);
+      this.validateValues(data.values, fields);
+
+      const values = { ...report.values };
+      Object.entries(data.values).forEach(([fieldId, value]) => {
+        if (value === null) {
+          delete values[fieldId];
+        } else {
+          values[fieldId] = value;
+        }
+      });
+      changes.values = values;
+    }
+
+    return report.update(changes);
+  }
+
+  /**
+   * Move a report to a new status
+   * @param {number} reportId - Report ID
+   * @param {string} status - Target status
+   * @returns {Promise<Object>} Updated Report
+   */
+  async transitionStatus(reportId, status) {
+    const report = await this.getReportOrFail(reportId);
+
+    if (!this.statusTransitions[status]) {
+      throw createHttpError(400, 'Invalid status',
+        `Status must be one of: ${Object.keys(this.statusTransitions).join(', ')}`);
+    }
+
+    const allowed = this.statusTransitions[report.status];
+    if (!allowed.includes(status)) {
+      throw createHttpError(409, 'Invalid status transition',
+        `Cannot move report ${reportId} from ${report.status} to ${status}`);
+    }
+
+    const changes = { status };
+    if (status === 'preliminary') {
+      changes.preliminaryAt = new Date();
+    } else if (status === 'final') {
+      changes.finalizedAt = new Date();
+    }
+
+    return report.update(changes);
+  }
+
+  /**
+   * Delete a draft report
+   * @param {number} reportId - Report ID
+   */
+  async deleteReport(reportId) {
+    const report = await this.getReportOrFail(reportId);
+
+    if (report.status !== 'draft') {
+      throw createHttpError(409, 'Report is not a draft', `Only draft reports can be deleted; report ${reportId} is ${report.status}`);
+    }
+
+    await report.destroy();
+  }
+
+  /**
+   * List reports with optional filters
+   * @param {Object} options - { status, template_id, accessionNumber, patientId, limit, skip }
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async listReports(options = {}) {
+    const { status, template_id: templateId, accessionNumber, patientId, from, to, limit = 20, skip = 0 } = options;
+
+    const whereClause = {};
+    if (status) {
+      whereClause.status = status;
+    }
+    if (templateId) {
+      whereClause.template_id = templateId;
+    }
+    if (accessionNumber) {
+      whereClause.accessionNumber = accessionNumber;
+    }
+    if (patientId) {
+      whereClause.patientId = patientId;
+    }
+    if (from || to) {
+      whereClause.createdAt = {};
+      if (from) whereClause.createdAt[Op.gte] = new Date(from);
+      if (to) whereClause.createdAt[Op.lte] = new Date(to);
+    }
+
+    return Report.findAndCountAll({
+      where: whereClause,
+      order: [['updatedAt', 'DESC']],
+      limit,
+      offset: skip
+    });
+  }
+
+  /**
+   * A page of the final reports finalized within a date range, oldest first
+   * @param {Object} range - { from, to, fromExclusive, toExclusive } (Date bounds, optional)
+   * @param {Object} page - { limit, offset }
+   * @returns {Promise<Object>} { rows, count } with count over the whole range
+   */
+  async listFinalizedReports(range = {}, page = {}) {
+    const { from, to, fromExclusive = false, toExclusive = false } = range;
+
+    const whereClause = { status: 'final' };
+    if (from || to) {
+      whereClause.finalizedAt = {};
+      if (from) whereClause.finalizedAt[fromExclusive ? Op.gt : Op.gte] = from;
+      if (to) whereClause.finalizedAt[toExclusive ? Op.lt : Op.lte] = to;
+    }
+
+    return Report.findAndCountAll({
+      where: whereClause,
+      order: [['finalizedAt', 'ASC'], ['id', 'ASC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+  }
+
+  /**
+   * Get a report or throw a 404
+   * @param {number} reportId - Report ID
+   * @returns {Promise<Object>} Report
+   */
+  async getReportOrFail(reportId) {
+    const report = await Report.findByPk(reportId);
+    if (!report) {
+      throw createHttpError(404, 'Report not found', `No report found with ID: ${reportId}`);
+    }
+    return report;
+  }
+
+  /**
+   * Map of field id -> parsed MRRT field for a template version
+   */
+  getTemplateFields(templateVersion) {
+    if (!templateVersion || !templateVersion.templateData) {
+      throw createHttpError(422, 'Template data not available',
+        'The template version has no template data, so report fields cannot be validated');
+    }
+
+    const fields = new Map();
+    mrrtParserService.parseTemplate(templateVersion).sections.forEach(section => {
+      section.fields.forEach(field => fields.set(field.id, field));
+    });
+    return fields;
+  }
+
+  /**
+   * Check submitted values against the template's fields
+   * @param {Object} values - Values keyed by MRRT field id
+   * @param {Map} fields - Template fields
+   */
+  validateValues(values, fields) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw createHttpError(400, 'Invalid values', 'values must be an object keyed by template field id');
+    }
+
+    const problems = [];
+    Object.entries(values).forEach(([fieldId, value]) => {
+      const field = fields.get(fieldId);
+      if (!field) {
+        problems.push(`Unknown field: ${fieldId}`);
+        return;
+      }
+      if (value === null) return;
+
+      if (field.options) {
+        const allowed = field.options.map(option => option.value);
+        const selected = Array.isArray(value) ? value : [value];
+        if (Array.isArray(value) && !field.multiple) {
+          problems.push(`Field ${fieldId} accepts a single option`);
+        }
+        selected.filter(item => !allowed.includes(item)).forEach(item => {
+          problems.push(`Field ${fieldId} has no option "${item}"`);
+        });
+      } else if (field.type === 'CHECKBOX') {
+        if (typeof value !== 'boolean') {
+          problems.push(`Field ${fieldId} must be true or false`);
+        }
+      } else if (typeof value !== 'string' && typeof value !== 'number') {
+        problems.push(`Field ${fieldId} must be text`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw createHttpError(400, 'Invalid values', problems.join('; '));
+    }
+  }
+
+  /**
+   * Pick the report metadata attributes present in a request body
+   */
+  pickMetadata(data) {
+    const metadata = {};
+    this.metadataFields.forEach(field => {
+      if (data[field] !== undefined) {
+        metadata[field] = data[field];
+      }
+    });
+    return metadata;
+  }
+}
+
+module.exports = new ReportService();
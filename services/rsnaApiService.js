@@ -109,14 +109,19 @@ class RSNAApiService {
 
   /**
    * Fetch templates with detailed information
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onProgress - Called with { processed, failed, total } after each template
    * @returns {Promise<Array>} Array of templates with detailed information
    */
-  async fetchTemplatesWithDetails() {
+  async fetchTemplatesWithDetails(options = {}) {
+    const { onProgress } = options;
+
     try {
       const templates = await this.fetchTemplates();
       const templatesWithDetails = [];
 
       console.log(`Processing ${templates.length} templates...`);
+      let failed = 0;
 
       for (let i = 0; i < templates.length; i++) {
         const template = templates[i];
@@ -144,10 +149,15 @@ class RSNAApiService {
           console.warn(`Failed to fetch details for template ${template.template_id}:`, error.message);
           // Still include the basic template info
           templatesWithDetails.push(template);
+          failed++;
           
           // Add delay even on error to avoid overwhelming the API
           await new Promise(resolve => setTimeout(resolve, 200));
         }
+
+        if (onProgress) {
+          await onProgress({ processed: i + 1, failed, total: templates.length });
+        }
       }
 
       return templatesWithDetails;
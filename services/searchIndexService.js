@@ -0,0 +1,410 @@
+const { Template } = require('../models');
+const mrrtParserService = require('./mrrtParserService');
+
+/**
+ * In-process inverted index over the template catalogue with BM25F ranking.
+ * The index is rebuilt lazily on the first search after any template changes.
+ */
+class SearchIndexService {
+  constructor() {
+    // Field weights: a title hit counts for more than the same word deep in a section
+    this.fieldWeights = {
+      title: 3,
+      description: 1.5,
+      author: 1,
+      specialty: 0.5,
+      sections: 1
+    };
+    // BM25 parameters
+    this.k1 = 1.2;
+    this.b = 0.75;
+    // Synonym expansions count for less than the words actually typed
+    this.expansionWeight = 0.6;
+
+    this.stopWords = new Set([
+      'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+      'of', 'on', 'or', 'the', 'this', 'to', 'with'
+    ]);
+
+    this.snippetLength = 160;
+    this.maxSectionSnippets = 3;
+
+    this.postings = new Map(); // term -> Map(templateId -> { field: termFrequency })
+    this.documents = new Map(); // templateId -> { template_id, fields, sections, lengths }
+    this.codes = new Map(); // "SCHEME|value" -> Map(templateId -> [coded_content origtxt])
+    this.averageLengths = {};
+    this.stale = true;
+    this.generation = 0;
+    this.building = null;
+
+    this.registerHooks();
+  }
+
+  /**
+   * Mark the index stale whenever a template is written. Changes inside a transaction
+   * invalidate again on commit, so a rebuild that ran mid-transaction is not kept.
+   */
+  registerHooks() {
+    const invalidate = (options = {}) => {
+      this.invalidate();
+      if (options.transaction) {
+        options.transaction.afterCommit(() => this.invalidate());
+      }
+    };
+
+    Template.addHook('afterCreate', 'searchIndex', (instance, options) => invalidate(options));
+    Template.addHook('afterUpdate', 'searchIndex', (instance, options) => invalidate(options));
+    Template.addHook('afterDestroy', 'searchIndex', (instance, options) => invalidate(options));
+    Template.addHook('afterBulkCreate', 'searchIndex', (instances, options) => invalidate(options));
+    Template.addHook('afterBulkUpdate', 'searchIndex', (options) => invalidate(options));
+    Template.addHook('afterBulkDestroy', 'searchIndex', (options) => invalidate(options));
+  }
+
+  /**
+   * Force a rebuild on the next search
+   */
+  invalidate() {
+    this.stale = true;
+    this.generation++;
+  }
+
+  /**
+   * Rank templates against a free-text query
+   * @param {string} query - Search text
+   * @param {Object} options - { expansions: index terms for synonyms of the query (see conceptService.expandQuery) }
+   * @returns {Promise<Array>} [{ id, template_id, score, terms }] best first
+   */
+  async search(query, options = {}) {
+    await this.ensureIndex();
+
+    // term -> weight; words typed in the query keep full weight
+    const terms = new Map();
+    (options.expansions || []).forEach(term => terms.set(term, this.expansionWeight));
+    this.tokenize(query).forEach(term => terms.set(term, 1));
+
+    const scores = new Map();
+    const documentCount = this.documents.size;
+
+    terms.forEach((weight, term) => {
+      const postings = this.postings.get(term);
+      if (!postings) return;
+
+      const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+
+      postings.forEach((frequencies, id) => {
+        const document = this.documents.get(id);
+
+        // BM25F: length-normalised, weighted term frequency summed over fields
+        let weightedFrequency = 0;
+        Object.entries(frequencies).forEach(([field, frequency]) => {
+          const averageLength = this.averageLengths[field] || 1;
+          const norm = 1 - this.b + this.b * (document.lengths[field] / averageLength);
+          weightedFrequency += this.fieldWeights[field] * frequency / norm;
+        });
+
+        const entry = scores.get(id) || { score: 0, terms: [] };
+        entry.score += weight * idf * weightedFrequency / (this.k1 + weightedFrequency);
+        entry.terms.push(term);
+        scores.set(id, entry);
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([id, { score, terms: matched }]) => ({
+        id,
+        template_id: this.documents.get(id).template_id,
+        score: Math.round(score * 1000) / 1000,
+        terms: matched
+      }))
+      .sort((a, b) => b.score - a.score || a.id - b.id);
+  }
+
+  /**
+   * Highlighted snippets for the fields of a template that matched
+   * @param {number} id - Template primary key
+   * @param {Array<string>} terms - Matched index terms (from search)
+   * @returns {Object} { title?, description?, author?, specialty?, sections?: [{ id, name, snippet }] }
+   */
+  getHighlights(id, terms) {
+    const document = this.documents.get(id);
+    if (!document) {
+      return {};
+    }
+
+    const termSet = new Set(terms);
+    const highlights = {};
+
+    ['title', 'description', 'author', 'specialty'].forEach(field => {
+      const snippet = this.buildSnippet(document.fields[field], termSet);
+      if (snippet) {
+        highlights[field] = snippet;
+      }
+    });
+
+    const sections = document.sections
+      .map(section => ({ section, hits: this.countHits(section.text, termSet) }))
+      .filter(({ hits }) => hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .slice(0, this.maxSectionSnippets)
+      .map(({ section }) => ({
+        id: section.id,
+        name: section.name,
+        snippet: this.buildSnippet(section.text, termSet)
+      }));
+    if (sections.length > 0) {
+      highlights.sections = sections;
+    }
+
+    return highlights;
+  }
+
+  /**
+   * Templates whose MRRT coded_content binds a code, e.g. ('RADLEX', 'RID1301')
+   * @param {string} scheme - Coding scheme name as declared in coded_content
+   * @param {string} value - Code value
+   * @returns {Promise<Array>} [{ id, template_id, origins }] where origins are the bound section/field IDs
+   */
+  async findByCode(scheme, value) {
+    await this.ensureIndex();
+
+    const templates = this.codes.get(`${scheme.toUpperCase()}|${value.toUpperCase()}`) || new Map();
+    return [...templates.entries()].map(([id, origins]) => ({
+      id,
+      template_id: this.documents.get(id).template_id,
+      origins
+    }));
+  }
+
+  /**
+   * Rebuild the index if it is stale; concurrent callers share one rebuild
+   */
+  async ensureIndex() {
+    while (this.stale) {
+      if (!this.building) {
+        const generation = this.generation;
+        this.building = this.rebuild()
+          .then(() => {
+            // Templates written during the rebuild leave the index stale
+            if (this.generation === generation) {
+              this.stale = false;
+            }
+          })
+          .finally(() => {
+            this.building = null;
+          });
+      }
+      await this.building;
+    }
+  }
+
+  /**
+   * Build the inverted index from every template
+   */
+  async rebuild() {
+    const templates = await Template.findAll({
+      attributes: [
+        'id', 'template_id', 'template_version', 'title', 'description',
+        'author', 'firstname', 'lastname', 'specialty', 'templateData'
+      ]
+    });
+
+    const postings = new Map();
+    const documents = new Map();
+    const codes = new Map();
+    const totalLengths = {};
+
+    templates.forEach(template => {
+      const structure = this.parseStructure(template);
+      const sections = this.extractSections(structure);
+
+      structure.codes.forEach(entry => {
+        entry.codes.forEach(code => {
+          if (!code.scheme || !code.value) return;
+          const key = `${code.scheme.toUpperCase()}|${code.value.toUpperCase()}`;
+          if (!codes.has(key)) {
+            codes.set(key, new Map());
+          }
+          const origins = codes.get(key).get(template.id) || [];
+          if (entry.origtxt && !origins.includes(entry.origtxt)) {
+            origins.push(entry.origtxt);
+          }
+          codes.get(key).set(template.id, origins);
+        });
+      });
+      const fields = {
+        title: template.title || '',
+        description: template.description || '',
+        author: [template.author, template.firstname, template.lastname]
+          .filter(Boolean)
+          .filter((name, index, names) => names.indexOf(name) === index)
+          .join(' '),
+        specialty: template.specialty || '',
+        sections: sections.map(section => section.text).join(' ')
+      };
+
+      const lengths = {};
+      Object.entries(fields).forEach(([field, text]) => {
+        const tokens = this.tokenize(text);
+        lengths[field] = tokens.length;
+        totalLengths[field] = (totalLengths[field] || 0) + tokens.length;
+
+        tokens.forEach(term => {
+          if (!postings.has(term)) {
+            postings.set(term, new Map());
+          }
+          const termPostings = postings.get(term);
+          const frequencies = termPostings.get(template.id) || {};
+          frequencies[field] = (frequencies[field] || 0) + 1;
+          termPostings.set(template.id, frequencies);
+        });
+      });
+
+      documents.set(template.id, {
+        template_id: template.template_id,
+        fields,
+        sections,
+        lengths
+      });
+    });
+
+    const averageLengths = {};
+    Object.entries(totalLengths).forEach(([field, total]) => {
+      averageLengths[field] = templates.length > 0 ? total / templates.length : 0;
+    });
+
+    this.postings = postings;
+    this.documents = documents;
+    this.codes = codes;
+    this.averageLengths = averageLengths;
+
+    console.log(`Search index rebuilt: ${documents.size} templates, ${postings.size} terms`);
+  }
+
+  /**
+   * Parsed MRRT structure of a template; empty when it has no (parseable) templateData
+   */
+  parseStructure(template) {
+    if (!template.templateData) {
+      return { sections: [], codes: [] };
+    }
+
+    try {
+      return mrrtParserService.parseTemplate(template);
+    } catch (error) {
+      console.error(`Error indexing template ${template.template_id}:`, error.message);
+      return { sections: [], codes: [] };
+    }
+  }
+
+  /**
+   * Searchable text of each template section: its name, field labels, default text and options
+   */
+  extractSections({ sections }) {
+    return sections
+      .map(section => {
+        const parts = [section.name];
+        section.fields.forEach(field => {
+          parts.push(field.label);
+          if (typeof field.defaultValue === 'string') {
+            parts.push(field.defaultValue);
+          }
+          (field.options || []).forEach(option => parts.push(option.text));
+        });
+        return {
+          id: section.id,
+          name: section.name,
+          text: mrrtParserService.cleanText(parts.filter(Boolean).join(' '))
+        };
+      })
+      .filter(section => section.text);
+  }
+
+  /**
+   * Lowercase terms with stop words removed and simple plurals folded
+   */
+  tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !this.stopWords.has(word))
+      .map(word => this.normalizeTerm(word));
+  }
+
+  /**
+   * Fold plurals so "nodules" matches "nodule" and "arteries" matches "artery"
+   */
+  normalizeTerm(word) {
+    if (word.length > 4 && word.endsWith('ies')) {
+      return `${word.slice(0, -3)}y`;
+    }
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+      return word.slice(0, -1);
+    }
+    return word;
+  }
+
+  /**
+   * Count words in text that match the terms
+   */
+  countHits(text, termSet) {
+    return (text.match(/[A-Za-z0-9]+/g) || [])
+      .filter(word => termSet.has(this.normalizeTerm(word.toLowerCase())))
+      .length;
+  }
+
+  /**
+   * HTML-escaped window of text around the first match, with matches wrapped in <mark>
+   */
+  buildSnippet(text, termSet) {
+    if (!text) return null;
+
+    const words = [...text.matchAll(/[A-Za-z0-9]+/g)];
+    const matches = words.filter(match => termSet.has(this.normalizeTerm(match[0].toLowerCase())));
+    if (matches.length === 0) return null;
+
+    // Start a little before the first match, on a word boundary
+    let start = 0;
+    let end = text.length;
+    if (text.length > this.snippetLength) {
+      const firstMatch = matches[0].index;
+      start = Math.max(0, firstMatch - Math.floor(this.snippetLength / 3));
+      end = Math.min(text.length, start + this.snippetLength);
+      if (start > 0) {
+        const boundary = text.indexOf(' ', start);
+        start = boundary !== -1 && boundary < firstMatch ? boundary + 1 : start;
+      }
+      if (end < text.length) {
+        const boundary = text.lastIndexOf(' ', end);
+        end = boundary > start ? boundary : end;
+      }
+    }
+
+    let snippet = '';
+    let position = start;
+    matches
+      .filter(match => match.index >= start && match.index + match[0].length <= end)
+      .forEach(match => {
+        snippet += this.escapeHtml(text.slice(position, match.index));
+        snippet += `<mark>${this.escapeHtml(match[0])}</mark>`;
+        position = match.index + match[0].length;
+      });
+    snippet += this.escapeHtml(text.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Escape text for inclusion in HTML
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = new SearchIndexService();
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Subspecialty, Template } = require('../models');
+const relationshipService = require('./relationshipService');
+
+/**
+ * Offline copies of the RSNA catalogue. A snapshot holds the subspecialty list, the
+ * template list and per-template details in the shapes the RSNA API returns them, so
+ * importing one goes through the same path as a sync.
+ */
+class SnapshotService {
+  constructor() {
+    this.format = 'ris-rsna-snapshot';
+    // Bump when the layout changes; importSnapshot lists the versions it can read
+    this.formatVersion = 1;
+    this.supportedVersions = [1];
+
+    // Attributes of the RSNA template list, plus description so templates without details keep
+    // theirs; the rest comes from the details endpoint
+    this.templateListFields = [
+      'template_id', 'template_version', 'title', 'lang', 'created', 'specialty', 'specCode',
+      'TLAP_Approved', 'views', 'downloads', 'dataType', 'description', 'author', 'firstname', 'lastname'
+    ];
+    this.templateDetailFields = ['templateData', 'description', 'author', 'firstname', 'lastname', 'downloads'];
+  }
+
+  /**
+   * Build a snapshot of the RSNA catalogue in the database. Local templates are left out,
+   * and so is generated (synthetic) content, which RSNA never published.
+   * @returns {Promise<Object>} Snapshot
+   */
+  async exportSnapshot() {
+    const [subspecialties, templates] = await Promise.all([
+      Subspecialty.findAll({ order: [['code', 'ASC']] }),
+      Template.findAll({ where: { source: 'rsna' }, order: [['template_id', 'ASC']] })
+    ]);
+
+    const details = {};
+    templates.forEach(template => {
+      if (template.templateData && !template.synthetic) {
+        details[template.template_id] = this.pick(template, this.templateDetailFields);
+      }
+    });
+
+    return {
+      format: this.format,
+      formatVersion: this.formatVersion,
+      exportedAt: new Date().toISOString(),
+      counts: {
+        subspecialties: subspecialties.length,
+        templates: templates.length,
+        details: Object.keys(details).length
+      },
+      subspecialties: subspecialties.map(subspecialty => ({
+        code: subspecialty.code,
+        shortName: subspecialty.shortName,
+        name: subspecialty.name,
+        radlexID: subspecialty.radlexID,
+        count: subspecialty.count
+      })),
+      templates: templates.map(template => ({
+        ...this.pick(template, this.templateListFields),
+        created: template.created ? new Date(template.created).toISOString() : null
+      })),
+      details
+    };
+  }
+
+  /**
+   * Load a snapshot into the database with relationshipService.createRelationships,
+   * like a full sync with details
+   * @param {Object} snapshot - Snapshot (see exportSnapshot)
+   * @param {Object} options - { onProgress }
+   * @returns {Promise<Object>} createRelationships result
+   */
+  async importSnapshot(snapshot, options = {}) {
+    this.validateSnapshot(snapshot);
+
+    // Merge list entries with their details the way fetchTemplatesWithDetails does
+    const templates = snapshot.templates.map(template => ({
+      ...template,
+      ...(snapshot.details[template.template_id] || {}),
+      template_id: template.template_id
+    }));
+
+    return relationshipService.createRelationships(snapshot.subspecialties, templates, options);
+  }
+
+  /**
+   * Throw if a snapshot isn't one this version can read
+   */
+  validateSnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== this.format) {
+      throw new Error(`Not a ${this.format} file`);
+    }
+    if (!this.supportedVersions.includes(snapshot.formatVersion)) {
+      throw new Error(`Unsupported snapshot format version ${snapshot.formatVersion} (supported: ${this.supportedVersions.join(', ')})`);
+    }
+    if (!Array.isArray(snapshot.subspecialties) || !Array.isArray(snapshot.templates)) {
+      throw new Error('Snapshot must have subspecialties and templates arrays');
+    }
+    if (!snapshot.details || typeof snapshot.details !== 'object' || Array.isArray(snapshot.details)) {
+      throw new Error('Snapshot details must be an object keyed by template_id');
+    }
+
+    const invalid = snapshot.templates.filter(template => !template || !template.template_id || !template.template_version);
+    if (invalid.length > 0) {
+      throw new Error(`${invalid.length} snapshot templates have no template_id or template_version`);
+    }
+  }
+
+  /**
+   * Write a snapshot to a file, gzipped when the name ends in .gz
+   * @param {string} file - Path
+   * @param {Object} snapshot - Snapshot
+   */
+  writeSnapshot(file, snapshot) {
+    const json = JSON.stringify(snapshot, null, 2);
+    fs.writeFileSync(file, file.endsWith('.gz') ? zlib.gzipSync(json) : json);
+  }
+
+  /**
+   * Read a snapshot file written by writeSnapshot (gzipped or plain JSON)
+   * @param {string} file - Path
+   * @returns {Object} Snapshot
+   */
+  readSnapshot(file) {
+    let content = fs.readFileSync(file);
+    // gzip magic number, so renamed files still load
+    if (content[0] === 0x1f && content[1] === 0x8b) {
+      content = zlib.gunzipSync(content);
+    }
+    return JSON.parse(content.toString('utf8'));
+  }
+
+  /**
+   * Copy the given attributes of a model instance
+   */
+  pick(instance, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      picked[field] = instance[field];
+    });
+    return picked;
+  }
+}
+
+module.exports = new SnapshotService();
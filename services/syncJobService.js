@@ -0,0 +1,422 @@
+const { Op } = require('sequelize');
+const { SyncRun, Subspecialty } = require('../models');
+const rsnaApiService = require('./rsnaApiService');
+const relationshipService = require('./relationshipService');
+const templateDataService = require('./templateDataService');
+const templateGeneratorService = require('./templateGeneratorService');
+const autocompleteService = require('./autocompleteService');
+const { createHttpError } = require('../utils/httpError');
+const { runWithContext, getContext } = require('../utils/auditContext');
+
+class SyncJobService {
+  constructor() {
+    this.progressInterval = 1000; // Persist progress at most once per second
+    this.maxStoredErrors = 200;
+
+    // Job type -> handler method
+    this.jobTypes = {
+      'all': 'runFullSync',
+      'detailed': 'runDetailedSync',
+      'subspecialties': 'runSubspecialtiesSync',
+      'templates': 'runTemplatesSync',
+      'template-data': 'runTemplateDataUpdate',
+      'generate-template-data': 'runTemplateDataGeneration'
+    };
+
+    // Job types that write relationships and so accept a sync mode
+    this.relationshipJobTypes = ['all', 'detailed', 'subspecialties', 'templates'];
+    this.syncModes = ['full', 'incremental'];
+
+    // Jobs run one at a time, in submission order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Submit a sync job to run in the background
+   * @param {string} type - Job type (see this.jobTypes)
+   * @param {Object} params - Job parameters stored with the run
+   * @returns {Promise<Object>} The queued SyncRun
+   */
+  async submitJob(type, params = {}) {
+    if (!this.jobTypes[type]) {
+      throw createHttpError(400, 'Invalid sync job type', `Unknown sync job type: ${type}`);
+    }
+
+    if (params.mode && !this.syncModes.includes(params.mode)) {
+      throw createHttpError(400, 'Invalid sync mode', `Sync mode must be one of: ${this.syncModes.join(', ')}`);
+    }
+
+    if (this.relationshipJobTypes.includes(type)) {
+      params = { mode: 'full', ...params };
+    }
+
+    const run = await SyncRun.create({
+      type,
+      status: 'queued',
+      params
+    });
+
+    console.log(`Queued sync job ${run.id} (${type})`);
+
+    this.queue = this.queue
+      .then(() => this.executeJob(run.id))
+      .catch(error => {
+        console.error(`Sync job ${run.id} crashed:`, error.message);
+      });
+
+    return run;
+  }
+
+  /**
+   * Execute a queued job and record its outcome
+   * @param {number} runId - SyncRun ID
+   */
+  async executeJob(runId) {
+    const run = await SyncRun.findByPk(runId);
+    if (!run) {
+      return;
+    }
+
+    await run.update({ status: 'running', startedAt: new Date() });
+    console.log(`Running sync job ${run.id} (${run.type})`);
+
+    const context = this.createJobContext(run);
+
+    try {
+      const handler = this[this.jobTypes[run.type]];
+      // Jobs run in the submitting request's audit context; tag their changes with the job
+      const { result, errors = [] } = await runWithContext(
+        { ...getContext(), source: `sync job ${run.id} (${run.type})` },
+        () => handler.call(this, context, run.params || {})
+      );
+
+      await context.flush();
+      await run.update({
+        status: 'completed',
+        phase: null,
+        result,
+        errors: errors.slice(0, this.maxStoredErrors),
+        finishedAt: new Date()
+      });
+      console.log(`Sync job ${run.id} completed`);
+    } catch (error) {
+      console.error(`Sync job ${run.id} failed:`, error.message);
+      await context.flush();
+      await run.update({
+        status: 'failed',
+        errorMessage: error.message,
+        finishedAt: new Date()
+      });
+    }
+
+    // Even a failed job may have written templates before it stopped
+    await autocompleteService.rebuild().catch(error => {
+      console.error('Failed to rebuild autocomplete index:', error.message);
+    });
+  }
+
+  /**
+   * Build the phase/progress helpers handed to job handlers.
+   * Progress is throttled so per-template callbacks don't hammer the database.
+   */
+  createJobContext(run) {
+    let lastWrite = 0;
+    let pending = null;
+
+    const write = async () => {
+      if (!pending) return;
+      const changes = pending;
+      pending = null;
+      lastWrite = Date.now();
+      await run.update(changes);
+    };
+
+    return {
+      setPhase: async (phase) => {
+        pending = { ...pending, phase, totalItems: 0, processedItems: 0, failedItems: 0 };
+        await write();
+      },
+      onProgress: async ({ processed, failed = 0, total }) => {
+        pending = {
+          ...pending,
+          totalItems: total,
+          processedItems: processed,
+          failedItems: failed
+        };
+        if (Date.now() - lastWrite >= this.progressInterval || processed >= total) {
+          await write();
+        }
+      },
+      flush: write
+    };
+  }
+
+  /**
+   * Sync subspecialties and the basic template list
+   */
+  async runFullSync(context, params) {
+    await context.setPhase('fetching');
+    const [subspecialties, templates] = await Promise.all([
+      rsnaApiService.fetchSubspecialties(),
+      rsnaApiService.fetchTemplates()
+    ]);
+    console.log(`Fetched ${subspecialties.length} subspecialties and ${templates.length} templates`);
+
+    await context.setPhase('creating relationships');
+    return this.applyRelationships(context, subspecialties, templates, {
+      mode: params.mode,
+      pruneSubspecialties: true,
+      pruneTemplates: true
+    });
+  }
+
+  /**
+   * Sync subspecialties and templates including per-template details
+   */
+  async runDetailedSync(context, params) {
+    await context.setPhase('fetching subspecialties');
+    const subspecialties = await rsnaApiService.fetchSubspecialties();
+    console.log(`Fetched ${subspecialties.length} subspecialties`);
+
+    await context.setPhase('fetching template details');
+    const templates = await rsnaApiService.fetchTemplatesWithDetails({ onProgress: context.onProgress });
+    console.log(`Fetched ${templates.length} templates with details`);
+
+    await context.setPhase('creating relationships');
+    return this.applyRelationships(context, subspecialties, templates, {
+      mode: params.mode,
+      pruneSubspecialties: true,
+      pruneTemplates: true
+    });
+  }
+
+  /**
+   * Sync only subspecialties
+   */
+  async runSubspecialtiesSync(context, params) {
+    await context.setPhase('fetching');
+    const subspecialties = await rsnaApiService.fetchSubspecialties();
+    console.log(`Fetched ${subspecialties.length} subspecialties`);
+
+    await context.setPhase('creating relationships');
+    return this.applyRelationships(context, subspecialties, [], {
+      mode: params.mode,
+      pruneSubspecialties: true
+    });
+  }
+
+  /**
+   * Sync only templates, relating them to the subspecialties already stored
+   */
+  async runTemplatesSync(context, params) {
+    await context.setPhase('fetching');
+    const templates = await rsnaApiService.fetchTemplates();
+    console.log(`Fetched ${templates.length} templates`);
+
+    const existingSubspecialties = await Subspecialty.findAll();
+
+    await context.setPhase('creating relationships');
+    return this.applyRelationships(
+      context,
+      existingSubspecialties.map(sub => ({
+        code: sub.code,
+        shortName: sub.shortName,
+        name: sub.name,
+        radlexID: sub.radlexID,
+        count: sub.count
+      })),
+      templates,
+      {
+        mode: params.mode,
+        pruneTemplates: true
+      }
+    );
+  }
+
+  /**
+   * Fetch missing template data from RSNA
+   */
+  async runTemplateDataUpdate(context) {
+    await context.setPhase('updating template data');
+    const result = await templateDataService.updateAllTemplateData({ onProgress: context.onProgress });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      result: {
+        updated: result.updated,
+        failed: result.failed,
+        total: result.updated + result.failed
+      }
+    };
+  }
+
+  /**
+   * Generate template data locally for templates that have none
+   */
+  async runTemplateDataGeneration(context) {
+    await context.setPhase('generating template data');
+    const result = await templateGeneratorService.generateAllTemplateData({ onProgress: context.onProgress });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      result: {
+        updated: result.updated,
+        failed: result.failed
+      }
+    };
+  }
+
+  /**
+   * Write fetched data with the requested sync mode and translate the result into a job outcome.
+   * Full mode rebuilds relationships with createRelationships; incremental mode only applies differences.
+   * @param {Object} context - Job context
+   * @param {Array} subspecialties - Fetched subspecialties
+   * @param {Array} templates - Fetched templates
+   * @param {Object} options - { mode, pruneSubspecialties, pruneTemplates }
+   */
+  async applyRelationships(context, subspecialties, templates, options = {}) {
+    const { mode = 'full', pruneSubspecialties = false, pruneTemplates = false } = options;
+
+    if (mode === 'incremental') {
+      const result = await relationshipService.syncIncremental(subspecialties, templates, {
+        pruneSubspecialties,
+        pruneTemplates,
+        onProgress: context.onProgress
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const { errors, ...counts } = result.stats;
+      return {
+        result: {
+          mode,
+          ...counts,
+          errorCount: errors.length
+        },
+        errors
+      };
+    }
+
+    const result = await relationshipService.createRelationships(subspecialties, templates, {
+      onProgress: context.onProgress
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      result: {
+        mode,
+        subspecialtiesProcessed: result.stats.subspecialtiesProcessed,
+        templatesProcessed: result.stats.templatesProcessed,
+        relationshipsCreated: result.stats.relationshipsCreated,
+        errorCount: result.stats.errors.length
+      },
+      errors: result.stats.errors
+    };
+  }
+
+  /**
+   * Get a single run by ID
+   * @param {number} runId - SyncRun ID
+   * @returns {Promise<Object|null>} SyncRun or null
+   */
+  async getJob(runId) {
+    return SyncRun.findByPk(runId);
+  }
+
+  /**
+   * List runs, newest first
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async listJobs(options = {}) {
+    const { status, type, limit = 20, skip = 0 } = options;
+
+    const whereClause = {};
+    if (status) {
+      whereClause.status = status;
+    }
+    if (type) {
+      whereClause.type = type;
+    }
+
+    return SyncRun.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['errors'] },
+      order: [['id', 'DESC']],
+      limit,
+      offset: skip
+    });
+  }
+
+  /**
+   * Summarise sync state from the run history
+   * @returns {Promise<Object>} { lastSyncTime, syncStatus, lastRun, activeRun }
+   */
+  async getSyncState() {
+    const activeRun = await SyncRun.findOne({
+      where: { status: { [Op.in]: ['queued', 'running'] } },
+      order: [['id', 'ASC']]
+    });
+
+    const lastRun = await SyncRun.findOne({
+      where: { status: { [Op.in]: ['completed', 'failed'] } },
+      order: [['finishedAt', 'DESC']]
+    });
+
+    const lastSuccessfulRun = await SyncRun.findOne({
+      where: { status: 'completed' },
+      order: [['finishedAt', 'DESC']]
+    });
+
+    let syncStatus;
+    if (activeRun) {
+      syncStatus = activeRun.status === 'running' ? 'syncing' : 'queued';
+    } else if (!lastRun) {
+      syncStatus = 'never_synced';
+    } else if (lastRun.status === 'failed') {
+      syncStatus = 'failed';
+    } else {
+      syncStatus = 'up_to_date';
+    }
+
+    return {
+      lastSyncTime: lastSuccessfulRun ? lastSuccessfulRun.finishedAt : null,
+      syncStatus,
+      lastRun,
+      activeRun
+    };
+  }
+
+  /**
+   * Mark runs left queued/running by a previous process as failed.
+   * Jobs live in memory, so anything unfinished at startup was interrupted.
+   */
+  async recoverInterruptedRuns() {
+    const [count] = await SyncRun.update({
+      status: 'failed',
+      errorMessage: 'Interrupted by server restart',
+      finishedAt: new Date()
+    }, {
+      where: { status: { [Op.in]: ['queued', 'running'] } }
+    });
+
+    if (count > 0) {
+      console.log(`Marked ${count} interrupted sync job(s) as failed`);
+    }
+
+    return count;
+  }
+}
+
+module.exports = new SyncJobService();
@@ -1,5 +1,7 @@
 const rsnaApiService = require('./rsnaApiService');
+const { Op } = require('sequelize');
 const { Template } = require('../models');
+const templateVersionService = require('./templateVersionService');
 
 class TemplateDataService {
   constructor() {
@@ -10,15 +12,20 @@ class TemplateDataService {
 
   /**
    * Dynamically fetch and update template data for all templates
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onProgress - Called with { processed, failed, total } after each batch
    */
-  async updateAllTemplateData() {
+  async updateAllTemplateData(options = {}) {
+    const { onProgress } = options;
+
     try {
       console.log('🔄 Starting dynamic template data update...');
       
-      // Get all templates that don't have template data
+      // Get all templates that don't have template data, or only generated (synthetic) data
       const templatesWithoutData = await Template.findAll({
         where: {
-          templateData: null
+          [Op.or]: [{ templateData: null }, { synthetic: true }],
+          source: 'rsna'
         },
         order: [['views', 'DESC']] // Start with most viewed templates
       });
@@ -42,6 +49,10 @@ class TemplateDataService {
         updated += batchResults.updated;
         failed += batchResults.failed;
 
+        if (onProgress) {
+          await onProgress({ processed: updated + failed, failed, total: templatesWithoutData.length });
+        }
+
         // Add delay between batches to avoid overwhelming the API
         if (i + this.batchSize < templatesWithoutData.length) {
           console.log('⏳ Waiting 3 seconds before next batch...');
@@ -98,9 +109,18 @@ class TemplateDataService {
           template.template_version
         );
 
-        // Update template with the fetched data
+        // A recorded version keeps its HTML; retrying won't change that
+        if (await templateVersionService.findConflict(template.template_id, template.template_version, details.templateData)) {
+          const { message } = templateVersionService.conflictError(template.template_id, template.template_version);
+          console.log(`❌ ${message}`);
+          return { success: false, template_id: template.template_id, error: message };
+        }
+
+        // Update template with the fetched data; generated content stays until RSNA has some
+        const keepSynthetic = !details.templateData && template.synthetic;
         await template.update({
-          templateData: details.templateData || null,
+          templateData: keepSynthetic ? template.templateData : (details.templateData || null),
+          synthetic: keepSynthetic,
           description: details.description || template.description,
           author: details.author || template.author,
           firstname: details.firstname || template.firstname,
@@ -108,6 +128,8 @@ class TemplateDataService {
           downloads: details.downloads || template.downloads
         });
 
+        await templateVersionService.recordVersion(template);
+
         return { success: true, template_id: template.template_id };
 
       } catch (error) {
@@ -168,6 +190,9 @@ class TemplateDataService {
       if (!template) {
         throw new Error(`Template ${templateId} not found`);
       }
+      if (template.source !== 'rsna') {
+        throw new Error(`Template ${templateId} is a local template and has no RSNA data`);
+      }
 
       console.log(`🔄 Updating specific template: ${templateId}`);
       const result = await this.updateSingleTemplate(template);
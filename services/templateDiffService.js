@@ -0,0 +1,243 @@
+const mrrtParserService = require('./mrrtParserService');
+
+class TemplateDiffService {
+  constructor() {
+    // Field properties compared structurally (defaultValue gets a text diff instead)
+    this.fieldProperties = ['type', 'label', 'completionAction', 'options', 'codes'];
+    // Above this many tokens per side, text diffs fall back to a single replace
+    this.maxDiffTokens = 3000;
+  }
+
+  /**
+   * Compare two MRRT template bodies section by section
+   * @param {Object} fromTemplate - Older template version (template_id, template_version, templateData)
+   * @param {Object} toTemplate - Newer template version
+   * @returns {Object} { summary, sections }
+   */
+  diffTemplates(fromTemplate, toTemplate) {
+    const fromSections = mrrtParserService.parseTemplate(fromTemplate).sections;
+    const toSections = mrrtParserService.parseTemplate(toTemplate).sections;
+
+    const fromMap = new Map(fromSections.map(section => [section.id, section]));
+    const toMap = new Map(toSections.map(section => [section.id, section]));
+
+    const sections = [];
+
+    // Walk the new layout first so results follow the current section order
+    toSections.forEach(section => {
+      const previous = fromMap.get(section.id);
+      if (!previous) {
+        sections.push({
+          id: section.id,
+          name: section.name,
+          status: 'added',
+          fields: {
+            added: section.fields,
+            removed: [],
+            modified: []
+          }
+        });
+        return;
+      }
+      sections.push(this.diffSection(previous, section));
+    });
+
+    fromSections.forEach(section => {
+      if (toMap.has(section.id)) return;
+      sections.push({
+        id: section.id,
+        name: section.name,
+        status: 'removed',
+        fields: {
+          added: [],
+          removed: section.fields,
+          modified: []
+        }
+      });
+    });
+
+    const summary = {
+      sectionsAdded: 0,
+      sectionsRemoved: 0,
+      sectionsModified: 0,
+      sectionsUnchanged: 0,
+      fieldsAdded: 0,
+      fieldsRemoved: 0,
+      fieldsModified: 0
+    };
+
+    sections.forEach(section => {
+      summary[`sections${section.status.charAt(0).toUpperCase()}${section.status.slice(1)}`]++;
+      summary.fieldsAdded += section.fields.added.length;
+      summary.fieldsRemoved += section.fields.removed.length;
+      summary.fieldsModified += section.fields.modified.length;
+    });
+
+    return { summary, sections };
+  }
+
+  /**
+   * Compare two versions of the same section
+   */
+  diffSection(fromSection, toSection) {
+    const fromFields = new Map(fromSection.fields.map(field => [field.id, field]));
+    const toFields = new Map(toSection.fields.map(field => [field.id, field]));
+
+    const added = toSection.fields.filter(field => !fromFields.has(field.id));
+    const removed = fromSection.fields.filter(field => !toFields.has(field.id));
+    const modified = [];
+
+    toSection.fields.forEach(field => {
+      const previous = fromFields.get(field.id);
+      if (!previous) return;
+
+      const fieldDiff = this.diffField(previous, field);
+      if (fieldDiff) {
+        modified.push(fieldDiff);
+      }
+    });
+
+    const changes = {};
+    if (fromSection.name !== toSection.name) {
+      changes.name = { from: fromSection.name, to: toSection.name };
+    }
+
+    const isModified = added.length > 0 || removed.length > 0 || modified.length > 0 || Object.keys(changes).length > 0;
+
+    return {
+      id: toSection.id,
+      name: toSection.name,
+      status: isModified ? 'modified' : 'unchanged',
+      ...(Object.keys(changes).length > 0 ? { changes } : {}),
+      fields: {
+        added,
+        removed,
+        modified
+      }
+    };
+  }
+
+  /**
+   * Compare two versions of a field
+   * @returns {Object|null} Field diff, or null when unchanged
+   */
+  diffField(fromField, toField) {
+    const changes = {};
+
+    this.fieldProperties.forEach(property => {
+      const fromValue = fromField[property] === undefined ? null : fromField[property];
+      const toValue = toField[property] === undefined ? null : toField[property];
+      if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+        changes[property] = { from: fromValue, to: toValue };
+      }
+    });
+
+    let defaultValue = null;
+    if (fromField.defaultValue !== toField.defaultValue) {
+      defaultValue = {
+        from: fromField.defaultValue,
+        to: toField.defaultValue,
+        diff: this.diffText(this.stringify(fromField.defaultValue), this.stringify(toField.defaultValue))
+      };
+    }
+
+    if (Object.keys(changes).length === 0 && !defaultValue) {
+      return null;
+    }
+
+    return {
+      id: toField.id,
+      changes,
+      defaultValue
+    };
+  }
+
+  /**
+   * Word-level text diff
+   * @param {string} fromText - Old text
+   * @param {string} toText - New text
+   * @returns {Array<Object>} Operations of { op: 'equal' | 'insert' | 'delete', text }
+   */
+  diffText(fromText, toText) {
+    const fromTokens = this.tokenize(fromText);
+    const toTokens = this.tokenize(toText);
+
+    if (fromTokens.length > this.maxDiffTokens || toTokens.length > this.maxDiffTokens) {
+      return this.mergeOperations([
+        { op: 'delete', text: fromText },
+        { op: 'insert', text: toText }
+      ]);
+    }
+
+    // Longest common subsequence table, filled from the end
+    const rows = fromTokens.length;
+    const cols = toTokens.length;
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i][j] = fromTokens[i] === toTokens[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (fromTokens[i] === toTokens[j]) {
+        operations.push({ op: 'equal', text: fromTokens[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        operations.push({ op: 'delete', text: fromTokens[i] });
+        i++;
+      } else {
+        operations.push({ op: 'insert', text: toTokens[j] });
+        j++;
+      }
+    }
+    while (i < rows) {
+      operations.push({ op: 'delete', text: fromTokens[i++] });
+    }
+    while (j < cols) {
+      operations.push({ op: 'insert', text: toTokens[j++] });
+    }
+
+    return this.mergeOperations(operations);
+  }
+
+  /**
+   * Split text into words and the whitespace between them
+   */
+  tokenize(text) {
+    return (text || '').match(/\s+|[^\s]+/g) || [];
+  }
+
+  /**
+   * Join consecutive operations of the same kind and drop empty ones
+   */
+  mergeOperations(operations) {
+    const merged = [];
+    operations.forEach(operation => {
+      if (!operation.text) return;
+      const last = merged[merged.length - 1];
+      if (last && last.op === operation.op) {
+        last.text += operation.text;
+      } else {
+        merged.push({ ...operation });
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Render a default value as text for diffing
+   */
+  stringify(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+  }
+}
+
+module.exports = new TemplateDiffService();
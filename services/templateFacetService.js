@@ -0,0 +1,180 @@
+const { Op } = require('sequelize');
+const { Template, Subspecialty, SubspecialtyTemplate } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+class TemplateFacetService {
+  constructor() {
+    // Facet / filter query parameter -> template attribute
+    this.facetAttributes = {
+      source: 'source',
+      status: 'status',
+      specCode: 'specCode',
+      specialty: 'specialty',
+      lang: 'lang',
+      TLAP_Approved: 'TLAP_Approved',
+      dataType: 'dataType',
+      author: 'author',
+      year: 'created'
+    };
+  }
+
+  /**
+   * Read multi-select facet filters from a query string. Values are comma-separated
+   * (specCode=CH,NR) or repeated (specCode=CH&specCode=NR) and match exactly.
+   * @param {Object} query - Express req.query
+   * @returns {Object} { facet: Array<string> } for the facets present
+   * @throws 400 for malformed years
+   */
+  parseFilters(query) {
+    const filters = {};
+
+    Object.keys(this.facetAttributes).forEach(facet => {
+      if (query[facet] === undefined) return;
+
+      const values = [].concat(query[facet])
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+      if (facet === 'year' && values.some(value => !/^\d{4}$/.test(value))) {
+        throw createHttpError(400, 'Invalid filter', 'year must be one or more four-digit years, e.g. year=2023,2024');
+      }
+      if (values.length > 0) {
+        filters[facet] = [...new Set(values)];
+      }
+    });
+
+    return filters;
+  }
+
+  /**
+   * Where conditions for facet filters; values within a facet are ORed, facets are ANDed
+   * @param {Object} filters - From parseFilters
+   * @returns {Promise<Array<Object>>} Conditions for [Op.and]
+   */
+  async buildConditions(filters) {
+    return Promise.all(Object.entries(filters).map(async ([facet, values]) => {
+      const attribute = this.facetAttributes[facet];
+
+      // Templates mapped to any of the selected subspecialty codes
+      if (facet === 'specCode') {
+        const links = await SubspecialtyTemplate.findAll({
+          attributes: ['templateId'],
+          include: [{
+            model: Subspecialty,
+            as: 'subspecialty',
+            attributes: [],
+            where: { code: { [Op.in]: values } }
+          }],
+          raw: true
+        });
+        return { id: { [Op.in]: [...new Set(links.map(link => link.templateId))] } };
+      }
+
+      if (facet === 'year') {
+        return {
+          [Op.or]: values.map(year => ({
+            [attribute]: {
+              [Op.gte]: new Date(Date.UTC(parseInt(year), 0, 1)),
+              [Op.lt]: new Date(Date.UTC(parseInt(year) + 1, 0, 1))
+            }
+          }))
+        };
+      }
+
+      return { [attribute]: { [Op.in]: values } };
+    }));
+  }
+
+  /**
+   * Count matching templates per facet value. Each facet is counted with every filter
+   * except its own applied, so the other values of a selected facet stay visible.
+   * @param {Object} where - Conditions of the current query, without facet filters
+   * @param {Object} filters - Selected facet filters (from parseFilters)
+   * @returns {Promise<Object>} { facet: [{ value, count, selected }] } sorted by count (years newest first)
+   */
+  async getFacets(where, filters = {}) {
+    const [templates, codesByTemplate] = await Promise.all([
+      Template.findAll({
+        where,
+        attributes: ['id', ...Object.values(this.facetAttributes)],
+        raw: true
+      }),
+      this.getSubspecialtyCodes()
+    ]);
+    const rows = templates.map(template => this.getFacetValues(template, codesByTemplate.get(template.id) || []));
+
+    const facets = {};
+    Object.keys(this.facetAttributes).forEach(facet => {
+      const counts = new Map();
+
+      rows
+        .filter(values => this.matchesFilters(values, filters, facet))
+        .forEach(values => {
+          [].concat(values[facet]).forEach(value => {
+            if (value === null || value === undefined || value === '') return;
+            counts.set(value, (counts.get(value) || 0) + 1);
+          });
+        });
+
+      const selected = filters[facet] || [];
+      facets[facet] = [...counts.entries()]
+        .map(([value, count]) => ({ value, count, selected: selected.includes(value) }))
+        .sort(facet === 'year'
+          ? (a, b) => b.value.localeCompare(a.value)
+          : (a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    });
+
+    return facets;
+  }
+
+  /**
+   * Subspecialty codes of every mapped template. specCode holds a comma list ("CA,CT"),
+   * so the specCode facet counts and filters on these individual codes instead.
+   * @returns {Promise<Map>} Template id -> Array of codes
+   */
+  async getSubspecialtyCodes() {
+    const links = await SubspecialtyTemplate.findAll({
+      attributes: ['templateId'],
+      include: [{ model: Subspecialty, as: 'subspecialty', attributes: ['code'] }],
+      raw: true
+    });
+
+    const codesByTemplate = new Map();
+    links.forEach(link => {
+      const codes = codesByTemplate.get(link.templateId) || [];
+      codes.push(link['subspecialty.code']);
+      codesByTemplate.set(link.templateId, codes);
+    });
+    return codesByTemplate;
+  }
+
+  /**
+   * Facet values of one template row (created reduced to its year, specCode to its
+   * subspecialty codes)
+   */
+  getFacetValues(template, subspecialtyCodes = []) {
+    const values = {};
+    Object.entries(this.facetAttributes).forEach(([facet, attribute]) => {
+      const value = template[attribute];
+      if (facet === 'specCode') {
+        values[facet] = subspecialtyCodes;
+      } else if (facet === 'year') {
+        const created = value ? new Date(value) : null;
+        values[facet] = created && !isNaN(created.getTime()) ? String(created.getUTCFullYear()) : null;
+      } else {
+        values[facet] = value === null || value === undefined ? null : String(value);
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Whether a row passes every selected filter other than the excluded facet
+   */
+  matchesFilters(values, filters, excludedFacet) {
+    return Object.entries(filters).every(([facet, selected]) =>
+      facet === excludedFacet || [].concat(values[facet]).some(value => selected.includes(value)));
+  }
+}
+
+module.exports = new TemplateFacetService();
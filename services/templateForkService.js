@@ -0,0 +1,187 @@
+const { Op } = require('sequelize');
+const { Template, Subspecialty } = require('../models');
+const localTemplateService = require('./localTemplateService');
+const templateVersionService = require('./templateVersionService');
+const templateMergeService = require('./templateMergeService');
+const mrrtParserService = require('./mrrtParserService');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Local forks of RSNA templates: editable copies that remember the upstream
+ * template_id and version they are based on, so upstream changes can be merged in.
+ */
+class TemplateForkService {
+  /**
+   * Copy an RSNA template into a new local template linked to it
+   * @param {string} templateId - Upstream template_id
+   * @param {Object} data - { template_id?, title?, subspecialties? } overrides for the fork
+   * @returns {Promise<Object>} Created fork with its subspecialties
+   */
+  async forkTemplate(templateId, data = {}) {
+    const upstream = await Template.findOne({
+      where: { template_id: templateId },
+      include: [{
+        model: Subspecialty,
+        as: 'subspecialties',
+        attributes: ['code'],
+        through: { attributes: [] }
+      }]
+    });
+
+    if (!upstream) {
+      throw createHttpError(404, 'Template not found', `No template found with ID: ${templateId}`);
+    }
+    if (upstream.source !== 'rsna') {
+      throw createHttpError(400, 'Not an RSNA template',
+        `Template ${templateId} is already local; edit it directly or create a new template`);
+    }
+    if (!upstream.templateData) {
+      throw createHttpError(409, 'Template content not available',
+        `Template ${templateId} has no content yet; run a template-data sync first`);
+    }
+
+    // The merge base; syncs record it too, but the fork must not depend on that
+    await templateVersionService.recordVersion(upstream);
+
+    // Upstream HTML is copied as is, so it isn't held to the rules for authored templates
+    return localTemplateService.createTemplate({
+      template_id: data.template_id,
+      title: data.title || upstream.title,
+      templateData: upstream.templateData,
+      subspecialties: data.subspecialties || upstream.subspecialties.map(subspecialty => subspecialty.code),
+      description: upstream.description,
+      lang: upstream.lang,
+      specialty: upstream.specialty
+    }, {
+      attributes: {
+        forkedFrom: upstream.template_id,
+        forkedFromVersion: upstream.template_version
+      },
+      validate: false
+    });
+  }
+
+  /**
+   * List forks with the upstream version they are based on and the current one
+   * @param {Object} options - { upstreamChanged } to list only flagged (true) or current (false) forks
+   * @returns {Promise<Array>} Forks
+   */
+  async listForks(options = {}) {
+    const where = { source: 'local', forkedFrom: { [Op.ne]: null } };
+    if (options.upstreamChanged !== undefined) {
+      where.upstreamChanged = options.upstreamChanged;
+    }
+
+    const forks = await Template.findAll({
+      where,
+      attributes: ['template_id', 'template_version', 'title', 'status', 'forkedFrom', 'forkedFromVersion', 'upstreamChanged', 'updatedAt'],
+      order: [['upstreamChanged', 'DESC'], ['title', 'ASC']]
+    });
+    const upstreams = await Template.findAll({
+      where: { template_id: { [Op.in]: [...new Set(forks.map(fork => fork.forkedFrom))] } },
+      attributes: ['template_id', 'template_version', 'title']
+    });
+    const byId = new Map(upstreams.map(upstream => [upstream.template_id, upstream]));
+
+    return forks.map(fork => {
+      const upstream = byId.get(fork.forkedFrom);
+      return {
+        ...fork.toJSON(),
+        upstream: upstream
+          ? { template_id: upstream.template_id, template_version: upstream.template_version, title: upstream.title }
+          : null
+      };
+    });
+  }
+
+  /**
+   * Three-way section merge of a fork with the current upstream version
+   * @param {string} templateId - Fork template_id
+   * @returns {Promise<Object>} { template_id, forkedFrom, baseVersion, upstreamVersion, summary, sections }
+   */
+  async getMerge(templateId) {
+    const { fork, base, upstream } = await this.getMergeInputs(templateId);
+    const merge = templateMergeService.mergeSections(base.templateData, fork.templateData, upstream.templateData);
+
+    return {
+      template_id: fork.template_id,
+      forkedFrom: fork.forkedFrom,
+      baseVersion: base.template_version,
+      upstreamVersion: upstream.template_version,
+      ...merge
+    };
+  }
+
+  /**
+   * Merge the current upstream version into a fork and rebase it on that version.
+   * The merged HTML is saved as a new version of the fork.
+   * @param {string} templateId - Fork template_id
+   * @param {Object} resolutions - { sectionId: 'local' | 'upstream' | 'base' | section HTML } for conflicts (or overrides)
+   * @returns {Promise<Object>} Updated fork
+   * @throws 409 listing unresolved conflicts
+   */
+  async applyMerge(templateId, resolutions = {}) {
+    if (!resolutions || typeof resolutions !== 'object' || Array.isArray(resolutions)) {
+      throw createHttpError(400, 'Invalid resolutions', 'resolutions must be an object keyed by section id');
+    }
+
+    const { fork, base, upstream } = await this.getMergeInputs(templateId);
+    const merge = templateMergeService.mergeSections(base.templateData, fork.templateData, upstream.templateData);
+
+    const unknown = Object.keys(resolutions).filter(id => !merge.sections.some(section => section.id === id));
+    if (unknown.length > 0) {
+      throw createHttpError(400, 'Invalid resolutions', `Unknown sections: ${unknown.join(', ')}`);
+    }
+
+    const { html, unresolved } = templateMergeService.applyMerge(fork.templateData, upstream.templateData, merge, resolutions);
+    if (unresolved.length > 0) {
+      throw createHttpError(409, 'Merge conflicts',
+        `Resolve the conflicting sections with local, upstream, base or section HTML: ${unresolved.join(', ')}`);
+    }
+
+    // Whatever the upstream version doesn't conform to comes along with its sections
+    return localTemplateService.updateTemplate(fork.template_id, { templateData: html }, {
+      attributes: {
+        forkedFromVersion: upstream.template_version,
+        upstreamChanged: false
+      },
+      allowedProblems: mrrtParserService.validate(upstream.templateData)
+    });
+  }
+
+  /**
+   * The fork and the base and current upstream versions, all with content
+   */
+  async getMergeInputs(templateId) {
+    const fork = await Template.findOne({ where: { template_id: templateId } });
+    if (!fork) {
+      throw createHttpError(404, 'Template not found', `No template found with ID: ${templateId}`);
+    }
+    if (fork.source !== 'local' || !fork.forkedFrom) {
+      throw createHttpError(400, 'Not a fork', `Template ${templateId} is not a fork of an RSNA template`);
+    }
+
+    const current = await Template.findOne({
+      where: { template_id: fork.forkedFrom },
+      attributes: ['template_id', 'template_version']
+    });
+    if (!current) {
+      throw createHttpError(404, 'Upstream template not found', `Upstream template ${fork.forkedFrom} no longer exists`);
+    }
+
+    const [base, upstream] = await Promise.all([
+      templateVersionService.getVersion(fork.forkedFrom, fork.forkedFromVersion),
+      templateVersionService.getVersion(fork.forkedFrom, current.template_version)
+    ]);
+    [[base, fork.forkedFromVersion], [upstream, current.template_version]].forEach(([version, number]) => {
+      if (!version || !version.templateData) {
+        throw createHttpError(409, 'Template content not available',
+          `Version ${number} of upstream template ${fork.forkedFrom} has no content; run a template-data sync first`);
+      }
+    });
+
+    return { fork, base, upstream };
+  }
+}
+
+module.exports = new TemplateForkService();
@@ -1,27 +1,152 @@
-const { Template } = require('../models');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Template, GeneratorRule } = require('../models');
+const templateVersionService = require('./templateVersionService');
+const { createHttpError } = require('../utils/httpError');
 
+/**
+ * Placeholder MRRT content for RSNA templates whose HTML isn't available. Section text
+ * comes from stored generator rules matched on specialty, subspecialty code and title;
+ * the same template and rules always produce the same HTML.
+ */
 class TemplateGeneratorService {
   constructor() {
     this.templateSections = [
       'procedureInformation',
-      'clinicalInformation', 
+      'clinicalInformation',
       'comparisons',
       'findings',
       'impression'
     ];
+
+    // Attributes clients may set on a rule
+    this.ruleFields = ['name', 'priority', 'specialties', 'specCodes', 'titleKeywords', 'sections', 'active'];
+
+    // Recorded as the creator of generated content instead of a person
+    this.generatorName = 'RIS template generator (synthetic)';
+
+    // Created when the rules table is empty; the former built-in specialty chains, in the same order
+    this.defaultRules = [
+      {
+        name: 'MRI',
+        priority: 90,
+        specialties: ['mri', 'magnetic resonance'],
+        sections: {
+          procedureInformation: 'Sagittal T1, T2, STIR, Axial T1, T2, and Coronal T2 sequences.',
+          findings: 'Normal signal intensity throughout. No evidence of acute pathology. Normal anatomical structures are preserved. No abnormal enhancement following contrast administration.',
+          impression: 'Normal MRI study. No acute abnormality.'
+        }
+      },
+      {
+        name: 'CT',
+        priority: 80,
+        specialties: ['ct', 'computed tomography'],
+        sections: {
+          procedureInformation: 'Axial and coronal CT images with and without contrast.',
+          findings: 'Normal attenuation values. No evidence of acute pathology. Normal anatomical structures are preserved. No abnormal enhancement following contrast administration.',
+          impression: 'Normal CT study. No acute abnormality.'
+        }
+      },
+      {
+        name: 'Chest',
+        priority: 70,
+        specialties: ['chest', 'lung'],
+        sections: {
+          procedureInformation: 'PA and lateral chest radiographs.',
+          findings: 'Clear lung fields bilaterally. Normal cardiac silhouette. No acute cardiopulmonary process. Normal mediastinal contours.',
+          impression: 'Normal chest radiograph. No acute cardiopulmonary process.'
+        }
+      },
+      {
+        name: 'Breast',
+        priority: 60,
+        specialties: ['breast'],
+        sections: {
+          procedureInformation: 'CC and MLO mammographic views.',
+          findings: 'No suspicious masses or calcifications. Normal breast parenchyma. No architectural distortion. BI-RADS Category 1: Negative.',
+          impression: 'BI-RADS Category 1: Negative. No evidence of malignancy.'
+        }
+      },
+      {
+        name: 'Cardiac',
+        priority: 50,
+        specialties: ['cardiac', 'heart'],
+        sections: {
+          procedureInformation: 'ECG-gated cardiac imaging with contrast enhancement.',
+          findings: 'Normal cardiac function. No wall motion abnormalities. Normal coronary anatomy. No evidence of ischemia or infarction.',
+          impression: 'Normal cardiac function. No evidence of coronary artery disease.'
+        }
+      },
+      {
+        name: 'Neuro',
+        priority: 40,
+        specialties: ['neuro', 'brain'],
+        sections: {
+          procedureInformation: 'Axial T1, T2, FLAIR, and DWI sequences.',
+          findings: 'Normal brain parenchyma. No acute intracranial abnormality. Normal ventricular system. No mass effect or midline shift.',
+          impression: 'Normal brain MRI. No acute intracranial abnormality.'
+        }
+      },
+      {
+        name: 'Spine',
+        priority: 30,
+        specialties: ['spine'],
+        sections: {
+          procedureInformation: 'Sagittal T1, T2, STIR, and axial T2 sequences.',
+          findings: 'Normal vertebral alignment. No evidence of fracture or dislocation. Normal disc spaces. No spinal canal stenosis.',
+          impression: 'Normal spine MRI. No acute abnormality.'
+        }
+      },
+      {
+        name: 'Abdomen',
+        priority: 20,
+        specialties: ['abdomen', 'abdominal'],
+        sections: {
+          procedureInformation: 'Axial CT images through the abdomen and pelvis with IV contrast.',
+          findings: 'Normal abdominal organs. No acute pathology. Normal bowel gas pattern. No free air or fluid collections.',
+          impression: 'Normal abdominal CT. No acute abnormality.'
+        }
+      },
+      {
+        name: 'Musculoskeletal',
+        priority: 10,
+        specialties: ['musculoskeletal', 'msk'],
+        sections: {
+          procedureInformation: 'Multiplanar imaging with T1 and T2 weighted sequences.',
+          findings: 'Normal bone marrow signal. No evidence of fracture or dislocation. Normal joint spaces. No soft tissue abnormalities.',
+          impression: 'Normal musculoskeletal MRI. No acute abnormality.'
+        }
+      },
+      {
+        name: 'Default',
+        priority: 0,
+        sections: {
+          procedureInformation: 'Standard imaging protocol as per institutional guidelines.',
+          clinicalInformation: 'Exam Date: [DATE] Exam Type: {{title}} Name of Patient: [PATIENT NAME] Date of Birth: [DOB] Clinical History: [CLINICAL HISTORY]',
+          comparisons: 'No prior studies available for comparison.',
+          findings: 'Normal study. No acute abnormality identified.',
+          impression: 'Normal study. No acute abnormality.'
+        }
+      }
+    ];
   }
 
   /**
    * Generate template data for all templates that don't have it
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onProgress - Called with { processed, failed, total } after each batch
    */
-  async generateAllTemplateData() {
+  async generateAllTemplateData(options = {}) {
+    const { onProgress } = options;
+
     try {
       console.log('🔄 Starting template data generation for all templates...');
-      
+
       // Get all templates without template data
       const templatesWithoutData = await Template.findAll({
         where: {
-          templateData: null
+          templateData: null,
+          source: 'rsna'
         },
         order: [['views', 'DESC']]
       });
@@ -30,29 +155,38 @@ class TemplateGeneratorService {
 
       if (templatesWithoutData.length === 0) {
         console.log('✅ All templates already have data');
-        return { success: true, updated: 0 };
+        return { success: true, updated: 0, failed: 0 };
       }
 
+      // One rule set for the whole run, so edits made meanwhile don't mix in
+      const rules = await this.getActiveRules();
+
       let updated = 0;
+      let failed = 0;
       let batchSize = 10;
 
       // Process in batches
       for (let i = 0; i < templatesWithoutData.length; i += batchSize) {
         const batch = templatesWithoutData.slice(i, i + batchSize);
         console.log(`\n📦 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(templatesWithoutData.length / batchSize)}`);
-        
-        const batchPromises = batch.map(template => this.generateTemplateData(template));
+
+        const batchPromises = batch.map(template => this.generateTemplateData(template, rules));
         const results = await Promise.allSettled(batchPromises);
-        
+
         results.forEach((result, index) => {
           if (result.status === 'fulfilled' && result.value) {
             updated++;
             console.log(`✅ Generated data for template ${batch[index].template_id}: ${batch[index].title}`);
           } else {
+            failed++;
             console.log(`❌ Failed to generate data for template ${batch[index].template_id}: ${result.reason}`);
           }
         });
 
+        if (onProgress) {
+          await onProgress({ processed: updated + failed, failed, total: templatesWithoutData.length });
+        }
+
         // Small delay between batches
         if (i + batchSize < templatesWithoutData.length) {
           await new Promise(resolve => setTimeout(resolve, 100));
@@ -62,7 +196,7 @@ class TemplateGeneratorService {
       console.log(`\n🎉 Template data generation completed!`);
       console.log(`✅ Updated: ${updated} templates`);
 
-      return { success: true, updated };
+      return { success: true, updated, failed };
 
     } catch (error) {
       console.error('❌ Error generating template data:', error.message);
@@ -71,20 +205,26 @@ class TemplateGeneratorService {
   }
 
   /**
-   * Generate template data for a specific template
+   * Generate template data for a specific template. The template keeps its RSNA author;
+   * the content is marked synthetic instead.
+   * @param {Object} template - Template without templateData
+   * @param {Array} rules - Active rules (see getActiveRules)
    */
-  async generateTemplateData(template) {
+  async generateTemplateData(template, rules) {
     try {
-      const templateData = this.createTemplateHTML(template);
-      
+      const templateData = this.createTemplateHTML(template, rules);
+      if (await templateVersionService.findConflict(template.template_id, template.template_version, templateData)) {
+        throw templateVersionService.conflictError(template.template_id, template.template_version);
+      }
+
       await template.update({
         templateData: templateData,
-        description: this.generateDescription(template),
-        author: this.generateAuthor(template),
-        firstname: this.generateFirstName(template),
-        lastname: this.generateLastName(template)
+        description: template.description || this.generateDescription(template),
+        synthetic: true
       });
 
+      await templateVersionService.recordVersion(template);
+
       return true;
     } catch (error) {
       console.error(`Error generating data for template ${template.template_id}:`, error.message);
@@ -92,35 +232,52 @@ class TemplateGeneratorService {
     }
   }
 
+  /**
+   * Show what the current rules would generate for a template, without saving it
+   * @param {string} templateId - Template template_id
+   * @returns {Promise<Object>} { template_id, sections: { sectionId: { text, rule } }, templateData }
+   */
+  async previewTemplate(templateId) {
+    const template = await Template.findOne({ where: { template_id: templateId } });
+    if (!template) {
+      throw createHttpError(404, 'Template not found', `No template found with ID: ${templateId}`);
+    }
+
+    const rules = await this.getActiveRules();
+    return {
+      template_id: template.template_id,
+      sections: this.matchSections(template, rules),
+      templateData: this.createTemplateHTML(template, rules)
+    };
+  }
+
   /**
    * Create HTML template data based on template information
    */
-  createTemplateHTML(template) {
-    const specialty = template.specialty || 'Radiology';
-    const title = template.title || 'Radiology Report';
-    
-    // Generate procedure information based on specialty
-    const procedureInfo = this.generateProcedureInfo(specialty, title);
-    const clinicalInfo = this.generateClinicalInfo(title);
-    const findings = this.generateFindings(specialty, title);
-    const impression = this.generateImpression(specialty, title);
+  createTemplateHTML(template, rules) {
+    const title = this.escapeHtml(template.title || 'Radiology Report');
+    const sections = this.matchSections(template, rules);
+    const text = sectionId => this.escapeHtml(sections[sectionId].text);
+    const created = template.created ? new Date(template.created) : null;
+    const date = created && !isNaN(created) ? created.toISOString().split('T')[0] : '';
 
     return `<!DOCTYPE html>
 <html>
     <head>
         <title>${title}</title>
         <meta charset="UTF-8" />
-        <meta name="dcterms.identifier" content="${this.generateUUID()}" />
+        <meta name="dcterms.identifier" content="${this.generateIdentifier(template)}" />
         <meta name="dcterms.title" content="${title}" />
         <meta name="dcterms.description" content="${title}" />
         <meta name="dcterms.type" content="IMAGE_REPORT_TEMPLATE" />
         <meta name="dcterms.language" content="en" />
-        <meta name="dcterms.publisher" content="RSNA" />
+        <meta name="dcterms.publisher" content="" />
         <meta name="dcterms.rights" content="May be used freely, subject to license agreement" />
         <meta name="dcterms.cdesets" content="[]" />
         <meta name="dcterms.license" content="http://www.radreport.org/license.pdf" />
-        <meta name="dcterms.date" content="${template.created ? template.created.toISOString().split('T')[0] : '2023-01-01'}" />
-        <meta name="dcterms.creator" content="${this.generateAuthor(template)}" />
+        <meta name="dcterms.date" content="${date}" />
+        <meta name="dcterms.creator" content="${this.generatorName}" />
+        <meta name="generator" content="${this.generatorName}" />
         <script type="text/xml">
             <template_attributes>
                 <coded_content>
@@ -164,7 +321,7 @@ class TemplateGeneratorService {
             </header>
             <p title="">
                 <label for="procedureInformationText"></label>
-                <textarea rows="3" cols="100" id="procedureInformationText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${procedureInfo}</textarea>
+                <textarea rows="3" cols="100" id="procedureInformationText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${text('procedureInformation')}</textarea>
             </p>
         </section>
         <section id="clinicalInformation" class="level1" data-section-name="Clinical Information">
@@ -173,7 +330,7 @@ class TemplateGeneratorService {
             </header>
             <p title="">
                 <label for="clinicalInformationText"></label>
-                <textarea rows="3" cols="100" id="clinicalInformationText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${clinicalInfo}</textarea>
+                <textarea rows="3" cols="100" id="clinicalInformationText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${text('clinicalInformation')}</textarea>
             </p>
         </section>
         <section id="comparisons" class="level1" data-section-name="Comparison">
@@ -182,7 +339,7 @@ class TemplateGeneratorService {
             </header>
             <p title="">
                 <label for="comparisonsText"></label>
-                <textarea rows="3" cols="100" id="comparisonsText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">No prior studies available for comparison.</textarea>
+                <textarea rows="3" cols="100" id="comparisonsText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${text('comparisons')}</textarea>
             </p>
         </section>
         <section id="findings" class="level1" data-section-name="Findings">
@@ -191,7 +348,7 @@ class TemplateGeneratorService {
             </header>
             <p title="">
                 <label for="findingsText"></label>
-                <textarea rows="5" cols="100" id="findingsText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${findings}</textarea>
+                <textarea rows="5" cols="100" id="findingsText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${text('findings')}</textarea>
             </p>
         </section>
         <section id="impression" class="level1" data-section-name="Impression">
@@ -200,7 +357,7 @@ class TemplateGeneratorService {
             </header>
             <p title="">
                 <label for="impressionText"></label>
-                <textarea rows="3" cols="100" id="impressionText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${impression}</textarea>
+                <textarea rows="3" cols="100" id="impressionText" name="" data-field-type="TEXTAREA" data-field-completion-action="NONE">${text('impression')}</textarea>
             </p>
         </section>
     </body>
@@ -208,143 +365,272 @@ class TemplateGeneratorService {
   }
 
   /**
-   * Generate procedure information based on specialty
+   * Pick each section's text from the first matching rule that has one. {{title}} and
+   * {{specialty}} in the text are replaced with the template's.
+   * @param {Object} template - Template
+   * @param {Array} rules - Active rules, highest priority first
+   * @returns {Object} { sectionId: { text, rule } }; rule is the rule name, or null when none matched
    */
-  generateProcedureInfo(specialty, title) {
-    const specialtyLower = specialty.toLowerCase();
-    
-    if (specialtyLower.includes('mri') || specialtyLower.includes('magnetic resonance')) {
-      return 'Sagittal T1, T2, STIR, Axial T1, T2, and Coronal T2 sequences.';
-    } else if (specialtyLower.includes('ct') || specialtyLower.includes('computed tomography')) {
-      return 'Axial and coronal CT images with and without contrast.';
-    } else if (specialtyLower.includes('chest') || specialtyLower.includes('lung')) {
-      return 'PA and lateral chest radiographs.';
-    } else if (specialtyLower.includes('breast')) {
-      return 'CC and MLO mammographic views.';
-    } else if (specialtyLower.includes('cardiac') || specialtyLower.includes('heart')) {
-      return 'ECG-gated cardiac imaging with contrast enhancement.';
-    } else if (specialtyLower.includes('neuro') || specialtyLower.includes('brain')) {
-      return 'Axial T1, T2, FLAIR, and DWI sequences.';
-    } else if (specialtyLower.includes('spine')) {
-      return 'Sagittal T1, T2, STIR, and axial T2 sequences.';
-    } else if (specialtyLower.includes('abdomen') || specialtyLower.includes('abdominal')) {
-      return 'Axial CT images through the abdomen and pelvis with IV contrast.';
-    } else if (specialtyLower.includes('musculoskeletal') || specialtyLower.includes('msk')) {
-      return 'Multiplanar imaging with T1 and T2 weighted sequences.';
-    } else {
-      return 'Standard imaging protocol as per institutional guidelines.';
+  matchSections(template, rules) {
+    const matching = rules.filter(rule => this.ruleMatches(rule, template));
+    const sections = {};
+
+    this.templateSections.forEach(sectionId => {
+      const rule = matching.find(candidate => typeof candidate.sections[sectionId] === 'string');
+      sections[sectionId] = {
+        text: rule ? this.fillPlaceholders(rule.sections[sectionId], template) : '',
+        rule: rule ? rule.name : null
+      };
+    });
+
+    return sections;
+  }
+
+  /**
+   * Whether every condition a rule sets matches the template: a specialty keyword, one of
+   * its subspecialty codes, and a title keyword. Keywords match at the start of a word.
+   */
+  ruleMatches(rule, template) {
+    const specCodes = (template.specCode || '').split(',').map(code => code.trim()).filter(Boolean);
+
+    if (rule.specialties.length > 0 && !rule.specialties.some(keyword => this.containsWord(template.specialty, keyword))) {
+      return false;
+    }
+    if (rule.specCodes.length > 0 && !rule.specCodes.some(code => specCodes.includes(code))) {
+      return false;
     }
+    if (rule.titleKeywords.length > 0 && !rule.titleKeywords.some(keyword => this.containsWord(template.title, keyword))) {
+      return false;
+    }
+    return true;
   }
 
   /**
-   * Generate clinical information
+   * Whether text has a word (or run of words) starting with the keyword, ignoring case and punctuation
    */
-  generateClinicalInfo(title) {
-    return `Exam Date: [DATE] Exam Type: ${title} Name of Patient: [PATIENT NAME] Date of Birth: [DOB] Clinical History: [CLINICAL HISTORY]`;
+  containsWord(text, keyword) {
+    const words = ` ${this.normalizeWords(text)}`;
+    return words.includes(` ${this.normalizeWords(keyword)}`);
   }
 
   /**
-   * Generate findings based on specialty
+   * Lowercase words separated by single spaces
    */
-  generateFindings(specialty, title) {
-    const specialtyLower = specialty.toLowerCase();
-    
-    if (specialtyLower.includes('mri') || specialtyLower.includes('magnetic resonance')) {
-      return 'Normal signal intensity throughout. No evidence of acute pathology. Normal anatomical structures are preserved. No abnormal enhancement following contrast administration.';
-    } else if (specialtyLower.includes('ct') || specialtyLower.includes('computed tomography')) {
-      return 'Normal attenuation values. No evidence of acute pathology. Normal anatomical structures are preserved. No abnormal enhancement following contrast administration.';
-    } else if (specialtyLower.includes('chest') || specialtyLower.includes('lung')) {
-      return 'Clear lung fields bilaterally. Normal cardiac silhouette. No acute cardiopulmonary process. Normal mediastinal contours.';
-    } else if (specialtyLower.includes('breast')) {
-      return 'No suspicious masses or calcifications. Normal breast parenchyma. No architectural distortion. BI-RADS Category 1: Negative.';
-    } else if (specialtyLower.includes('cardiac') || specialtyLower.includes('heart')) {
-      return 'Normal cardiac function. No wall motion abnormalities. Normal coronary anatomy. No evidence of ischemia or infarction.';
-    } else if (specialtyLower.includes('neuro') || specialtyLower.includes('brain')) {
-      return 'Normal brain parenchyma. No acute intracranial abnormality. Normal ventricular system. No mass effect or midline shift.';
-    } else if (specialtyLower.includes('spine')) {
-      return 'Normal vertebral alignment. No evidence of fracture or dislocation. Normal disc spaces. No spinal canal stenosis.';
-    } else if (specialtyLower.includes('abdomen') || specialtyLower.includes('abdominal')) {
-      return 'Normal abdominal organs. No acute pathology. Normal bowel gas pattern. No free air or fluid collections.';
-    } else if (specialtyLower.includes('musculoskeletal') || specialtyLower.includes('msk')) {
-      return 'Normal bone marrow signal. No evidence of fracture or dislocation. Normal joint spaces. No soft tissue abnormalities.';
-    } else {
-      return 'Normal study. No acute abnormality identified.';
+  normalizeWords(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+  }
+
+  /**
+   * Replace {{title}} and {{specialty}} with the template's values
+   */
+  fillPlaceholders(text, template) {
+    return text
+      .replace(/\{\{\s*title\s*\}\}/g, template.title || '')
+      .replace(/\{\{\s*specialty\s*\}\}/g, template.specialty || '');
+  }
+
+  /**
+   * List rules in the order they are applied
+   * @param {Object} options - { active } to list only active (true) or inactive (false) rules
+   * @returns {Promise<Array>} GeneratorRules
+   */
+  async listRules(options = {}) {
+    const where = {};
+    if (options.active !== undefined) {
+      where.active = options.active;
     }
+    return GeneratorRule.findAll({ where, order: [['priority', 'DESC'], ['id', 'ASC']] });
   }
 
   /**
-   * Generate impression based on specialty
+   * Active rules, highest priority first (ties: oldest first)
    */
-  generateImpression(specialty, title) {
-    const specialtyLower = specialty.toLowerCase();
-    
-    if (specialtyLower.includes('mri') || specialtyLower.includes('magnetic resonance')) {
-      return 'Normal MRI study. No acute abnormality.';
-    } else if (specialtyLower.includes('ct') || specialtyLower.includes('computed tomography')) {
-      return 'Normal CT study. No acute abnormality.';
-    } else if (specialtyLower.includes('chest') || specialtyLower.includes('lung')) {
-      return 'Normal chest radiograph. No acute cardiopulmonary process.';
-    } else if (specialtyLower.includes('breast')) {
-      return 'BI-RADS Category 1: Negative. No evidence of malignancy.';
-    } else if (specialtyLower.includes('cardiac') || specialtyLower.includes('heart')) {
-      return 'Normal cardiac function. No evidence of coronary artery disease.';
-    } else if (specialtyLower.includes('neuro') || specialtyLower.includes('brain')) {
-      return 'Normal brain MRI. No acute intracranial abnormality.';
-    } else if (specialtyLower.includes('spine')) {
-      return 'Normal spine MRI. No acute abnormality.';
-    } else if (specialtyLower.includes('abdomen') || specialtyLower.includes('abdominal')) {
-      return 'Normal abdominal CT. No acute abnormality.';
-    } else if (specialtyLower.includes('musculoskeletal') || specialtyLower.includes('msk')) {
-      return 'Normal musculoskeletal MRI. No acute abnormality.';
-    } else {
-      return 'Normal study. No acute abnormality.';
+  async getActiveRules() {
+    return this.listRules({ active: true });
+  }
+
+  /**
+   * Get a rule or throw a 404
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<Object>} GeneratorRule
+   */
+  async getRuleOrFail(ruleId) {
+    const rule = await GeneratorRule.findByPk(ruleId);
+    if (!rule) {
+      throw createHttpError(404, 'Generator rule not found', `No generator rule found with ID: ${ruleId}`);
     }
+    return rule;
   }
 
   /**
-   * Generate description
+   * Create a rule
+   * @param {Object} data - { name, priority?, specialties?, specCodes?, titleKeywords?, sections, active? }
+   * @returns {Promise<Object>} Created GeneratorRule
    */
-  generateDescription(template) {
-    return `${template.title} - ${template.specialty} template with structured reporting format.`;
+  async createRule(data) {
+    const attributes = this.normalizeRule(this.pickFields(data));
+    this.validateRule(attributes);
+    await this.checkNameAvailable(attributes.name);
+
+    return GeneratorRule.create(attributes);
   }
 
   /**
-   * Generate author information
+   * Update a rule
+   * @param {number} ruleId - Rule ID
+   * @param {Object} data - Attributes to change
+   * @returns {Promise<Object>} Updated GeneratorRule
    */
-  generateAuthor(template) {
-    const authors = [
-      'Dr. Sarah Johnson', 'Dr. Michael Chen', 'Dr. Emily Rodriguez', 'Dr. David Kim',
-      'Dr. Lisa Thompson', 'Dr. Robert Wilson', 'Dr. Jennifer Davis', 'Dr. Christopher Brown',
-      'Dr. Amanda Garcia', 'Dr. Matthew Taylor', 'Dr. Jessica Martinez', 'Dr. Daniel Anderson'
-    ];
-    return authors[Math.floor(Math.random() * authors.length)];
+  async updateRule(ruleId, data) {
+    const rule = await this.getRuleOrFail(ruleId);
+    const attributes = this.normalizeRule({ ...rule.get({ plain: true }), ...this.pickFields(data) });
+    this.validateRule(attributes);
+    if (attributes.name !== rule.name) {
+      await this.checkNameAvailable(attributes.name, rule.id);
+    }
+
+    return rule.update(this.pickFields(attributes));
   }
 
   /**
-   * Generate first name
+   * Delete a rule
+   * @param {number} ruleId - Rule ID
    */
-  generateFirstName(template) {
-    const author = this.generateAuthor(template);
-    return author.split(' ')[1]; // Get first name from "Dr. FirstName LastName"
+  async deleteRule(ruleId) {
+    const rule = await this.getRuleOrFail(ruleId);
+    await rule.destroy();
   }
 
   /**
-   * Generate last name
+   * Create the default rules if there are none, e.g. on first start
+   * @returns {Promise<number>} Number of rules created
    */
-  generateLastName(template) {
-    const author = this.generateAuthor(template);
-    return author.split(' ')[2]; // Get last name from "Dr. FirstName LastName"
+  async ensureDefaultRules() {
+    if (await GeneratorRule.count() > 0) {
+      return 0;
+    }
+
+    await GeneratorRule.bulkCreate(this.defaultRules.map(rule => this.normalizeRule(rule)));
+    console.log(`Created ${this.defaultRules.length} default template generator rules`);
+    return this.defaultRules.length;
   }
 
   /**
-   * Generate UUID
+   * Throw a 409 if another rule has the name
    */
-  generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c == 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
+  async checkNameAvailable(name, exceptId) {
+    const where = { name };
+    if (exceptId) {
+      where.id = { [Op.ne]: exceptId };
+    }
+    const existing = await GeneratorRule.findOne({ where, attributes: ['id'] });
+    if (existing) {
+      throw createHttpError(409, 'Generator rule exists', `A generator rule named ${name} already exists (rule ${existing.id})`);
+    }
+  }
+
+  /**
+   * Trim names and keywords and fill in defaults
+   */
+  normalizeRule(attributes) {
+    const normalized = { ...attributes };
+    if (typeof normalized.name === 'string') {
+      normalized.name = normalized.name.trim();
+    }
+    ['specialties', 'specCodes', 'titleKeywords'].forEach(field => {
+      if (normalized[field] === undefined || normalized[field] === null) {
+        normalized[field] = [];
+      } else if (Array.isArray(normalized[field])) {
+        normalized[field] = normalized[field].map(value => typeof value === 'string' ? value.trim() : value);
+      }
+    });
+    if (normalized.priority === undefined || normalized.priority === null) {
+      normalized.priority = 0;
+    }
+    return normalized;
+  }
+
+  /**
+   * Throw a 400 listing every problem with a rule
+   */
+  validateRule(attributes) {
+    const problems = [];
+
+    if (!attributes.name || typeof attributes.name !== 'string') {
+      problems.push('name is required');
+    }
+    if (!Number.isInteger(attributes.priority)) {
+      problems.push('priority must be an integer');
+    }
+    ['specialties', 'specCodes', 'titleKeywords'].forEach(field => {
+      const values = attributes[field];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value)) {
+        problems.push(`${field} must be an array of non-empty strings`);
+      }
     });
+
+    const { sections } = attributes;
+    if (!sections || typeof sections !== 'object' || Array.isArray(sections) || Object.keys(sections).length === 0) {
+      problems.push(`sections must map at least one of ${this.templateSections.join(', ')} to text`);
+    } else {
+      Object.entries(sections).forEach(([sectionId, text]) => {
+        if (!this.templateSections.includes(sectionId)) {
+          problems.push(`Unknown section: ${sectionId}`);
+        } else if (typeof text !== 'string') {
+          problems.push(`Text of section ${sectionId} must be a string`);
+        }
+      });
+    }
+
+    if (attributes.active !== undefined && typeof attributes.active !== 'boolean') {
+      problems.push('active must be true or false');
+    }
+
+    if (problems.length > 0) {
+      throw createHttpError(400, 'Invalid generator rule', problems.join('; '));
+    }
+  }
+
+  /**
+   * Client-settable attributes present in data
+   */
+  pickFields(data) {
+    const picked = {};
+    this.ruleFields.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * Generate description
+   */
+  generateDescription(template) {
+    return `${template.title} - synthetic ${template.specialty} template generated from rules, not published by RSNA.`;
+  }
+
+  /**
+   * Stable UUID-shaped identifier derived from the template ID and version
+   */
+  generateIdentifier(template) {
+    const hex = crypto.createHash('sha1')
+      .update(`${template.template_id}@${template.template_version}`)
+      .digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  /**
+   * Escape text for inclusion in HTML
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 }
 
@@ -0,0 +1,268 @@
+const cheerio = require('cheerio');
+
+/**
+ * Three-way merge of MRRT templates at the level of top-level <section>s: a local
+ * fork, the upstream version it was based on, and the current upstream version.
+ */
+class TemplateMergeService {
+  constructor() {
+    // What a conflict resolution may name instead of giving the section HTML itself
+    this.resolutionSides = ['local', 'upstream', 'base'];
+    // Keep <tag></tag> pairs and entities as written when the coded content is rewritten
+    this.xmlOptions = { xml: { xmlMode: true, selfClosingTags: false, decodeEntities: false } };
+  }
+
+  /**
+   * Work out, section by section, what changed on each side and what the merge takes
+   * @param {string} baseHtml - Upstream version the fork was based on
+   * @param {string} localHtml - The fork's current HTML
+   * @param {string} upstreamHtml - Current upstream version
+   * @returns {Object} { summary, sections: [{ id, name, status, base, local, upstream, merged }] } in merged order.
+   *   status is unchanged, local (changed only in the fork), upstream (changed only upstream),
+   *   both (same change on both sides) or conflict; merged is null for conflicts and removed sections.
+   */
+  mergeSections(baseHtml, localHtml, upstreamHtml) {
+    const base = this.getSections(baseHtml);
+    const local = this.getSections(localHtml);
+    const upstream = this.getSections(upstreamHtml);
+
+    const sections = this.orderKeys(local.order, upstream.order, base.order).map(id => {
+      const versions = {
+        base: base.sections.get(id) || null,
+        local: local.sections.get(id) || null,
+        upstream: upstream.sections.get(id) || null
+      };
+      const same = (a, b) => this.normalize(versions[a]) === this.normalize(versions[b]);
+
+      let status;
+      let merged;
+      if (same('local', 'upstream')) {
+        status = same('local', 'base') ? 'unchanged' : 'both';
+        merged = versions.local;
+      } else if (same('local', 'base')) {
+        status = 'upstream';
+        merged = versions.upstream;
+      } else if (same('upstream', 'base')) {
+        status = 'local';
+        merged = versions.local;
+      } else {
+        status = 'conflict';
+        merged = null;
+      }
+
+      const any = versions.local || versions.upstream || versions.base;
+      return { id, name: this.getSectionName(any), status, ...versions, merged };
+    });
+
+    const summary = { unchanged: 0, local: 0, upstream: 0, both: 0, conflict: 0 };
+    sections.forEach(section => {
+      summary[section.status]++;
+    });
+
+    return { summary, sections };
+  }
+
+  /**
+   * Apply conflict resolutions and build the merged document around the fork's own
+   * head and other non-section markup. Sections taken from upstream bring their
+   * upstream coded content entries along.
+   * @param {string} localHtml - The fork's current HTML
+   * @param {string} upstreamHtml - Current upstream version
+   * @param {Object} merge - Result of mergeSections
+   * @param {Object} resolutions - { sectionId: 'local' | 'upstream' | 'base' | '<section ...>...</section>' }
+   * @returns {Object} { html, unresolved: Array<sectionId> }
+   */
+  applyMerge(localHtml, upstreamHtml, merge, resolutions = {}) {
+    const unresolved = [];
+    const parts = [];
+    const fromUpstream = [];
+
+    merge.sections.forEach(section => {
+      const resolution = resolutions[section.id];
+      let html = section.merged;
+
+      if (resolution !== undefined && resolution !== null) {
+        html = this.resolutionSides.includes(resolution) ? section[resolution] : String(resolution);
+      } else if (section.status === 'conflict') {
+        unresolved.push(section.id);
+        return;
+      }
+
+      if (resolution === 'upstream' || ((resolution === undefined || resolution === null) && section.status === 'upstream')) {
+        fromUpstream.push(section);
+      }
+
+      if (html) {
+        parts.push(html);
+      }
+    });
+
+    const $ = cheerio.load(localHtml || '');
+    const topLevel = this.getTopLevelSections($);
+    if (topLevel.length > 0) {
+      topLevel.first().before(parts.join('\n'));
+      topLevel.remove();
+    } else {
+      $('body').append(parts.join('\n'));
+    }
+
+    if (fromUpstream.length > 0) {
+      this.mergeCodedContent($, upstreamHtml, fromUpstream);
+    }
+
+    return { html: $.html(), unresolved };
+  }
+
+  /**
+   * Replace the fork's coded content entries for the elements of sections taken from
+   * upstream with the upstream entries for those sections (and any coding schemes they use)
+   * @param {CheerioAPI} $ - Merged document, updated in place
+   * @param {string} upstreamHtml - Current upstream version
+   * @param {Array<Object>} sections - Merge sections taken from upstream
+   */
+  mergeCodedContent($, upstreamHtml, sections) {
+    const upstreamIds = new Set();
+    const replacedIds = new Set();
+    sections.forEach(section => {
+      this.getElementIds(section.upstream).forEach(id => {
+        upstreamIds.add(id);
+        replacedIds.add(id);
+      });
+      this.getElementIds(section.local).forEach(id => replacedIds.add(id));
+    });
+
+    const $upstream = cheerio.load(upstreamHtml || '');
+    const $upstreamXml = cheerio.load(this.getCodedContentScript($upstream).html() || '', this.xmlOptions);
+    const entries = $upstreamXml('coded_content entry')
+      .filter((index, entry) => upstreamIds.has($upstreamXml(entry).attr('origtxt')));
+
+    let $script = this.getCodedContentScript($);
+    if ($script.length === 0) {
+      if (entries.length === 0) return;
+      $script = $('<script type="text/xml"><template_attributes><coded_content></coded_content></template_attributes></script>');
+      $('head').append($script);
+    }
+
+    const $xml = cheerio.load($script.html() || '', this.xmlOptions);
+    let $codedContent = $xml('coded_content').first();
+    if ($codedContent.length === 0) {
+      $codedContent = $xml('<coded_content></coded_content>');
+      $xml.root().children().first().append($codedContent);
+    }
+
+    $codedContent.find('entry')
+      .filter((index, entry) => replacedIds.has($xml(entry).attr('origtxt')))
+      .remove();
+
+    const schemes = new Set(entries.find('code').map((index, code) => $upstreamXml(code).attr('scheme')).get());
+    schemes.forEach(scheme => {
+      const $scheme = $upstreamXml('coding_schemes coding_scheme').filter((index, element) => $upstreamXml(element).attr('name') === scheme);
+      if ($scheme.length === 0 || $codedContent.find('coding_scheme').filter((index, element) => $xml(element).attr('name') === scheme).length > 0) {
+        return;
+      }
+      let $schemes = $codedContent.children('coding_schemes').first();
+      if ($schemes.length === 0) {
+        $schemes = $xml('<coding_schemes></coding_schemes>');
+        $codedContent.prepend($schemes);
+      }
+      $schemes.append($upstreamXml.xml($scheme.first()));
+    });
+
+    entries.each((index, entry) => {
+      $codedContent.append($upstreamXml.xml(entry));
+    });
+
+    $script.text($xml.xml());
+  }
+
+  /**
+   * The <script type="text/xml"> holding a document's coded content
+   */
+  getCodedContentScript($) {
+    return $('script[type="text/xml"]')
+      .filter((index, element) => ($(element).html() || '').includes('coded_content'))
+      .first();
+  }
+
+  /**
+   * Ids of a section and of every element in it
+   */
+  getElementIds(html) {
+    if (!html) return [];
+    const $ = cheerio.load(html);
+    return $('[id]').map((index, element) => $(element).attr('id')).get();
+  }
+
+  /**
+   * Top-level sections of a document keyed by id (or section name, or position)
+   * @returns {Object} { order: Array<id>, sections: Map<id, outer HTML> }
+   */
+  getSections(html) {
+    const $ = cheerio.load(html || '');
+    const order = [];
+    const sections = new Map();
+
+    this.getTopLevelSections($).each((index, element) => {
+      const $section = $(element);
+      let id = $section.attr('id') || $section.attr('data-section-name') || `section-${index + 1}`;
+      // Keep duplicate keys apart rather than letting one section swallow another
+      while (sections.has(id)) {
+        id = `${id}-${index + 1}`;
+      }
+      order.push(id);
+      sections.set(id, $.html(element));
+    });
+
+    return { order, sections };
+  }
+
+  /**
+   * Sections not nested in another section
+   */
+  getTopLevelSections($) {
+    return $('section').filter((index, element) => $(element).parents('section').length === 0);
+  }
+
+  /**
+   * Merged section order: the fork's order, with sections new upstream placed after the
+   * section that precedes them upstream. Sections only in the base come last.
+   */
+  orderKeys(localOrder, upstreamOrder, baseOrder) {
+    const order = [...localOrder];
+
+    upstreamOrder.forEach((id, index) => {
+      if (order.includes(id)) return;
+      const previous = upstreamOrder.slice(0, index).reverse().find(key => order.includes(key));
+      order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, id);
+    });
+
+    baseOrder.forEach(id => {
+      if (!order.includes(id)) {
+        order.push(id);
+      }
+    });
+
+    return order;
+  }
+
+  /**
+   * Section name from data-section-name or its header
+   */
+  getSectionName(html) {
+    if (!html) return null;
+    const $ = cheerio.load(html);
+    const $section = $('section').first();
+    return $section.attr('data-section-name')
+      || $section.children('header').first().text().replace(/\s+/g, ' ').trim()
+      || null;
+  }
+
+  /**
+   * Whitespace-insensitive form of a section for comparison (missing sections compare as '')
+   */
+  normalize(html) {
+    return (html || '').replace(/\s+/g, ' ').replace(/>\s+</g, '><').trim();
+  }
+}
+
+module.exports = new TemplateMergeService();
@@ -0,0 +1,360 @@
+const { Op } = require('sequelize');
+const { Template, User, TemplateReviewer, TemplateComment, TemplateApproval } = require('../models');
+const { sequelize } = require('../database/connection');
+const autocompleteService = require('./autocompleteService');
+const config = require('../config');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Review lifecycle of templates: draft -> in-review -> approved -> retired, with
+ * assigned reviewers, comments and approval records. RSNA's TLAP_Approved flag
+ * feeds the same status for synced templates.
+ */
+class TemplateReviewService {
+  constructor() {
+    this.statuses = ['draft', 'in-review', 'approved', 'retired'];
+    // Allowed status transitions; in-review -> draft is "changes requested"
+    this.statusTransitions = {
+      draft: ['in-review'],
+      'in-review': ['approved', 'draft'],
+      approved: ['retired'],
+      retired: ['draft']
+    };
+    // Roles a reviewer must have one of
+    this.reviewerRoles = ['radiologist', 'template-admin'];
+    this.tlapApproverName = 'RSNA TLAP';
+  }
+
+  /**
+   * Status, reviewers, comments and approvals of a template
+   * @param {string} templateId - Template template_id
+   * @returns {Promise<Object>} { template_id, template_version, status, reviewers, comments, approvals }
+   */
+  async getReview(templateId) {
+    const template = await this.getTemplateOrFail(templateId);
+
+    const [reviewers, comments, approvals] = await Promise.all([
+      TemplateReviewer.findAll({
+        where: { template_id: template.template_id },
+        include: [{ model: User, as: 'user', attributes: ['id', 'username', 'displayName'] }],
+        order: [['createdAt', 'ASC']]
+      }),
+      TemplateComment.findAll({
+        where: { template_id: template.template_id },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      }),
+      TemplateApproval.findAll({
+        where: { template_id: template.template_id },
+        order: [['approvedAt', 'DESC'], ['id', 'DESC']]
+      })
+    ]);
+
+    return {
+      template_id: template.template_id,
+      template_version: template.template_version,
+      source: template.source,
+      status: template.status,
+      reviewers: reviewers.map(reviewer => ({
+        userId: reviewer.userId,
+        username: reviewer.user ? reviewer.user.username : null,
+        displayName: reviewer.user ? reviewer.user.displayName : null,
+        assignedAt: reviewer.createdAt
+      })),
+      comments,
+      approvals
+    };
+  }
+
+  /**
+   * Replace the reviewers assigned to a template
+   * @param {string} templateId - Template template_id
+   * @param {Array<number>} userIds - Reviewer user IDs (radiologists or template admins)
+   * @param {Object} assigner - Signed-in user
+   * @returns {Promise<Object>} Review (see getReview)
+   */
+  async assignReviewers(templateId, userIds, assigner) {
+    if (!Array.isArray(userIds)) {
+      throw createHttpError(400, 'Invalid reviewers', 'userIds must be an array of user IDs');
+    }
+    const template = await this.getTemplateOrFail(templateId);
+    if (template.status === 'retired') {
+      throw createHttpError(409, 'Template retired', `Template ${templateId} is retired`);
+    }
+
+    const ids = [...new Set(userIds.map(id => parseInt(id)))];
+    const users = await User.findAll({ where: { id: { [Op.in]: ids.filter(id => !isNaN(id)) } } });
+    const problems = ids.map(id => {
+      const user = users.find(candidate => candidate.id === id);
+      if (!user) return `Unknown user: ${id}`;
+      if (!user.active) return `User ${user.username} is inactive`;
+      if (!user.roles.some(role => this.reviewerRoles.includes(role))) {
+        return `User ${user.username} needs one of the roles ${this.reviewerRoles.join(', ')} to review`;
+      }
+      return null;
+    }).filter(Boolean);
+    if (problems.length > 0) {
+      throw createHttpError(400, 'Invalid reviewers', problems.join('; '));
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const current = await TemplateReviewer.findAll({ where: { template_id: template.template_id }, transaction });
+      const toRemove = current.filter(reviewer => !ids.includes(reviewer.userId)).map(reviewer => reviewer.id);
+      const toAdd = ids.filter(id => !current.some(reviewer => reviewer.userId === id));
+
+      if (toRemove.length > 0) {
+        await TemplateReviewer.destroy({ where: { id: { [Op.in]: toRemove } }, transaction });
+      }
+      if (toAdd.length > 0) {
+        await TemplateReviewer.bulkCreate(
+          toAdd.map(userId => ({ template_id: template.template_id, userId, assignedBy: assigner.id })),
+          { transaction }
+        );
+      }
+    });
+
+    return this.getReview(template.template_id);
+  }
+
+  /**
+   * Comment on the version under review
+   * @param {string} templateId - Template template_id
+   * @param {string} body - Comment text
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<Object>} Created TemplateComment
+   */
+  async addComment(templateId, body, user) {
+    if (!body || !String(body).trim()) {
+      throw createHttpError(400, 'Invalid comment', 'body is required');
+    }
+    const template = await this.getTemplateOrFail(templateId);
+
+    return TemplateComment.create({
+      template_id: template.template_id,
+      template_version: template.template_version,
+      userId: user.id,
+      authorName: user.username,
+      body: String(body).trim()
+    });
+  }
+
+  /**
+   * Move a template through the lifecycle. Submitting needs at least one reviewer; only an
+   * assigned reviewer may approve, which records the approval; sending a template back to
+   * draft from review needs a comment. Other transitions are for template admins.
+   * @param {string} templateId - Template template_id
+   * @param {string} status - Target status
+   * @param {string} comment - Optional comment (required for changes requested)
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<Object>} Review (see getReview)
+   */
+  async changeStatus(templateId, status, comment, user) {
+    if (!this.statuses.includes(status)) {
+      throw createHttpError(400, 'Invalid status', `status must be one of: ${this.statuses.join(', ')}`);
+    }
+
+    const template = await this.getTemplateOrFail(templateId);
+    if (!this.statusTransitions[template.status].includes(status)) {
+      throw createHttpError(409, 'Invalid status transition',
+        `Template ${templateId} cannot move from ${template.status} to ${status}`);
+    }
+
+    const reviewers = await TemplateReviewer.findAll({ where: { template_id: template.template_id } });
+    const isReviewer = reviewers.some(reviewer => reviewer.userId === user.id);
+    const isAdmin = (user.roles || []).includes('template-admin');
+
+    if (status === 'approved') {
+      if (!isReviewer) {
+        throw createHttpError(403, 'Forbidden', `Only a reviewer assigned to template ${templateId} can approve it`);
+      }
+    } else if (template.status === 'in-review' && status === 'draft') {
+      if (!isReviewer && !isAdmin) {
+        throw createHttpError(403, 'Forbidden', 'Only an assigned reviewer or a template admin can request changes');
+      }
+      if (!comment || !String(comment).trim()) {
+        throw createHttpError(400, 'Comment required', 'Say what needs to change when sending a template back to draft');
+      }
+    } else if (!isAdmin) {
+      throw createHttpError(403, 'Forbidden', `Only a template admin can move a template to ${status}`);
+    }
+
+    if (status === 'in-review' && reviewers.length === 0) {
+      throw createHttpError(409, 'No reviewers', `Assign at least one reviewer before submitting template ${templateId}`);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const previous = template.status;
+      await template.update({ status }, { transaction });
+
+      if (comment && String(comment).trim()) {
+        await TemplateComment.create({
+          template_id: template.template_id,
+          template_version: template.template_version,
+          userId: user.id,
+          authorName: user.username,
+          body: String(comment).trim(),
+          statusChange: `${previous} -> ${status}`
+        }, { transaction });
+      }
+
+      if (status === 'approved') {
+        await TemplateApproval.create({
+          template_id: template.template_id,
+          template_version: template.template_version,
+          basis: 'review',
+          approverId: user.id,
+          approverName: user.username,
+          comment: comment ? String(comment).trim() : null
+        }, { transaction });
+      }
+    });
+
+    this.refreshSuggestions();
+    return this.getReview(template.template_id);
+  }
+
+  /**
+   * Templates in review that are assigned to a user
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<Array>} Templates, oldest change first
+   */
+  async getReviewQueue(user) {
+    const assignments = await TemplateReviewer.findAll({ where: { userId: user.id }, attributes: ['template_id'] });
+
+    return Template.findAll({
+      where: {
+        status: 'in-review',
+        template_id: { [Op.in]: assignments.map(assignment => assignment.template_id) }
+      },
+      attributes: ['template_id', 'template_version', 'title', 'source', 'specialty', 'specCode', 'status', 'forkedFrom', 'updatedAt'],
+      order: [['updatedAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Whether a request may see templates that aren't approved: template admins,
+   * and API keys allowed to change templates
+   */
+  canSeeUnapproved(req) {
+    if (req.apiKey) {
+      return (req.apiKey.scopes || []).includes('templates:write');
+    }
+    return Boolean(req.user) && (req.user.roles || []).includes('template-admin');
+  }
+
+  /**
+   * Whether a request may see a template: approved ones are for everyone; others for those
+   * who can see unapproved templates and for the template's assigned reviewers
+   * @param {Object} req - Express request
+   * @param {Object} template - Template with template_id and status
+   * @returns {Promise<boolean>}
+   */
+  async canView(req, template) {
+    if (template.status === 'approved' || this.canSeeUnapproved(req)) {
+      return true;
+    }
+    if (!req.user) {
+      return false;
+    }
+    const assignment = await TemplateReviewer.findOne({
+      where: { template_id: template.template_id, userId: req.user.id },
+      attributes: ['id']
+    });
+    return Boolean(assignment);
+  }
+
+  /**
+   * Throw a 404 unless the request may see the template (see canView). Templates it may not
+   * see are reported as missing, so their existence isn't given away.
+   * @param {Object} req - Express request
+   * @param {string} templateId - Template template_id
+   */
+  async assertCanView(req, templateId) {
+    const template = await Template.findOne({ where: { template_id: templateId }, attributes: ['template_id', 'status'] });
+    if (!template ? !this.canSeeUnapproved(req) : !(await this.canView(req, template))) {
+      throw createHttpError(404, 'Template not found', `No template found with ID: ${templateId}`);
+    }
+  }
+
+  /**
+   * Throw a 409 unless the template is approved; reports are only written against approved templates
+   * @param {string} templateId - Template template_id
+   */
+  async assertApproved(templateId) {
+    const template = await Template.findOne({ where: { template_id: templateId }, attributes: ['status'] });
+    if (template && template.status !== 'approved') {
+      throw createHttpError(409, 'Template not approved',
+        `Template ${templateId} is ${template.status}; reports can only be written against approved templates`);
+    }
+  }
+
+  /**
+   * Whether an RSNA TLAP_Approved value means approved ("Yes", "true", "1", ...)
+   */
+  isTlapApproved(value) {
+    return /^(y|yes|true|1|approved)$/i.test(String(value ?? '').trim());
+  }
+
+  /**
+   * Initial status of a newly synced RSNA template: approved, unless config.review.requireTlapApproval
+   * is set and the template isn't TLAP-approved, in which case it waits for a local review
+   */
+  getTlapStatus(value) {
+    return this.isTlapApproved(value) || !config.review.requireTlapApproval ? 'approved' : 'in-review';
+  }
+
+  /**
+   * Follow a change of a synced template's TLAP_Approved flag: gaining it approves the
+   * template (with a TLAP approval record); losing it sends an approved template back to
+   * review when TLAP approval is required. Retired templates stay retired.
+   * @param {Object} template - Synced Template, already updated
+   * @param {*} previousValue - TLAP_Approved before the sync (undefined for a new template)
+   * @param {Object} options - { transaction }
+   */
+  async applyTlapStatus(template, previousValue, options = {}) {
+    const { transaction } = options;
+    const approved = this.isTlapApproved(template.TLAP_Approved);
+    if (previousValue !== undefined && this.isTlapApproved(previousValue) === approved) {
+      return;
+    }
+    if (template.status === 'retired') {
+      return;
+    }
+
+    if (approved) {
+      if (template.status !== 'approved') {
+        await template.update({ status: 'approved' }, { transaction });
+      }
+      await TemplateApproval.create({
+        template_id: template.template_id,
+        template_version: template.template_version,
+        basis: 'tlap',
+        approverId: null,
+        approverName: this.tlapApproverName
+      }, { transaction });
+    } else if (template.status === 'approved' && config.review.requireTlapApproval) {
+      await template.update({ status: 'in-review' }, { transaction });
+    }
+  }
+
+  /**
+   * Get a template or throw a 404
+   */
+  async getTemplateOrFail(templateId) {
+    const template = await Template.findOne({ where: { template_id: templateId } });
+    if (!template) {
+      throw createHttpError(404, 'Template not found', `No template found with ID: ${templateId}`);
+    }
+    return template;
+  }
+
+  /**
+   * Newly approved or retired titles change what ordinary users are offered
+   */
+  refreshSuggestions() {
+    autocompleteService.rebuild().catch(error => {
+      console.error('Failed to rebuild autocomplete index:', error.message);
+    });
+  }
+}
+
+module.exports = new TemplateReviewService();
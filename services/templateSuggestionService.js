@@ -0,0 +1,202 @@
+const { Template, Subspecialty } = require('../models');
+const procedureMappingService = require('./procedureMappingService');
+const relationshipService = require('./relationshipService');
+
+class TemplateSuggestionService {
+  constructor() {
+    // Words that carry no meaning when matching procedure descriptions to titles
+    this.stopWords = new Set(['a', 'an', 'and', 'or', 'of', 'the', 'to', 'for', 'in', 'on', 'per']);
+
+    // Generic words in subspecialty names that should not select a subspecialty
+    this.genericSubspecialtyWords = new Set(['radiology', 'imaging', 'other', 'general']);
+
+    // Common abbreviations in order descriptions -> words used in RSNA template titles
+    this.abbreviations = {
+      mr: ['mri'],
+      xr: ['radiograph'],
+      cxr: ['chest', 'radiograph'],
+      us: ['ultrasound'],
+      abd: ['abdomen'],
+      w: ['with'],
+      wo: ['without'],
+      nm: ['nuclear', 'medicine']
+    };
+
+    this.defaultLimit = 5;
+  }
+
+  /**
+   * Suggest templates for an ordered procedure. A curated procedure mapping comes
+   * first; the rest are ranked by title, specialty, specCode and subspecialty mappings.
+   * @param {Object} procedure - { code, codingSystem, description }
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} [{ template_id, title, score, reasons }] best first
+   */
+  async suggestTemplates(procedure, options = {}) {
+    const { limit = this.defaultLimit } = options;
+
+    const mapping = await procedureMappingService.findMapping(procedure.code, procedure.codingSystem);
+    const ranked = await this.rankTemplates(procedure.description, { limit });
+    if (!mapping) {
+      return ranked;
+    }
+
+    // A mapping to a template that isn't approved (any more) is skipped, like unapproved ranked ones
+    const template = await Template.findOne({
+      where: { template_id: mapping.template_id, status: 'approved' },
+      attributes: ['template_id', 'title']
+    });
+    if (!template) {
+      return ranked;
+    }
+
+    // Mapped templates are not scored; they always come first
+    const mapped = {
+      template_id: template.template_id,
+      title: template.title,
+      template_version: mapping.preferredVersion || undefined,
+      score: null,
+      reasons: [`mapped from ${mapping.codingSystem} ${mapping.procedureCode}`]
+    };
+
+    return [mapped, ...ranked.filter(suggestion => suggestion.template_id !== mapped.template_id)].slice(0, limit);
+  }
+
+  /**
+   * Rank templates against a procedure description
+   * @param {string} description - Procedure description
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} [{ template_id, title, score, reasons }] best first
+   */
+  async rankTemplates(description, options = {}) {
+    const { limit = this.defaultLimit } = options;
+    const tokens = this.tokenize(description);
+
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const [templates, subspecialties] = await Promise.all([
+      Template.findAll({
+        where: { status: 'approved' },
+        attributes: ['template_id', 'title', 'specialty', 'specCode', 'views'],
+        include: [{
+          model: Subspecialty,
+          as: 'subspecialties',
+          attributes: ['code'],
+          through: { attributes: [] }
+        }]
+      }),
+      Subspecialty.findAll({ attributes: ['code', 'shortName', 'name'] })
+    ]);
+
+    const matchedCodes = this.matchSubspecialties(tokens, subspecialties);
+
+    return templates
+      .map(template => this.scoreTemplate(template, tokens, matchedCodes))
+      .filter(suggestion => suggestion.score > 0)
+      .sort((a, b) => b.score - a.score || b.views - a.views || a.template_id.localeCompare(b.template_id))
+      .slice(0, limit)
+      .map(({ views, ...suggestion }) => suggestion);
+  }
+
+  /**
+   * Score one template against the procedure description tokens
+   */
+  scoreTemplate(template, tokens, matchedCodes) {
+    const reasons = [];
+    let score = 0;
+
+    const titleTokens = this.tokenize(template.title);
+    const titleMatches = tokens.filter(token => titleTokens.includes(token));
+    if (titleMatches.length > 0) {
+      // Reward covering the ordered procedure, and prefer titles without extra words
+      score += 10 * (titleMatches.length / tokens.length) + 2 * (titleMatches.length / titleTokens.length);
+      reasons.push(`title matches ${titleMatches.join(', ')}`);
+      if (titleTokens.join(' ') === tokens.join(' ')) {
+        score += 5;
+        reasons.push('exact title match');
+      }
+    }
+
+    const specialtyTokens = this.tokenize(template.specialty);
+    const specialtyMatches = tokens.filter(token => specialtyTokens.includes(token));
+    if (specialtyMatches.length > 0) {
+      score += specialtyMatches.length;
+      reasons.push(`specialty matches ${specialtyMatches.join(', ')}`);
+    }
+
+    // Subspecialty evidence only re-orders templates that already match something
+    if (score > 0) {
+      // specCode may list several codes ("CA,CT")
+      const specCodes = relationshipService.parseSpecCode(template.specCode);
+      const matchedSpecCodes = specCodes.filter(code => matchedCodes.has(code));
+      if (matchedSpecCodes.length > 0) {
+        score += 3;
+        reasons.push(`specCode ${matchedSpecCodes.join(', ')}`);
+      }
+
+      const mappedCodes = (template.subspecialties || [])
+        .map(subspecialty => subspecialty.code)
+        .filter(code => matchedCodes.has(code) && !specCodes.includes(code));
+      if (mappedCodes.length > 0) {
+        score += 2;
+        reasons.push(`mapped to subspecialty ${mappedCodes.join(', ')}`);
+      }
+    }
+
+    return {
+      template_id: template.template_id,
+      title: template.title,
+      score: Math.round(score * 100) / 100,
+      reasons,
+      views: template.views || 0
+    };
+  }
+
+  /**
+   * Subspecialty codes named by the description, by code (e.g. CT, MR) or by name
+   */
+  matchSubspecialties(tokens, subspecialties) {
+    const codes = new Set();
+
+    subspecialties.forEach(subspecialty => {
+      const nameTokens = [
+        ...this.tokenize(subspecialty.shortName),
+        ...this.tokenize(subspecialty.name)
+      ].filter(token => !this.genericSubspecialtyWords.has(token));
+
+      const codeTokens = this.tokenize(subspecialty.code);
+      if (tokens.some(token => codeTokens.includes(token) || nameTokens.includes(token))) {
+        codes.add(subspecialty.code);
+      }
+    });
+
+    return codes;
+  }
+
+  /**
+   * Lowercase words with abbreviations expanded and stop words removed
+   */
+  tokenize(text) {
+    if (!text) return [];
+
+    const tokens = [];
+    String(text)
+      .toLowerCase()
+      .replace(/\bw\/o\b/g, 'without')
+      .replace(/\bw\//g, 'with ')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .forEach(word => {
+        (this.abbreviations[word] || [word]).forEach(token => {
+          if (!this.stopWords.has(token) && !tokens.includes(token)) {
+            tokens.push(token);
+          }
+        });
+      });
+    return tokens;
+  }
+}
+
+module.exports = new TemplateSuggestionService();
@@ -0,0 +1,191 @@
+const { Template, TemplateVersion } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+class TemplateVersionService {
+  constructor() {
+    // Template attributes copied into each version snapshot
+    this.snapshotFields = [
+      'title',
+      'lang',
+      'created',
+      'specialty',
+      'specCode',
+      'description',
+      'author',
+      'firstname',
+      'lastname',
+      'dataType',
+      'templateData',
+      'synthetic'
+    ];
+  }
+
+  /**
+   * Record the current state of a template in its version history.
+   * A new row is created the first time a version is seen; later calls for the
+   * same version fill in the snapshot until its templateData arrives. From then on the
+   * snapshot is immutable, since reports were written against it, unless that templateData
+   * is synthetic: generated content is replaced when the real content arrives.
+   * @param {Object} template - Template instance
+   * @param {Object} options - Optional settings
+   * @param {Object} options.transaction - Transaction to write in
+   * @returns {Promise<Object>} { version, created, updated }
+   * @throws 409 when the template has different templateData than its stored version (see findConflict)
+   */
+  async recordVersion(template, options = {}) {
+    const { transaction } = options;
+
+    const snapshot = {};
+    this.snapshotFields.forEach(field => {
+      snapshot[field] = template[field];
+    });
+
+    const [version, created] = await TemplateVersion.findOrCreate({
+      where: {
+        template_id: template.template_id,
+        template_version: template.template_version
+      },
+      defaults: {
+        ...snapshot,
+        syncedAt: new Date()
+      },
+      transaction
+    });
+
+    if (created) {
+      return { version, created: true, updated: false };
+    }
+
+    if (version.templateData && !version.synthetic) {
+      if (snapshot.templateData && snapshot.templateData !== version.templateData) {
+        throw this.conflictError(template.template_id, template.template_version);
+      }
+      return { version, created: false, updated: false };
+    }
+
+    const changes = {};
+    this.snapshotFields.forEach(field => {
+      // Never replace stored HTML (or whether it is synthetic) with nothing
+      if ((field === 'templateData' || field === 'synthetic') && !snapshot.templateData) return;
+
+      const current = version[field] instanceof Date ? version[field].getTime() : (version[field] ?? null);
+      const incoming = snapshot[field] instanceof Date ? snapshot[field].getTime() : (snapshot[field] ?? null);
+      if (current !== incoming) {
+        changes[field] = snapshot[field];
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return { version, created: false, updated: false };
+    }
+
+    await version.update({ ...changes, syncedAt: new Date() }, { transaction });
+    return { version, created: false, updated: true };
+  }
+
+  /**
+   * Find the stored version that new templateData would conflict with: same version,
+   * different HTML that isn't synthetic. Callers check this before changing the template,
+   * so a conflicting sync leaves both the template and its history as they were.
+   * @param {string} templateId - Template template_id
+   * @param {string} templateVersion - Version the templateData is for
+   * @param {string} templateData - Incoming HTML (nothing never conflicts)
+   * @param {Object} options - { transaction }
+   * @returns {Promise<Object|null>} Conflicting TemplateVersion or null
+   */
+  async findConflict(templateId, templateVersion, templateData, options = {}) {
+    if (!templateData) {
+      return null;
+    }
+
+    const version = await TemplateVersion.findOne({
+      where: { template_id: templateId, template_version: templateVersion },
+      transaction: options.transaction
+    });
+    return version && version.templateData && !version.synthetic && version.templateData !== templateData
+      ? version
+      : null;
+  }
+
+  /**
+   * Error for content that changed without a new version number
+   */
+  conflictError(templateId, templateVersion) {
+    return createHttpError(409, 'Version conflict',
+      `Version ${templateVersion} of template ${templateId} is already recorded with different content; changed content needs a new version`);
+  }
+
+  /**
+   * List every stored version of a template, newest first
+   * @param {string} templateId - RSNA template ID
+   * @returns {Promise<Array>} Versions without their templateData
+   */
+  async getVersions(templateId) {
+    try {
+      return await TemplateVersion.findAll({
+        where: { template_id: templateId },
+        attributes: { exclude: ['templateData'] },
+        order: [['syncedAt', 'DESC'], ['id', 'DESC']]
+      });
+    } catch (error) {
+      console.error(`Error getting versions for template ${templateId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single version of a template including its templateData
+   * @param {string} templateId - RSNA template ID
+   * @param {string} version - Template version
+   * @returns {Promise<Object|null>} TemplateVersion or null
+   */
+  async getVersion(templateId, version) {
+    try {
+      return await TemplateVersion.findOne({
+        where: {
+          template_id: templateId,
+          template_version: version
+        }
+      });
+    } catch (error) {
+      console.error(`Error getting version ${version} of template ${templateId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a template version for use (reports, rendering, exports).
+   * Without a version the current template version is used; if the current
+   * version predates the history table it is recorded on first use.
+   * @param {string} templateId - RSNA template ID
+   * @param {string} version - Optional template version
+   * @returns {Promise<Object|null>} TemplateVersion or null when not found
+   */
+  async resolveVersion(templateId, version) {
+    try {
+      const template = await Template.findOne({ where: { template_id: templateId } });
+
+      const requestedVersion = version || (template ? template.template_version : null);
+      if (!requestedVersion) {
+        return null;
+      }
+
+      const templateVersion = await this.getVersion(templateId, requestedVersion);
+      if (templateVersion) {
+        return templateVersion;
+      }
+
+      if (template && template.template_version === requestedVersion) {
+        const { version: recorded } = await this.recordVersion(template);
+        return recorded;
+      }
+
+      return null;
+    } catch (error) {
+      console.error(`Error resolving version ${version || '(current)'} of template ${templateId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TemplateVersionService();
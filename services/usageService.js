@@ -0,0 +1,194 @@
+const { Op } = require('sequelize');
+const { Template, UsageEvent } = require('../models');
+const { sequelize } = require('../database/connection');
+const { getContext } = require('../utils/auditContext');
+const { createHttpError } = require('../utils/httpError');
+
+class UsageService {
+  constructor() {
+    // Event type -> local counter on the template
+    this.counters = {
+      view: 'localViews',
+      download: 'localDownloads',
+      report: 'localReportUses'
+    };
+    this.intervals = ['day', 'week', 'month'];
+    this.defaultTrendDays = 30;
+    this.topLimit = 10;
+  }
+
+  /**
+   * Record that the current actor (from the request context) used a template, and
+   * bump the matching local counter. RSNA's views/downloads are left alone.
+   * @param {string} templateId - Template template_id
+   * @param {string} eventType - view, download or report
+   * @param {Object} options - { transaction }
+   */
+  async recordEvent(templateId, eventType, options = {}) {
+    const counter = this.counters[eventType];
+    if (!counter) {
+      throw createHttpError(400, 'Invalid usage event', `eventType must be one of: ${Object.keys(this.counters).join(', ')}`);
+    }
+
+    const { actor } = getContext();
+    const record = async (transaction) => {
+      await UsageEvent.create({
+        template_id: String(templateId),
+        eventType,
+        actorType: actor.type,
+        actorId: actor.id,
+        actorName: actor.name,
+        department: actor.department || null
+      }, { transaction });
+      await Template.increment(counter, { where: { template_id: String(templateId) }, transaction });
+    };
+
+    return options.transaction
+      ? record(options.transaction)
+      : sequelize.transaction(record);
+  }
+
+  /**
+   * Local vs. upstream popularity, usage by department and usage over time
+   * @param {Object} options - { from, to, interval }; trends default to the last 30 days by day
+   * @returns {Promise<Object>} { upstream, local, period, mostUsedLocally, byDepartment, trends }
+   */
+  async getStatistics(options = {}) {
+    const { interval = 'day' } = options;
+    if (!this.intervals.includes(interval)) {
+      throw createHttpError(400, 'Invalid interval', `interval must be one of: ${this.intervals.join(', ')}`);
+    }
+
+    const to = options.to ? this.parseDate(options.to, 'to') : new Date();
+    if (options.to && /^\d{4}-\d{2}-\d{2}$/.test(options.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    const from = options.from
+      ? this.parseDate(options.from, 'from')
+      : new Date(to.getTime() - this.defaultTrendDays * 24 * 60 * 60 * 1000);
+
+    // Events are counted in the database: per department, and per UTC day for the trends
+    const inPeriod = { createdAt: { [Op.gte]: from, [Op.lte]: to } };
+    const day = sequelize.fn('DATE', sequelize.col(UsageEvent.rawAttributes.createdAt.field));
+    const eventType = sequelize.col(UsageEvent.rawAttributes.eventType.field);
+    const count = [sequelize.fn('COUNT', sequelize.col('id')), 'count'];
+
+    const [totals, mostUsedLocally, byDepartment, byDay] = await Promise.all([
+      Template.findAll({
+        attributes: ['views', 'downloads', 'localViews', 'localDownloads', 'localReportUses']
+          .map(field => [sequelize.fn('SUM', sequelize.col(Template.rawAttributes[field].field)), field]),
+        raw: true
+      }),
+      Template.findAll({
+        where: {
+          [Op.or]: Object.values(this.counters).map(field => ({ [field]: { [Op.gt]: 0 } }))
+        },
+        attributes: ['template_id', 'title', 'specialty', 'views', 'downloads', 'localViews', 'localDownloads', 'localReportUses'],
+        order: [['localViews', 'DESC'], ['localDownloads', 'DESC'], ['localReportUses', 'DESC'], ['template_id', 'ASC']],
+        limit: this.topLimit
+      }),
+      UsageEvent.findAll({
+        where: inPeriod,
+        attributes: ['department', 'eventType', count],
+        group: ['department', eventType],
+        raw: true
+      }),
+      UsageEvent.findAll({
+        where: inPeriod,
+        attributes: [[day, 'day'], 'eventType', count],
+        group: [day, eventType],
+        raw: true
+      })
+    ]);
+
+    const sums = totals[0] || {};
+    const total = field => parseInt(sums[field]) || 0;
+
+    return {
+      upstream: {
+        views: total('views'),
+        downloads: total('downloads')
+      },
+      local: {
+        views: total('localViews'),
+        downloads: total('localDownloads'),
+        reportUses: total('localReportUses')
+      },
+      period: { from, to, interval },
+      mostUsedLocally: mostUsedLocally.map(template => ({
+        template_id: template.template_id,
+        title: template.title,
+        specialty: template.specialty,
+        local: {
+          views: template.localViews,
+          downloads: template.localDownloads,
+          reportUses: template.localReportUses
+        },
+        upstream: {
+          views: template.views,
+          downloads: template.downloads
+        }
+      })),
+      byDepartment: this.countBy(byDepartment, row => row.department || null)
+        .map(([department, counts]) => ({ department, ...counts }))
+        .sort((a, b) => this.totalOf(b) - this.totalOf(a)),
+      // Days are rolled up into weeks or months here; DATE() is the same in every dialect
+      trends: this.countBy(byDay, row => this.periodStart(new Date(row.day), interval))
+        .map(([period, counts]) => ({ period, ...counts }))
+        .sort((a, b) => a.period.localeCompare(b.period))
+    };
+  }
+
+  /**
+   * Add up grouped event counts ({ eventType, count } rows) by key into { views, downloads, reportUses }
+   * @returns {Array} [[key, counts]]
+   */
+  countBy(rows, keyOf) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = keyOf(row);
+      if (!groups.has(key)) {
+        groups.set(key, { views: 0, downloads: 0, reportUses: 0 });
+      }
+      const counts = groups.get(key);
+      const count = parseInt(row.count) || 0;
+      if (row.eventType === 'view') counts.views += count;
+      else if (row.eventType === 'download') counts.downloads += count;
+      else if (row.eventType === 'report') counts.reportUses += count;
+    });
+    return [...groups.entries()];
+  }
+
+  /**
+   * All uses in a counts object
+   */
+  totalOf(counts) {
+    return counts.views + counts.downloads + counts.reportUses;
+  }
+
+  /**
+   * UTC start of the day, ISO week (Monday) or month containing a date, as YYYY-MM-DD
+   */
+  periodStart(date, interval) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+      start.setUTCDate(1);
+    }
+    return start.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Parse a filter date or throw a 400
+   */
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw createHttpError(400, 'Invalid date', `${name} must be an ISO 8601 date`);
+    }
+    return date;
+  }
+}
+
+module.exports = new UsageService();
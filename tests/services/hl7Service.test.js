@@ -0,0 +1,124 @@
+const hl7Service = require('../../services/hl7Service');
+
+const templateVersion = {
+  template_id: 'hl7-test',
+  template_version: '1',
+  templateData: `<html><head><script type="text/xml"><template_attributes><coded_content>
+    <coding_schemes><coding_scheme name="LOINC" designator="2.16.840.1.113883.6.1"></coding_scheme></coding_schemes>
+    <entry origtxt="findings"><term><code meaning="Procedure Findings" value="59776-5" scheme="LOINC"></code></term></entry>
+  </coded_content></template_attributes></script></head><body>
+    <section id="findings" data-section-name="Findings"><textarea id="findingsText"></textarea></section>
+    <section id="impression" data-section-name="Impression"><textarea id="impressionText"></textarea></section>
+    <section id="empty" data-section-name="Empty"><textarea id="emptyText"></textarea></section>
+  </body></html>`
+};
+
+const report = {
+  id: 7,
+  status: 'final',
+  template_id: 'hl7-test',
+  title: 'CT Chest',
+  accessionNumber: 'ACC1',
+  patientId: 'P1',
+  patientName: 'Jane Doe',
+  patientBirthDate: '1980-02-03',
+  patientSex: 'female',
+  studyDate: '2024-01-02T03:04:05Z',
+  finalizedAt: '2024-01-02T04:00:00Z',
+  radiologist: 'Smith, John',
+  values: {
+    findingsText: 'Line 1\nA|B^C',
+    impressionText: 'Normal'
+  }
+};
+
+const field = (message, name, number) => message.split('\r').find(segment => segment.startsWith(`${name}|`)).split('|')[number];
+
+describe('hl7Service', () => {
+  describe('buildOruR01', () => {
+    const message = hl7Service.buildOruR01(report, templateVersion, {
+      messageControlId: 'CTRL1',
+      timestamp: new Date('2024-01-02T05:06:07Z')
+    });
+    const segments = message.split('\r');
+
+    it('builds MSH, PID, OBR and one OBX per section with content', () => {
+      expect(segments.map(segment => segment.slice(0, 3))).toEqual(['MSH', 'PID', 'OBR', 'OBX', 'OBX']);
+      expect(segments[0]).toMatch(/^MSH\|\^~\\&\|/);
+      expect(field(message, 'MSH', 6)).toBe('20240102050607+0000');
+      expect(field(message, 'MSH', 8)).toBe('ORU^R01^ORU_R01');
+      expect(field(message, 'MSH', 9)).toBe('CTRL1');
+      expect(field(message, 'MSH', 11)).toBe('2.5.1');
+    });
+
+    it('maps the patient and order', () => {
+      expect(field(message, 'PID', 5)).toBe('Doe^Jane');
+      expect(field(message, 'PID', 7)).toBe('19800203');
+      expect(field(message, 'PID', 8)).toBe('F');
+      expect(field(message, 'OBR', 3)).toBe('ACC1');
+      expect(field(message, 'OBR', 4)).toBe('hl7-test^CT Chest^RSNA');
+      expect(field(message, 'OBR', 25)).toBe('F');
+      expect(field(message, 'OBR', 32)).toBe('&Smith&John');
+    });
+
+    it('identifies sections by LOINC code when bound and escapes their content', () => {
+      const [findings, impression] = segments.filter(segment => segment.startsWith('OBX|'));
+
+      expect(findings.split('|')[3]).toBe('59776-5^Procedure Findings^LN');
+      expect(findings.split('|')[5]).toBe('Line 1\\.br\\A\\F\\B\\S\\C');
+      expect(findings.split('|')[11]).toBe('F');
+      expect(impression.split('|')[3]).toBe('impression^Impression^L');
+      expect(impression.split('|')[5]).toBe('Normal');
+    });
+
+    it('marks preliminary reports P', () => {
+      const preliminary = hl7Service.buildOruR01({ ...report, status: 'preliminary' }, templateVersion);
+
+      expect(field(preliminary, 'OBR', 25)).toBe('P');
+    });
+  });
+
+  describe('parseMessage', () => {
+    it('reads the header fields and keeps MSH field numbers', () => {
+      const parsed = hl7Service.parseMessage('MSH|^~\\&|APP|FAC|RIS|RIS|20240102||ORM^O01^ORM_O01|MSG\\F\\1|P|2.5.1\rPID|1||P1\r');
+
+      expect(parsed.messageType).toBe('ORM^O01');
+      expect(parsed.triggerEvent).toBe('O01');
+      expect(parsed.messageControlId).toBe('MSG|1');
+      expect(parsed.version).toBe('2.5.1');
+      expect(parsed.segments[0][3]).toBe('APP');
+      expect(parsed.segments[1][3]).toBe('P1');
+    });
+
+    it('accepts line feeds between segments and custom delimiters', () => {
+      const parsed = hl7Service.parseMessage('MSH#*~\\&#APP#FAC#RIS#RIS#20240102##ORM*O01#M1#P#2.5.1\nPID#1');
+
+      expect(parsed.delimiters.field).toBe('#');
+      expect(parsed.delimiters.component).toBe('*');
+      expect(parsed.messageType).toBe('ORM^O01');
+      expect(parsed.segments).toHaveLength(2);
+    });
+
+    it('rejects messages that do not start with MSH', () => {
+      expect(() => hl7Service.parseMessage('PID|1')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => hl7Service.parseMessage('')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('buildACK', () => {
+    it('acknowledges the received message control id', () => {
+      const received = hl7Service.parseMessage('MSH|^~\\&|APP|FAC|RIS|RIS|20240102||ORM^O01|MSG1|P|2.5.1');
+      const ack = hl7Service.parseMessage(hl7Service.buildACK(received, 'AE', 'Bad|order'));
+
+      expect(ack.messageType).toBe('ACK^O01');
+      expect(ack.segments[1]).toEqual(['MSA', 'AE', 'MSG1', 'Bad\\F\\order']);
+      expect(hl7Service.unescape(ack.segments[1][3], ack.delimiters)).toBe('Bad|order');
+    });
+
+    it('builds an ACK without a parsed message', () => {
+      const ack = hl7Service.parseMessage(hl7Service.buildACK(null, 'AR', 'Unreadable'));
+
+      expect(ack.segments[1]).toEqual(['MSA', 'AR', '', 'Unreadable']);
+    });
+  });
+});
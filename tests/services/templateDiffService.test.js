@@ -0,0 +1,92 @@
+const templateDiffService = require('../../services/templateDiffService');
+
+const version = (templateVersion, body) => ({
+  template_id: 'diff-test',
+  template_version: String(templateVersion),
+  templateData: `<html><head><title>Template</title></head><body>${body}</body></html>`
+});
+
+describe('templateDiffService', () => {
+  describe('diffTemplates', () => {
+    it('reports added, removed, modified and unchanged sections', () => {
+      const from = version(1, `
+        <section id="history" data-section-name="History"><textarea id="historyText">None</textarea></section>
+        <section id="findings" data-section-name="Findings">
+          <label for="size">Size</label><input id="size" type="text" value="1 cm">
+          <input id="old" type="text">
+        </section>
+        <section id="technique" data-section-name="Technique"><textarea id="techniqueText"></textarea></section>`);
+      const to = version(2, `
+        <section id="history" data-section-name="History"><textarea id="historyText">None</textarea></section>
+        <section id="findings" data-section-name="Results">
+          <label for="size">Lesion size</label><input id="size" type="text" value="2 cm">
+          <input id="new" type="text">
+        </section>
+        <section id="impression" data-section-name="Impression"><textarea id="impressionText"></textarea></section>`);
+
+      const diff = templateDiffService.diffTemplates(from, to);
+
+      expect(diff.summary).toEqual({
+        sectionsAdded: 1,
+        sectionsRemoved: 1,
+        sectionsModified: 1,
+        sectionsUnchanged: 1,
+        fieldsAdded: 2,
+        fieldsRemoved: 2,
+        fieldsModified: 1
+      });
+      expect(diff.sections.map(section => [section.id, section.status])).toEqual([
+        ['history', 'unchanged'],
+        ['findings', 'modified'],
+        ['impression', 'added'],
+        ['technique', 'removed']
+      ]);
+
+      const findings = diff.sections[1];
+      expect(findings.changes.name).toEqual({ from: 'Findings', to: 'Results' });
+      expect(findings.fields.added.map(field => field.id)).toEqual(['new']);
+      expect(findings.fields.removed.map(field => field.id)).toEqual(['old']);
+
+      const [size] = findings.fields.modified;
+      expect(size.id).toBe('size');
+      expect(size.changes.label).toEqual({ from: 'Size', to: 'Lesion size' });
+      expect(size.defaultValue.from).toBe('1 cm');
+      expect(size.defaultValue.to).toBe('2 cm');
+    });
+
+    it('compares select options structurally', () => {
+      const from = version(1, '<section id="s"><select id="side"><option value="L">Left</option></select></section>');
+      const to = version(2, '<section id="s"><select id="side"><option value="L">Left</option><option value="R">Right</option></select></section>');
+
+      const [section] = templateDiffService.diffTemplates(from, to).sections;
+
+      expect(section.status).toBe('modified');
+      expect(section.fields.modified[0].changes.options.to).toHaveLength(2);
+    });
+  });
+
+  describe('diffText', () => {
+    it('produces word-level operations', () => {
+      expect(templateDiffService.diffText('no acute findings', 'no significant findings')).toEqual([
+        { op: 'equal', text: 'no ' },
+        { op: 'delete', text: 'acute' },
+        { op: 'insert', text: 'significant' },
+        { op: 'equal', text: ' findings' }
+      ]);
+    });
+
+    it('falls back to a single replace for long texts', () => {
+      const from = 'a '.repeat(templateDiffService.maxDiffTokens);
+      const to = 'b '.repeat(templateDiffService.maxDiffTokens);
+
+      expect(templateDiffService.diffText(from, to)).toEqual([
+        { op: 'delete', text: from },
+        { op: 'insert', text: to }
+      ]);
+    });
+
+    it('returns nothing for two empty texts', () => {
+      expect(templateDiffService.diffText('', '')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const templateMergeService = require('../../services/templateMergeService');
+
+const codedContent = entries => `<script type="text/xml"><template_attributes><coded_content>
+<coding_schemes><coding_scheme name="LOINC" designator="2.16.840.1.113883.6.1"></coding_scheme></coding_schemes>
+${entries}
+</coded_content></template_attributes></script>`;
+
+const entry = (origtxt, value, scheme = 'LOINC') =>
+  `<entry origtxt="${origtxt}"><term><code meaning="${origtxt}" value="${value}" scheme="${scheme}"></code></term></entry>`;
+
+const section = (id, text) => `<section id="${id}" data-section-name="${id}"><p>${text}</p></section>`;
+
+const document = (sections, entries = '') =>
+  `<html><head><title>Template</title>${codedContent(entries)}</head><body>${sections.join('\n')}</body></html>`;
+
+describe('templateMergeService', () => {
+  describe('mergeSections', () => {
+    it('takes each side\'s changes and reports sections changed differently as conflicts', () => {
+      const base = document([section('a', 'A'), section('b', 'B'), section('c', 'C'), section('d', 'D')]);
+      const local = document([section('a', 'A'), section('b', 'B local'), section('c', 'C'), section('d', 'D local')]);
+      const upstream = document([section('a', 'A'), section('b', 'B'), section('c', 'C upstream'), section('d', 'D upstream')]);
+
+      const merge = templateMergeService.mergeSections(base, local, upstream);
+      const byId = Object.fromEntries(merge.sections.map(item => [item.id, item]));
+
+      expect(merge.summary).toEqual({ unchanged: 1, local: 1, upstream: 1, both: 0, conflict: 1 });
+      expect(byId.a.status).toBe('unchanged');
+      expect(byId.b.status).toBe('local');
+      expect(byId.b.merged).toContain('B local');
+      expect(byId.c.status).toBe('upstream');
+      expect(byId.c.merged).toContain('C upstream');
+      expect(byId.d.status).toBe('conflict');
+      expect(byId.d.merged).toBeNull();
+    });
+
+    it('treats the same change on both sides as both, ignoring whitespace', () => {
+      const base = document([section('a', 'A')]);
+      const local = document([section('a', 'A changed')]);
+      const upstream = document(['<section id="a" data-section-name="a">\n  <p>A changed</p>\n</section>']);
+
+      const merge = templateMergeService.mergeSections(base, local, upstream);
+
+      expect(merge.summary.both).toBe(1);
+      expect(merge.sections[0].merged).toContain('A changed');
+    });
+
+    it('leaves out sections removed on either side', () => {
+      const base = document([section('a', 'A'), section('b', 'B'), section('c', 'C')]);
+      const local = document([section('a', 'A'), section('b', 'B')]);
+      const upstream = document([section('a', 'A'), section('c', 'C')]);
+
+      const merge = templateMergeService.mergeSections(base, local, upstream);
+      const byId = Object.fromEntries(merge.sections.map(item => [item.id, item]));
+
+      expect(byId.b.status).toBe('upstream');
+      expect(byId.b.merged).toBeNull();
+      expect(byId.c.status).toBe('local');
+      expect(byId.c.merged).toBeNull();
+
+      const { html } = templateMergeService.applyMerge(local, upstream, merge);
+      expect(html).toContain('id="a"');
+      expect(html).not.toContain('id="b"');
+      expect(html).not.toContain('id="c"');
+    });
+
+    it('places new upstream sections after the section that precedes them upstream', () => {
+      const base = document([section('a', 'A'), section('c', 'C')]);
+      const local = document([section('c', 'C'), section('a', 'A')]);
+      const upstream = document([section('a', 'A'), section('b', 'B'), section('c', 'C')]);
+
+      const merge = templateMergeService.mergeSections(base, local, upstream);
+
+      expect(merge.sections.map(item => item.id)).toEqual(['c', 'a', 'b']);
+    });
+  });
+
+  describe('applyMerge', () => {
+    const base = document([section('a', 'A'), section('b', 'B')]);
+    const local = document([section('a', 'A local'), section('b', 'B local')]);
+    const upstream = document([section('a', 'A upstream'), section('b', 'B')]);
+
+    it('lists unresolved conflicts', () => {
+      const merge = templateMergeService.mergeSections(base, local, upstream);
+
+      expect(templateMergeService.applyMerge(local, upstream, merge).unresolved).toEqual(['a']);
+    });
+
+    it('resolves conflicts with a side or with section HTML', () => {
+      const merge = templateMergeService.mergeSections(base, local, upstream);
+
+      const upstreamSide = templateMergeService.applyMerge(local, upstream, merge, { a: 'upstream' });
+      expect(upstreamSide.unresolved).toEqual([]);
+      expect(upstreamSide.html).toContain('A upstream');
+      expect(upstreamSide.html).toContain('B local');
+
+      const custom = templateMergeService.applyMerge(local, upstream, merge, { a: section('a', 'A by hand') });
+      expect(custom.html).toContain('A by hand');
+      expect(custom.html).not.toContain('A local');
+    });
+
+    it('keeps the fork\'s head', () => {
+      const forkHead = local.replace('<title>Template</title>', '<title>Fork</title>');
+      const merge = templateMergeService.mergeSections(base, forkHead, upstream);
+
+      const { html } = templateMergeService.applyMerge(forkHead, upstream, merge, { a: 'local' });
+
+      expect(html).toContain('<title>Fork</title>');
+    });
+
+    it('brings the upstream coded content of sections taken from upstream', () => {
+      const baseDocument = document(
+        [section('a', 'A'), '<section id="b"><p>B</p><input id="b1"></section>'],
+        entry('a', '1') + entry('b', '2') + entry('b1', '3')
+      );
+      const localDocument = document(
+        [section('a', 'A local'), '<section id="b"><p>B</p><input id="b1"></section>'],
+        entry('a', '1-local') + entry('b', '2') + entry('b1', '3')
+      );
+      const upstreamDocument = document(
+        [section('a', 'A'), '<section id="b"><p>B upstream</p><input id="b2"></section>', section('c', 'C')],
+        entry('a', '1') + entry('b', '2-upstream') + entry('b2', '4', 'RADLEX') + entry('c', '5')
+      ).replace('</coding_schemes>', '<coding_scheme name="RADLEX" designator="2.16.840.1.113883.6.256"></coding_scheme></coding_schemes>');
+
+      const merge = templateMergeService.mergeSections(baseDocument, localDocument, upstreamDocument);
+      const { html } = templateMergeService.applyMerge(localDocument, upstreamDocument, merge);
+
+      expect(html).toContain('value="1-local"');
+      expect(html).toContain('value="2-upstream"');
+      expect(html).not.toContain('value="2"');
+      expect(html).not.toContain('origtxt="b1"');
+      expect(html).toContain('origtxt="b2"');
+      expect(html).toContain('origtxt="c"');
+      expect(html).toContain('<coding_scheme name="RADLEX" designator="2.16.840.1.113883.6.256"></coding_scheme>');
+    });
+  });
+});
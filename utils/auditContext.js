@@ -0,0 +1,31 @@
+/**
+ * Per-request audit context (who is acting, and through what), carried across
+ * async calls so model hooks can attribute changes without it being passed around
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Used for changes made outside any request: startup, scripts, unattributed jobs
+const SYSTEM_CONTEXT = {
+  actor: { type: 'system', id: null, name: 'system' },
+  source: null
+};
+
+/**
+ * Run fn with the given audit context
+ * @param {Object} context - { actor: { type, id, name, department? }, source }
+ * @param {Function} fn - Function to run
+ */
+const runWithContext = (context, fn) => storage.run({ ...SYSTEM_CONTEXT, ...context }, fn);
+
+/**
+ * Get the current audit context
+ * @returns {Object} { actor, source }
+ */
+const getContext = () => storage.getStore() || SYSTEM_CONTEXT;
+
+module.exports = {
+  runWithContext,
+  getContext
+};
@@ -0,0 +1,53 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of fields; blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,17 @@
+/**
+ * Create an error the global error handler (and controllers) can turn into a response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} error - Short error title (the `error` field of the response)
+ * @param {string} message - Detailed error message
+ * @returns {Error} Error with statusCode and error set
+ */
+const createHttpError = (statusCode, error, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.error = error;
+  return err;
+};
+
+module.exports = {
+  createHttpError
+};